@@ -7,15 +7,18 @@
 //
 // Key Responsibilities:
 // 1. Establish socket.io connection to the backend server
-// 2. Authenticate the connection using user credentials
+// 2. Authenticate the connection using the JWT cookie (surfacing auth failures)
 // 3. Listen for incoming direct messages and channel messages
 // 4. Update Redux store when messages arrive
 // 5. Manage connection lifecycle (connect/disconnect)
 
 import { useAppStore } from "@/store";
-import { HOST } from "@/utils/constants";
+import { GET_ALL_CONTACTS_FOR_DM_ROUTE, GET_USER_CHANNELS_ROUTE, HOST, SYNC_MESSAGES_ROUTE } from "@/utils/constants";
+import { apiClient } from "@/lib/api-client";
 import { useContext , useEffect , createContext, useRef } from "react";
 import { io } from "socket.io-client";
+import { toast } from "sonner";
+import { replayOutbox } from "@/lib/outbox";
 
 // Create React Context for socket instance
 // This allows any component in the app to access the socket connection
@@ -52,7 +55,7 @@ export const SocketProvider = ({children}) =>{
     const socket = useRef();
     
     // Get user authentication info from Redux store
-    // userInfo contains user ID needed for socket authentication
+    // userInfo tells us whether the user is logged in (the JWT cookie does the authentication)
     const {userInfo} = useAppStore();
    
     /**
@@ -74,20 +77,52 @@ export const SocketProvider = ({children}) =>{
             // Create socket.io connection to backend server
             socket.current = io(HOST,{
                 // Include cookies for session-based authentication
-                // This allows server to verify user identity
+                // The server verifies the 'jwt' cookie during the handshake
+                // and derives the user identity from it - no user ID is sent
                 withCredentials : true,
-                
-                // Send user ID as query parameter for immediate identification
-                // Server can use this to join user-specific rooms or channels
-                query : {
-                    userId : userInfo._id,
-                }
             })
             
+            // Whether this socket connected before (so the next connect is a reconnect)
+            let connectedBefore = false;
+
             // Connection success handler
             // Confirms socket is connected and ready to send/receive messages
+            // Messages sent while offline (or never acknowledged) are sent
+            // again on every connect; the server ignores ones it already stored
+            // A reconnect also fetches whatever was broadcast while we were away
             socket.current.on("connect" , ()=>{
                 console.log("connected to Socket Server")
+                replayOutbox(socket.current);
+                if(connectedBefore){
+                    syncMissedMessages();
+                }
+                connectedBefore = true;
+            });
+
+            // =====================================
+            // AUTHENTICATION FAILURE HANDLER
+            // =====================================
+
+            /**
+             * Handles rejected handshakes
+             *
+             * The server rejects connections whose JWT cookie is missing, invalid
+             * or expired, and Socket.IO does not retry those automatically.
+             * We tell the user and clear userInfo so PrivateRoute sends them
+             * back to the login page. Other errors (server unreachable, etc.)
+             * are retried by socket.io-client, so we only log them.
+             *
+             * @param {Error} error - Connection error from socket.io-client
+             * @param {Object} error.data - Server-provided details ({code})
+             */
+            socket.current.on("connect_error" , (error)=>{
+                const code = error.data?.code;
+                if(code === "TOKEN_REQUIRED" || code === "INVALID_TOKEN"){
+                    toast.error("Your session has expired. Please log in again.");
+                    useAppStore.getState().setUserInfo(undefined);
+                    return;
+                }
+                console.log("Socket connection error:", error.message);
             });
 
             // =====================================
@@ -128,6 +163,13 @@ export const SocketProvider = ({children}) =>{
                 // Update contacts list to show this conversation as recent
                 // This ensures the contact appears at top of DM list
                 addContactsInDMContacts(message);
+
+                // Delivery receipt: this client received a message sent to us
+                // (our own sends come back here too and need no receipt)
+                const {userInfo} = useAppStore.getState();
+                if(message.receiver._id === userInfo._id && message.sender._id !== userInfo._id){
+                    socket.current.emit("messageDelivered" , {messageId : message._id});
+                }
             }
 
             // =====================================
@@ -168,14 +210,371 @@ export const SocketProvider = ({children}) =>{
                 
             }
 
+            /**
+             * Handles reaction changes on a message (DMs and channels)
+             * 
+             * The payload carries the full reaction list, so it simply
+             * replaces what the store has.
+             * 
+             * @param {Object} message - { _id, channelId, reactions: [{ emoji, users }] }
+             */
+            const handleMessageReactionsUpdated = (message)=>{
+                const {updateMessage} = useAppStore.getState();
+                updateMessage(message._id , {reactions : message.reactions});
+            }
+
+            /**
+             * Handles a channel message being pinned or unpinned
+             * 
+             * @param {Object} message - { _id, channelId, pinnedAt, pinnedBy } (both unset when unpinned)
+             */
+            const handleMessagePinned = (message)=>{
+                const {updateMessage} = useAppStore.getState();
+                updateMessage(message._id , {pinnedAt : message.pinnedAt , pinnedBy : message.pinnedBy});
+            }
+
+            /**
+             * Handles delivery and read receipts for a batch of messages
+             * 
+             * - DMs: { messageIds, deliveredAt } or { messageIds, readAt }
+             * - Channels: { channelId, messageIds, readBy: { user, readAt } },
+             *   one member who read the messages
+             * 
+             * @param {Object} receipts - Receipt payload from the server
+             */
+            const handleMessageReceipts = (receipts)=>{
+                const {updateMessages} = useAppStore.getState();
+
+                if(receipts.readBy){
+                    updateMessages(receipts.messageIds , (message) => ({
+                        readBy : [...(message.readBy ?? []).filter((entry) => entry.user !== receipts.readBy.user),
+                            receipts.readBy],
+                    }));
+                    return;
+                }
+
+                updateMessages(receipts.messageIds , (message) => ({
+                    deliveredAt : message.deliveredAt ?? receipts.deliveredAt ?? receipts.readAt,
+                    ...(receipts.readAt && {readAt : receipts.readAt}),
+                }));
+            }
+
+            // =====================================
+            // PRESENCE HANDLERS
+            // =====================================
+
+            /**
+             * Presence of all contacts, sent once per connection
+             * 
+             * @param {Array<Object>} users - [{ userId, status, lastSeen }]
+             */
+            const handlePresenceSnapshot = (users)=>{
+                useAppStore.getState().updatePresence(users);
+            }
+
+            /**
+             * A contact came online, went away or went offline
+             * 
+             * @param {Object} user - { userId, status, lastSeen }
+             */
+            const handlePresence = (user)=>{
+                useAppStore.getState().updatePresence([user]);
+            }
+
+            // Report this session as away while its tab is hidden or the
+            // user has not touched it for a while, and online again after
+            const AWAY_AFTER_IDLE_MS = 5 * 60 * 1000;
+            let away = false;
+            let idleTimer;
+
+            const reportPresence = (status)=>{
+                if((status === "away") === away) return;
+                away = status === "away";
+                socket.current.emit("presence:set" , {status});
+            }
+
+            const handleActivity = ()=>{
+                clearTimeout(idleTimer);
+                if(document.visibilityState === "hidden"){
+                    reportPresence("away");
+                    return;
+                }
+                reportPresence("online");
+                idleTimer = setTimeout(() => reportPresence("away") , AWAY_AFTER_IDLE_MS);
+            }
+
+            const activityEvents = ["visibilitychange" , "mousemove" , "keydown" , "pointerdown"];
+            activityEvents.forEach((event) => document.addEventListener(event , handleActivity));
+            handleActivity();
+
+            // A new connection starts online on the server; repeat an away state
+            socket.current.on("connect" , ()=>{
+                if(away){
+                    socket.current.emit("presence:set" , {status : "away"});
+                }
+            });
+
+            // =====================================
+            // TYPING INDICATOR HANDLERS
+            // =====================================
+
+            // Fallback expiry per "chatId:userId", in case a "typing:stop"
+            // never arrives (e.g. the connection dropped)
+            const typingTimers = new Map();
+            const TYPING_DISPLAY_MS = 10000;
+
+            /**
+             * Someone started (or is still) typing in a DM with us or in a channel
+             * 
+             * @param {Object} typing - { userId, firstName, lastName, email, channelId }
+             */
+            const handleTypingStart = (typing)=>{
+                const {userInfo , setTypingUser , removeTypingUser} = useAppStore.getState();
+                // Our own other tabs are in the same channel rooms
+                if(typing.userId === userInfo._id) return;
+
+                const chatId = typing.channelId ?? typing.userId;
+                const key = `${chatId}:${typing.userId}`;
+
+                setTypingUser(chatId , typing);
+                clearTimeout(typingTimers.get(key));
+                typingTimers.set(key , setTimeout(()=>{
+                    typingTimers.delete(key);
+                    removeTypingUser(chatId , typing.userId);
+                } , TYPING_DISPLAY_MS));
+            }
+
+            /**
+             * Someone stopped typing (sent, cleared the input, went idle or left)
+             * 
+             * @param {Object} typing - { userId, channelId }
+             */
+            const handleTypingStop = (typing)=>{
+                const chatId = typing.channelId ?? typing.userId;
+                const key = `${chatId}:${typing.userId}`;
+
+                clearTimeout(typingTimers.get(key));
+                typingTimers.delete(key);
+                useAppStore.getState().removeTypingUser(chatId , typing.userId);
+            }
+
+            // =====================================
+            // CHANNEL THREAD HANDLER
+            // =====================================
+
+            /**
+             * Handles replies posted in channel threads
+             * 
+             * Thread replies stay out of the main channel stream. The reply is
+             * shown if its thread is open, and the root message's reply
+             * summary is updated wherever it is loaded.
+             * 
+             * @param {Object} message - Reply, with channelId, threadRoot and
+             * thread ({ _id, threadReplyCount, threadLastReplyAt } of the root)
+             */
+            const handleRecieveThreadMessage = (message)=>{
+                const {addThreadMessage , updateMessage , addChannelInChannelList} = useAppStore.getState();
+
+                addThreadMessage(message);
+                updateMessage(message.thread._id , {
+                    threadReplyCount : message.thread.threadReplyCount,
+                    threadLastReplyAt : message.thread.threadLastReplyAt,
+                });
+                addChannelInChannelList(message);
+            }
+
+            // =====================================
+            // RECONNECT CATCH-UP
+            // =====================================
+
+            /**
+             * Fetch the messages broadcast while the socket was disconnected
+             * 
+             * Sends the newest message time seen per conversation
+             * (lastSeenMessageAt) and runs the results through the live
+             * handlers above, so the open chat, threads, and both
+             * conversation lists update as if the events had arrived. The
+             * store drops anything already shown or counted.
+             * 
+             * The sync starts at the newest message seen anywhere. Those
+             * times come from the server, so our own clock never decides
+             * what is skipped; with nothing seen yet, the server picks the
+             * start. If the server refuses (the newest message seen is
+             * older than it syncs), both conversation lists and the open
+             * chat are loaded again.
+             */
+            const syncMissedMessages = async ()=>{
+                const conversations = useAppStore.getState().lastSeenMessageAt;
+                const newest = Math.max(...Object.values(conversations).map((time) => Date.parse(time)));
+
+                let body = Number.isFinite(newest)
+                    ? {since : new Date(newest).toISOString() , conversations}
+                    : {conversations};
+                try{
+                    while(body){
+                        const response = await apiClient.post(SYNC_MESSAGES_ROUTE , body , {withCredentials : true});
+
+                        for(const message of response.data.messages){
+                            if(message.threadRoot){
+                                handleRecieveThreadMessage(message);
+                            }else if(message.channelId){
+                                handleRecieveChannelMessage(message);
+                            }else{
+                                handleRecieveMessage(message);
+                            }
+                        }
+
+                        body = response.data.hasMore
+                            ? {after : response.data.nextCursor , conversations}
+                            : null;
+                    }
+                }catch(error){
+                    if(error.response?.status === 400){
+                        reloadConversations();
+                    }else{
+                        console.log({error});
+                    }
+                }
+            }
+
+            /**
+             * Load the DM contacts, channels and the open chat's latest
+             * messages again, for when the missed messages can't be synced
+             * one by one
+             */
+            const reloadConversations = async ()=>{
+                const {setDirectMessagesContacts , setChannels , selectedChatData , reloadLatestMessages} = useAppStore.getState();
+                if(selectedChatData){
+                    reloadLatestMessages();
+                }
+                try{
+                    const [contacts , channels] = await Promise.all([
+                        apiClient.get(GET_ALL_CONTACTS_FOR_DM_ROUTE , {withCredentials : true}),
+                        apiClient.get(GET_USER_CHANNELS_ROUTE , {withCredentials : true}),
+                    ]);
+                    if(contacts.data.contacts){
+                        setDirectMessagesContacts(contacts.data.contacts);
+                    }
+                    if(channels.data.channels){
+                        setChannels(channels.data.channels);
+                    }
+                }catch(error){
+                    console.log({error});
+                }
+            }
+
             // =====================================
             // EVENT LISTENER REGISTRATION
             // =====================================
             
             // Register event listeners for real-time message handling
             // These listeners remain active for the duration of the socket connection
+            /**
+             * Handles edits to existing messages (DMs and channels)
+             * 
+             * The server sends the edit to everyone in the conversation; the
+             * store ignores it unless the message is loaded in the open chat.
+             * 
+             * @param {Object} message - { _id, content, editedAt, editHistory, channelId }
+             */
+            const handleMessageEdited = (message)=>{
+                const {updateMessage} = useAppStore.getState();
+                updateMessage(message._id , {
+                    content : message.content,
+                    editedAt : message.editedAt,
+                    editHistory : message.editHistory,
+                });
+            }
+
+            /**
+             * Handles deleted messages
+             * 
+             * scope "me": the user deleted it for themselves in some session,
+             * so it disappears from this one too.
+             * scope "everyone": the author deleted it, so it becomes a
+             * tombstone ("This message was deleted") for all participants.
+             * 
+             * @param {Object} message - { _id, channelId, scope, deletedAt }
+             */
+            const handleMessageDeleted = (message)=>{
+                const {removeMessage , updateMessage , editingMessage , setEditingMessage , replyingTo , setReplyingTo} = useAppStore.getState();
+
+                if(message.scope === "me"){
+                    removeMessage(message._id);
+                    return;
+                }
+
+                updateMessage(message._id , {
+                    deletedAt : message.deletedAt,
+                    content : undefined,
+                    fileUrl : undefined,
+                    editHistory : [],
+                    reactions : [],
+                    pinnedAt : undefined,
+                    pinnedBy : undefined,
+                });
+                if(editingMessage?._id === message._id){
+                    setEditingMessage(undefined);
+                }
+                if(replyingTo?._id === message._id){
+                    setReplyingTo(undefined);
+                }
+                // A root deleted for everyone takes no more replies
+                if(useAppStore.getState().activeThread?._id === message._id){
+                    useAppStore.getState().closeThread();
+                }
+            }
+
+
+            // =====================================
+            // CHANNEL MEMBERSHIP HANDLERS
+            // =====================================
+
+            /**
+             * The user was added to a channel (or created one in another
+             * session); it joins the channel list. The server has already
+             * put this socket in the channel room.
+             * 
+             * @param {Object} channel - Channel document
+             */
+            const handleChannelAdded = (channel)=>{
+                useAppStore.getState().addChannel(channel);
+            }
+
+            /**
+             * Members or admins of one of the user's channels changed
+             * 
+             * @param {Object} channel - Channel document with members and admin
+             */
+            const handleChannelUpdated = (channel)=>{
+                useAppStore.getState().updateChannel(channel);
+            }
+
+            /**
+             * The user left a channel (possibly in another session) or an
+             * admin removed them; the channel and its open chat go away
+             * 
+             * @param {Object} channel - { _id }
+             */
+            const handleChannelRemoved = (channel)=>{
+                useAppStore.getState().removeChannel(channel._id);
+            }
+
             socket.current.on("recieveMessage" , handleRecieveMessage);
             socket.current.on("recieveChannelMessage" , handleRecieveChannelMessage)
+            socket.current.on("recieveThreadMessage" , handleRecieveThreadMessage)
+            socket.current.on("messageEdited" , handleMessageEdited)
+            socket.current.on("messageDeleted" , handleMessageDeleted)
+            socket.current.on("messageReactionsUpdated" , handleMessageReactionsUpdated)
+            socket.current.on("messagePinned" , handleMessagePinned)
+            socket.current.on("messageReceipts" , handleMessageReceipts)
+            socket.current.on("presence:snapshot" , handlePresenceSnapshot)
+            socket.current.on("presence" , handlePresence)
+            socket.current.on("typing:start" , handleTypingStart)
+            socket.current.on("typing:stop" , handleTypingStop)
+            socket.current.on("channelAdded" , handleChannelAdded)
+            socket.current.on("channelUpdated" , handleChannelUpdated)
+            socket.current.on("channelRemoved" , handleChannelRemoved)
             
             // =====================================
             // CLEANUP FUNCTION
@@ -184,6 +583,9 @@ export const SocketProvider = ({children}) =>{
             // Return cleanup function to prevent memory leaks
             // This runs when component unmounts or userInfo changes
             return ()=>{
+                typingTimers.forEach((timer) => clearTimeout(timer));
+                clearTimeout(idleTimer);
+                activityEvents.forEach((event) => document.removeEventListener(event , handleActivity));
                 socket.current.disconnect();  
             }
         } 
@@ -218,8 +620,8 @@ export const SocketProvider = ({children}) =>{
 
 🔒 SECURITY CONSIDERATIONS:
 3. Is the socket authentication secure enough?
-   - Currently using query params for userId - is this safe?
-   - Should we implement JWT tokens for socket authentication?
+   - The handshake is authenticated with the JWT cookie - what about tokens expiring mid-session?
+   - Should we refresh tokens and reconnect transparently?
    - How do we prevent socket session hijacking?
 
 4. Message validation and sanitization:
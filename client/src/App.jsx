@@ -1,23 +1,28 @@
-import {BrowserRouter , Routes , Route, Navigate} from "react-router"
+import {BrowserRouter , Routes , Route, Navigate, useLocation} from "react-router"
 import Chat from "./components/Chat.jsx"
 import Auth from "./components/Auth.jsx"
 import Profile from "./components/Profile.jsx"
+import ChannelInvite from "./components/ChannelInvite.jsx"
 import { useAppStore } from "./store/index.js"
 import { useEffect, useState } from "react"
 import { apiClient } from "./lib/api-client.js"
 import { GET_USER_INFO_ROUTE } from "./utils/constants.js"
 
 
+// Logged-out users are sent to /auth and brought back afterwards
+// (e.g. to an invite link they opened)
 const PrivateRoute = ({children}) =>{
     const {userInfo} = useAppStore();
+    const location = useLocation();
     const isAuth = !!userInfo;
-    return isAuth ? children : <Navigate to = "/auth"/>
+    return isAuth ? children : <Navigate to = "/auth" state = {{from : location.pathname}}/>
 }
 
 const AuthRoute = ({children}) => {
     const {userInfo} = useAppStore();
+    const location = useLocation();
     const isAuth = !!userInfo;
-    return isAuth ? <Navigate to = "/chat"/> : children
+    return isAuth ? <Navigate to = {location.state?.from ?? "/chat"}/> : children
 }
 
 
@@ -59,6 +64,7 @@ function App() {
             <Route path = "/chat" element = {<PrivateRoute><Chat/></PrivateRoute>}></Route>
             <Route path = "/auth" element = {<AuthRoute><Auth/></AuthRoute>}></Route>
             <Route path = "/profile" element = {<PrivateRoute><Profile/></PrivateRoute>}></Route>
+            <Route path = "/invite/:token" element = {<PrivateRoute><ChannelInvite/></PrivateRoute>}></Route>
             <Route path = "/*" element = {<Navigate to = "/auth" replace/>}></Route>
         </Routes>   
     </BrowserRouter>
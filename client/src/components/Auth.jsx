@@ -5,13 +5,14 @@ import { useEffect, useState } from "react"
 import { toast } from "sonner";
 import { apiClient } from "@/lib/api-client";
 import { LOGIN_ROUTE, SIGNUP_ROUTE } from "@/utils/constants";
-import { useNavigate } from "react-router";
+import { useLocation, useNavigate } from "react-router";
 import { useAppStore } from "@/store";
 
 
 
 function Auth() {
     const navigate = useNavigate();
+    const location = useLocation();
     const {setUserInfo} = useAppStore();
     const [email , setEmail] = useState("");
     const [password , setPassword] = useState("");
@@ -54,7 +55,7 @@ function Auth() {
                 console.log(response.status);
                 if(response.status === 200){
                     setUserInfo(response.data.user);
-                    if(response.data.user.profileSetup) navigate("/chat");
+                    if(response.data.user.profileSetup) navigate(location.state?.from ?? "/chat");
                     else navigate("/profile");
                 }
             }
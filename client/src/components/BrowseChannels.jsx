@@ -0,0 +1,177 @@
+/**
+ * BrowseChannels.jsx
+ *
+ * Directory of public channels, opened from the icon next to
+ * CreateChannel. Lists public channels by name with their member count
+ * and description; channels the user is not in can be joined, the others
+ * opened.
+ *
+ * Data Flow:
+ * - Typing runs a debounced GET to /api/channel/browseChannels
+ * - "Load more" fetches the next page by offset
+ * - Joining adds the channel to the list and opens it; the server also
+ *   sends "channelAdded" to the user's other sessions
+ */
+
+import { useAppStore } from "@/store";
+import { useEffect, useState } from "react";
+import { apiClient } from "@/lib/api-client";
+import { BROWSE_CHANNELS_ROUTE, HOST, JOIN_CHANNEL_ROUTE } from "@/utils/constants";
+import { toast } from "sonner";
+import { MdTravelExplore } from "react-icons/md";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@radix-ui/react-tooltip";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "./ui/dialog";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+function BrowseChannels() {
+    const {channels , addChannel , setSelectedChatType , setSelectedChatData} = useAppStore();
+
+    const [open , setOpen] = useState(false);
+    const [search , setSearch] = useState("");
+    const [results , setResults] = useState([]);
+    const [hasMore , setHasMore] = useState(false);
+    const [loading , setLoading] = useState(false);
+
+    // First page, whenever the dialog opens or the search changes
+    useEffect(()=>{
+        if(!open) return;
+
+        let cancelled = false;
+        const timer = setTimeout(async ()=>{
+            setLoading(true);
+            try{
+                const response = await apiClient.get(BROWSE_CHANNELS_ROUTE , {
+                    params : {search},
+                    withCredentials : true,
+                });
+                if(cancelled) return;
+                setResults(response.data.channels);
+                setHasMore(response.data.hasMore);
+            }catch(error){
+                console.log({error});
+            }finally{
+                if(!cancelled) setLoading(false);
+            }
+        } , SEARCH_DEBOUNCE_MS);
+
+        return ()=>{
+            cancelled = true;
+            clearTimeout(timer);
+        }
+    },[open , search])
+
+    const loadMore = async () =>{
+        if(loading) return;
+
+        setLoading(true);
+        try{
+            const response = await apiClient.get(BROWSE_CHANNELS_ROUTE , {
+                params : {search , offset : results.length},
+                withCredentials : true,
+            });
+            setResults((current) => [...current , ...response.data.channels]);
+            setHasMore(response.data.hasMore);
+        }catch(error){
+            console.log({error});
+        }finally{
+            setLoading(false);
+        }
+    }
+
+    const openChannel = (channel) =>{
+        setSelectedChatType("channel");
+        setSelectedChatData(channel);
+        setOpen(false);
+    }
+
+    const joinChannel = async (result) =>{
+        try{
+            const response = await apiClient.post(`${JOIN_CHANNEL_ROUTE}/${result._id}` , {} , {withCredentials : true});
+            addChannel(response.data.channel);
+            openChannel(response.data.channel);
+        }catch(error){
+            toast.error(error.response?.data?.msg || "Could not join the channel, please try again");
+        }
+    }
+
+    const handleOpenChange = (isOpen) =>{
+        setOpen(isOpen);
+        if(!isOpen){
+            setSearch("");
+            setResults([]);
+            setHasMore(false);
+        }
+    }
+
+    const renderChannel = (result) =>{
+        // The list entry has the unread count and last message; prefer it
+        const joined = channels.find((channel) => channel._id === result._id);
+        return (
+            <div key = {result._id} className="flex items-center gap-3 py-2">
+                {result.channelImage
+                    ? <img src={`${HOST}/${result.channelImage}`} alt="channel image"
+                        className="h-10 w-10 shrink-0 rounded-full object-cover bg-black"/>
+                    : <div className="h-10 w-10 shrink-0 flex items-center justify-center bg-[#ffffff22] rounded-full">#</div>}
+                <div className="flex-1 min-w-0">
+                    <div className="truncate">{result.name}</div>
+                    <div className="text-xs text-neutral-500 truncate">
+                        {result.memberCount} {result.memberCount === 1 ? "member" : "members"}
+                        {(result.topic || result.description) && ` · ${result.topic || result.description}`}
+                    </div>
+                </div>
+                {joined
+                    ? <Button className="bg-[#2c2e3b] hover:bg-[#3a3c4b]" onClick={() => openChannel(joined)}>Open</Button>
+                    : <Button className="bg-purple-700 hover:bg-purple-900 transition-all duration-300"
+                        onClick={() => joinChannel(result)}>Join</Button>}
+            </div>
+        )
+    }
+
+  return (
+    <>
+        <TooltipProvider>
+            <Tooltip>
+                <TooltipTrigger>
+                    <MdTravelExplore className="text-neutral-400 text-opacity-90
+                    font-light text-start cursor-pointer hover:text-neutral-100
+                    transition-all duration-300"
+                    onClick={() => setOpen(true)}
+                    />
+                </TooltipTrigger>
+                <TooltipContent className="bg-[#1c1b1e] border-none text-white p-2 rounded-b-sm">
+                    Browse Channels
+                </TooltipContent>
+            </Tooltip>
+        </TooltipProvider>
+        <Dialog open = {open} onOpenChange = {handleOpenChange}>
+            <DialogContent className="bg-[#181920] text-white border-none w-[450px] h-[500px] flex flex-col">
+                <DialogHeader>
+                    <DialogTitle>Browse Channels</DialogTitle>
+                    <DialogDescription className="text-neutral-500">
+                        Public channels anyone can join
+                    </DialogDescription>
+                </DialogHeader>
+                <Input placeholder="Search Channels" className="rounded-lg p-6 border-none bg-[#2c2e3b]"
+                    value = {search} onChange = {(e) => setSearch(e.target.value)}/>
+                <div className="flex-1 overflow-y-auto">
+                    {results.map(renderChannel)}
+                    {!loading && results.length === 0 && (
+                        <p className="text-center text-neutral-500 mt-10">No public channels found</p>
+                    )}
+                    {hasMore && (
+                        <button className="w-full text-sm text-[#8417ff] hover:underline py-2" onClick={loadMore}>
+                            {loading ? "Loading..." : "Load more"}
+                        </button>
+                    )}
+                </div>
+            </DialogContent>
+        </Dialog>
+    </>
+  )
+}
+
+export default BrowseChannels
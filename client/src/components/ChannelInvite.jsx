@@ -0,0 +1,123 @@
+/**
+ * ChannelInvite.jsx
+ *
+ * Page behind an invite link (/invite/:token). Shows the channel the
+ * invite leads to and lets the logged-in user join it; logged-out users
+ * are sent to /auth first and brought back here after logging in.
+ *
+ * Data Flow:
+ * - The preview comes from GET /api/channel/invite/:token; expired,
+ *   used-up and revoked invites answer with the reason, shown instead
+ * - Accepting posts to /api/channel/acceptInvite/:token, adds the channel
+ *   to the list and opens it in /chat; the server also sends
+ *   "channelAdded" to the user's other sessions
+ */
+
+import { useAppStore } from "@/store";
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router";
+import { apiClient } from "@/lib/api-client";
+import { ACCEPT_INVITE_ROUTE, HOST, INVITE_PREVIEW_ROUTE } from "@/utils/constants";
+import { toast } from "sonner";
+import { Button } from "./ui/button";
+
+function ChannelInvite() {
+    const {token} = useParams();
+    const navigate = useNavigate();
+    const {channels , addChannel , setSelectedChatType , setSelectedChatData} = useAppStore();
+
+    const [preview , setPreview] = useState(null);
+    const [error , setError] = useState("");
+    const [joining , setJoining] = useState(false);
+
+    useEffect(()=>{
+        const getPreview = async () =>{
+            try{
+                const response = await apiClient.get(`${INVITE_PREVIEW_ROUTE}/${token}` , {withCredentials : true});
+                setPreview(response.data);
+            }catch(error){
+                setError(error.response?.data?.msg || "Could not load this invite, please try again");
+            }
+        }
+
+        getPreview();
+    },[token])
+
+    const openChannel = (channel) =>{
+        setSelectedChatType("channel");
+        setSelectedChatData(channel);
+        navigate("/chat");
+    }
+
+    const acceptInvite = async () =>{
+        if(joining) return;
+
+        setJoining(true);
+        try{
+            const response = await apiClient.post(`${ACCEPT_INVITE_ROUTE}/${token}` , {} , {withCredentials : true});
+            addChannel(response.data.channel);
+            openChannel(response.data.channel);
+        }catch(error){
+            toast.error(error.response?.data?.msg || "Could not join the channel, please try again");
+            setJoining(false);
+        }
+    }
+
+    // The list entry has the unread count and last message; prefer it
+    const openJoinedChannel = () => openChannel(
+        channels.find((channel) => channel._id === preview.channel._id) ?? preview.channel
+    );
+
+    const renderPreview = () =>{
+        const {channel , joined , expiresAt} = preview;
+        return (
+            <>
+                {channel.channelImage
+                    ? <img src={`${HOST}/${channel.channelImage}`} alt="channel image"
+                        className="h-24 w-24 rounded-full object-cover bg-black"/>
+                    : <div className="h-24 w-24 flex items-center justify-center bg-[#ffffff22] rounded-full text-4xl">#</div>}
+                <div className="text-center">
+                    <p className="text-neutral-500 text-sm">You have been invited to join</p>
+                    <h1 className="text-2xl font-semibold">{channel.name}</h1>
+                    <p className="text-neutral-500 text-sm">
+                        {channel.memberCount} {channel.memberCount === 1 ? "member" : "members"}
+                    </p>
+                </div>
+                {channel.topic && <p className="text-neutral-300 text-center">{channel.topic}</p>}
+                {channel.description && (
+                    <p className="text-neutral-400 text-sm text-center whitespace-pre-wrap">{channel.description}</p>
+                )}
+                {joined
+                    ? <Button className="w-full bg-[#2c2e3b] hover:bg-[#3a3c4b]" onClick={openJoinedChannel}>
+                        You are already in this channel — Open
+                    </Button>
+                    : <Button className="w-full bg-purple-700 hover:bg-purple-900 transition-all duration-300"
+                        disabled={joining} onClick={acceptInvite}>
+                        {joining ? "Joining..." : "Accept Invite"}
+                    </Button>}
+                {expiresAt && !joined && (
+                    <p className="text-xs text-neutral-500">
+                        Invite expires {new Date(expiresAt).toLocaleString()}
+                    </p>
+                )}
+            </>
+        )
+    }
+
+  return (
+    <div className="flex justify-center items-center h-[100vh] bg-[#1b1c24] text-white">
+        <div className="flex flex-col items-center gap-5 bg-[#181920] rounded-lg p-8 w-[80vw] md:w-[400px]">
+            {error
+                ? <>
+                    <p className="text-center text-neutral-300">{error}</p>
+                    <Button className="w-full bg-[#2c2e3b] hover:bg-[#3a3c4b]" onClick={() => navigate("/chat")}>
+                        Back to chat
+                    </Button>
+                </>
+                : preview ? renderPreview() : <p className="text-neutral-500">Loading invite...</p>}
+        </div>
+    </div>
+  )
+}
+
+export default ChannelInvite
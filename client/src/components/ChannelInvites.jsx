@@ -0,0 +1,169 @@
+/**
+ * ChannelInvites.jsx
+ *
+ * Invite links of the open channel, shown in the chat header to roles that
+ * may manage members (owner, admins and moderators). They create links
+ * with an optional expiry and usage limit, copy them, and revoke the ones
+ * that should stop working.
+ *
+ * Data Flow:
+ * - Active invites are loaded from /api/channel/getInvites when the dialog
+ *   opens; expired, used-up and revoked ones are left out by the server
+ * - A link is <origin>/invite/<token>, opening ChannelInvite.jsx
+ */
+
+import { useAppStore } from "@/store";
+import { useEffect, useState } from "react";
+import { apiClient } from "@/lib/api-client";
+import { CREATE_INVITE_ROUTE, GET_INVITES_ROUTE, REVOKE_INVITE_ROUTE } from "@/utils/constants";
+import { toast } from "sonner";
+import { IoLinkOutline } from "react-icons/io5";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "./ui/dialog";
+import { Button } from "./ui/button";
+
+// Choices offered when creating an invite; "" means no limit
+const EXPIRY_OPTIONS = [
+    {label : "1 hour" , value : "1"},
+    {label : "1 day" , value : "24"},
+    {label : "7 days" , value : "168"},
+    {label : "30 days" , value : "720"},
+    {label : "Never" , value : ""},
+];
+
+const MAX_USES_OPTIONS = [
+    {label : "1 use" , value : "1"},
+    {label : "5 uses" , value : "5"},
+    {label : "25 uses" , value : "25"},
+    {label : "100 uses" , value : "100"},
+    {label : "No limit" , value : ""},
+];
+
+const inviteLink = (invite) => `${window.location.origin}/invite/${invite.token}`;
+
+const displayName = (user) =>
+    [user?.firstName , user?.lastName].filter(Boolean).join(" ") || user?.email;
+
+function ChannelInvites() {
+    const {selectedChatData , userInfo} = useAppStore();
+
+    const [open , setOpen] = useState(false);
+    const [invites , setInvites] = useState([]);
+    const [expiresInHours , setExpiresInHours] = useState("168");
+    const [maxUses , setMaxUses] = useState("");
+
+    const channelId = selectedChatData._id;
+
+    useEffect(()=>{
+        if(!open) return;
+
+        const getInvites = async ()=>{
+            try{
+                const response = await apiClient.get(`${GET_INVITES_ROUTE}/${channelId}` , {withCredentials : true});
+                setInvites(response.data.invites);
+            }catch(error){
+                console.log({error});
+            }
+        }
+        getInvites();
+    },[open , channelId])
+
+    const reportError = (error) => toast.error(error.response?.data?.msg || "Something went wrong, please try again");
+
+    const copyLink = async (invite) =>{
+        try{
+            await navigator.clipboard.writeText(inviteLink(invite));
+            toast.success("Invite link copied");
+        }catch{
+            toast.error("Could not copy the link; select and copy it instead");
+        }
+    }
+
+    const createInvite = async () =>{
+        try{
+            const response = await apiClient.post(`${CREATE_INVITE_ROUTE}/${channelId}` , {
+                expiresInHours : expiresInHours || undefined,
+                maxUses : maxUses || undefined,
+            } , {withCredentials : true});
+
+            // The list shows the creator's name, which the answer leaves out
+            const invite = {...response.data.invite , createdBy : userInfo};
+            setInvites((current) => [invite , ...current]);
+            copyLink(invite);
+        }catch(error){
+            reportError(error);
+        }
+    }
+
+    const revokeInvite = async (invite) =>{
+        try{
+            await apiClient.delete(`${REVOKE_INVITE_ROUTE}/${invite._id}` , {withCredentials : true});
+            setInvites((current) => current.filter((item) => item._id !== invite._id));
+        }catch(error){
+            reportError(error);
+        }
+    }
+
+    const renderInvite = (invite) =>(
+        <div key = {invite._id} className="flex flex-col gap-1 py-2 border-b border-[#ffffff11]">
+            <input readOnly value={inviteLink(invite)} onFocus={(e) => e.target.select()}
+                className="w-full bg-[#2c2e3b] rounded px-2 py-1 text-xs text-white/80 focus:outline-none"/>
+            <div className="flex items-center gap-3 text-xs text-neutral-500">
+                <span className="flex-1 truncate">
+                    {invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`}
+                    {" · "}
+                    {invite.expiresAt ? `expires ${new Date(invite.expiresAt).toLocaleString()}` : "never expires"}
+                    {invite.createdBy && ` · by ${displayName(invite.createdBy)}`}
+                </span>
+                <button className="text-[#8417ff] hover:underline" onClick={() => copyLink(invite)}>Copy</button>
+                <button className="text-red-400 hover:text-red-300 transition-all duration-300"
+                    onClick={() => revokeInvite(invite)}>Revoke</button>
+            </div>
+        </div>
+    )
+
+    const selectClass = "flex-1 rounded-lg p-2 border-none bg-[#2c2e3b] text-sm focus:outline-none";
+
+  return (
+    <>
+        <button className="text-neutral-500 focus:border-none focus:outline-none
+            hover:text-white duration-300 transition-all" title="Invite links"
+            onClick={() => setOpen(true)}>
+            <IoLinkOutline className="text-2xl"/>
+        </button>
+        <Dialog open = {open} onOpenChange = {setOpen}>
+            <DialogContent className="bg-[#181920] text-white border-none w-[450px] max-h-[80vh] flex flex-col">
+                <DialogHeader>
+                    <DialogTitle>Invite Links</DialogTitle>
+                    <DialogDescription className="text-neutral-500">
+                        Anyone with a link can join # {selectedChatData.name}
+                    </DialogDescription>
+                </DialogHeader>
+                <div className="flex gap-2 items-center">
+                    <select className={selectClass} value={expiresInHours} title="Expires after"
+                        onChange={(e) => setExpiresInHours(e.target.value)}>
+                        {EXPIRY_OPTIONS.map((option) => (
+                            <option key = {option.label} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <select className={selectClass} value={maxUses} title="Usage limit"
+                        onChange={(e) => setMaxUses(e.target.value)}>
+                        {MAX_USES_OPTIONS.map((option) => (
+                            <option key = {option.label} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <Button className="bg-purple-700 hover:bg-purple-900 transition-all duration-300"
+                        onClick={createInvite}>Create</Button>
+                </div>
+                <div className="flex-1 overflow-y-auto">
+                    {invites.map(renderInvite)}
+                    {invites.length === 0 && (
+                        <p className="text-center text-neutral-500 mt-6">No active invite links</p>
+                    )}
+                </div>
+            </DialogContent>
+        </Dialog>
+    </>
+  )
+}
+
+export default ChannelInvites
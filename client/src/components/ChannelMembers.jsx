@@ -0,0 +1,198 @@
+/**
+ * ChannelMembers.jsx
+ *
+ * Members panel of the open channel, opened from the chat header.
+ * Lists the channel's admins and members with their roles. Depending on
+ * their role (see lib/channelPermissions.js) users can add contacts,
+ * remove users and change the roles below their own; everyone can leave
+ * the channel.
+ *
+ * Data Flow:
+ * - The list is loaded from /api/channel/getChannelMembers when the panel
+ *   opens, and again whenever the channel's members, admin or roles change
+ *   ("channelUpdated" updates selectedChatData)
+ * - Actions are REST calls; the server posts a system message in the
+ *   channel and notifies every affected session over the socket
+ */
+
+import { useAppStore } from "@/store";
+import { useEffect, useState } from "react";
+import { apiClient } from "@/lib/api-client";
+import {
+    ADD_CHANNEL_MEMBERS_ROUTE,
+    GET_ALL_CONTACTS_ROUTE,
+    GET_CHANNEL_MEMBERS_ROUTE,
+    LEAVE_CHANNEL_ROUTE,
+    REMOVE_CHANNEL_MEMBER_ROUTE,
+    SET_MEMBER_ROLE_ROUTE,
+} from "@/utils/constants";
+import { ASSIGNABLE_ROLES, canInChannel, channelRole, outranks, ROLE_LABELS } from "@/lib/channelPermissions";
+import { getColor } from "@/lib/utils";
+import { toast } from "sonner";
+import { HiUserGroup } from "react-icons/hi";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "./ui/dialog";
+import { Button } from "./ui/button";
+import MultipleSelector from "./ui/multiSelect";
+
+const displayName = (user) =>
+    [user?.firstName , user?.lastName].filter(Boolean).join(" ") || user?.email;
+
+function ChannelMembers() {
+    const {selectedChatData , userInfo , removeChannel} = useAppStore();
+
+    const [open , setOpen] = useState(false);
+    const [users , setUsers] = useState({admin : [] , members : []});
+    const [contacts , setContacts] = useState([]);
+    const [selectedContacts , setSelectedContacts] = useState([]);
+
+    const channelId = selectedChatData._id;
+    const role = channelRole(selectedChatData , userInfo._id);
+    const canManageMembers = canInChannel(selectedChatData , userInfo._id , "manageMembers");
+    const canManageRoles = canInChannel(selectedChatData , userInfo._id , "manageRoles");
+
+    useEffect(()=>{
+        if(!open) return;
+
+        const getMembers = async ()=>{
+            try{
+                const response = await apiClient.get(`${GET_CHANNEL_MEMBERS_ROUTE}/${channelId}` , {withCredentials : true});
+                setUsers(response.data);
+            }catch(error){
+                console.log({error});
+            }
+        }
+        getMembers();
+    },[open , channelId , selectedChatData.members , selectedChatData.admin , selectedChatData.roles])
+
+    // Contacts to pick new members from (manageMembers only)
+    useEffect(()=>{
+        if(!open || !canManageMembers) return;
+
+        const getContacts = async ()=>{
+            try{
+                const response = await apiClient.get(GET_ALL_CONTACTS_ROUTE , {withCredentials : true});
+                setContacts(response.data.contacts);
+            }catch(error){
+                console.log({error});
+            }
+        }
+        getContacts();
+    },[open , canManageMembers])
+
+    /**
+     * Run a membership action and report a refusal
+     *
+     * @param {string} route - Action route (the channel ID is appended)
+     * @param {Object} [body] - Request body
+     * @returns {Promise<boolean>} Whether the server accepted it
+     */
+    const runAction = async (route , body = {}) =>{
+        try{
+            await apiClient.post(`${route}/${channelId}` , body , {withCredentials : true});
+            return true;
+        }catch(error){
+            toast.error(error.response?.data?.msg || "Something went wrong, please try again");
+            return false;
+        }
+    }
+
+    const addMembers = async () =>{
+        if(selectedContacts.length === 0) return;
+
+        const added = await runAction(ADD_CHANNEL_MEMBERS_ROUTE , {
+            members : selectedContacts.map((contact) => contact.value),
+        });
+        if(added) setSelectedContacts([]);
+    }
+
+    const leave = async () =>{
+        if(await runAction(LEAVE_CHANNEL_ROUTE)){
+            setOpen(false);
+            removeChannel(channelId);
+        }
+    }
+
+    const inChannel = new Set([...users.admin , ...users.members].map((user) => user._id));
+    const addableContacts = contacts.filter((contact) => !inChannel.has(contact.value));
+
+    const renderUser = (user) =>{
+        const self = user._id === userInfo._id;
+        const userRole = channelRole(selectedChatData , user._id);
+        const manageable = !self && outranks(role , userRole);
+        return (
+            <div key = {user._id} className="flex items-center gap-3 py-2">
+                <div className={`${getColor(user.colorTheme)} h-8 w-8 shrink-0 uppercase text-sm font-bold
+                    border-[2px] flex items-center justify-center rounded-full`}>
+                    {(user.firstName || user.email).charAt(0)}
+                </div>
+                <div className="flex-1 min-w-0 truncate text-sm">
+                    {displayName(user)} {self && <span className="text-neutral-500">(you)</span>}
+                </div>
+                {canManageRoles && manageable
+                    ? <select className="bg-[#2c2e3b] rounded px-1 py-0.5 text-xs focus:outline-none"
+                        value={userRole} title="Role"
+                        onChange={(e) => runAction(SET_MEMBER_ROLE_ROUTE , {memberId : user._id , role : e.target.value})}>
+                        {ASSIGNABLE_ROLES.filter((option) => option === userRole || outranks(role , option)).map((option) => (
+                            <option key = {option} value={option}>{ROLE_LABELS[option]}</option>
+                        ))}
+                    </select>
+                    : userRole !== "member" && <span className="text-xs text-[#8417ff]">{ROLE_LABELS[userRole]}</span>}
+                {canManageMembers && manageable && (
+                    <button className="text-xs text-red-400 hover:text-red-300 transition-all duration-300"
+                        onClick={() => runAction(REMOVE_CHANNEL_MEMBER_ROUTE , {memberId : user._id})}>
+                        Remove
+                    </button>
+                )}
+            </div>
+        )
+    }
+
+  return (
+    <>
+        <button className="text-neutral-500 focus:border-none focus:outline-none
+            hover:text-white duration-300 transition-all" title="Members"
+            onClick={() => setOpen(true)}>
+            <HiUserGroup className="text-2xl"/>
+        </button>
+        <Dialog open = {open} onOpenChange = {setOpen}>
+            <DialogContent className="bg-[#181920] text-white border-none w-[450px] max-h-[80vh] flex flex-col">
+                <DialogHeader>
+                    <DialogTitle># {selectedChatData.name}</DialogTitle>
+                    <DialogDescription className="text-neutral-500">
+                        {inChannel.size} {inChannel.size === 1 ? "member" : "members"}
+                    </DialogDescription>
+                </DialogHeader>
+                {selectedChatData.description && (
+                    <p className="text-sm text-white/70 whitespace-pre-wrap break-words">{selectedChatData.description}</p>
+                )}
+                {canManageMembers && (
+                    <div className="flex gap-2 items-start">
+                        <MultipleSelector className = "rounded-lg bg-[#2c2e3b] border-none py-2 text-white"
+                            options = {addableContacts}
+                            placeholder = "Add contacts"
+                            value = {selectedContacts}
+                            onChange = {setSelectedContacts}
+                            emptyIndicator = {
+                                <p className="text-center text-lg leading-10 text-white/90 bg-[#2c2e3b]">
+                                    No Result Found
+                                </p>
+                            }
+                            hidePlaceholderWhenSelected
+                        />
+                        <Button className="bg-purple-700 hover:bg-purple-900 transition-all duration-300"
+                            onClick={addMembers}>Add</Button>
+                    </div>
+                )}
+                <div className="flex-1 overflow-y-auto">
+                    {users.admin.map(renderUser)}
+                    {users.members.map(renderUser)}
+                </div>
+                <Button className="w-full bg-red-700/80 hover:bg-red-800 transition-all duration-300"
+                    onClick={leave}>Leave Channel</Button>
+            </DialogContent>
+        </Dialog>
+    </>
+  )
+}
+
+export default ChannelMembers
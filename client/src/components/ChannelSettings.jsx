@@ -0,0 +1,146 @@
+/**
+ * ChannelSettings.jsx
+ *
+ * Settings dialog of the open channel, shown in the chat header to roles
+ * that may manage the channel (owner and admins): name, topic,
+ * description, visibility and avatar.
+ *
+ * Data Flow:
+ * - Text settings and visibility are saved together through
+ *   /api/channel/updateChannel
+ * - The avatar is uploaded (or removed) on its own, like profile images
+ * - The server answers every change with "channelUpdated" to all members,
+ *   which updates the channel list and the header (see updateChannel)
+ */
+
+import { useAppStore } from "@/store";
+import { useRef, useState } from "react";
+import { apiClient } from "@/lib/api-client";
+import { DELETE_CHANNEL_IMAGE_ROUTE, HOST, UPDATE_CHANNEL_IMAGE_ROUTE, UPDATE_CHANNEL_ROUTE } from "@/utils/constants";
+import { toast } from "sonner";
+import { IoSettingsOutline } from "react-icons/io5";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "./ui/dialog";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+
+function ChannelSettings() {
+    const {selectedChatData , updateChannel} = useAppStore();
+
+    const [open , setOpen] = useState(false);
+    const [name , setName] = useState("");
+    const [topic , setTopic] = useState("");
+    const [description , setDescription] = useState("");
+    const [isPrivate , setIsPrivate] = useState(true);
+    const fileInputRef = useRef(null);
+
+    const channelId = selectedChatData._id;
+
+    // Every opening starts from the current settings
+    const openSettings = () =>{
+        setName(selectedChatData.name ?? "");
+        setTopic(selectedChatData.topic ?? "");
+        setDescription(selectedChatData.description ?? "");
+        setIsPrivate(selectedChatData.isPrivate ?? true);
+        setOpen(true);
+    }
+
+    const reportError = (error) => toast.error(error.response?.data?.msg || "Something went wrong, please try again");
+
+    const saveSettings = async () =>{
+        if(!name.trim()){
+            toast.error("Channel name is required");
+            return;
+        }
+
+        try{
+            const response = await apiClient.post(`${UPDATE_CHANNEL_ROUTE}/${channelId}` ,
+                {name , topic , description , isPrivate} ,
+                {withCredentials : true}
+            );
+            updateChannel(response.data.channel);
+            toast.success("Channel updated");
+            setOpen(false);
+        }catch(error){
+            reportError(error);
+        }
+    }
+
+    const handleImageChange = async (event) =>{
+        const file = event.target.files[0];
+        event.target.value = "";
+        if(!file) return;
+
+        try{
+            const formData = new FormData();
+            formData.append("channel-image" , file);
+            const response = await apiClient.post(`${UPDATE_CHANNEL_IMAGE_ROUTE}/${channelId}` , formData , {withCredentials : true});
+            updateChannel(response.data.channel);
+        }catch(error){
+            reportError(error);
+        }
+    }
+
+    const handleImageDelete = async () =>{
+        try{
+            const response = await apiClient.delete(`${DELETE_CHANNEL_IMAGE_ROUTE}/${channelId}` , {withCredentials : true});
+            updateChannel(response.data.channel);
+        }catch(error){
+            reportError(error);
+        }
+    }
+
+    const fieldClass = "rounded-lg p-4 border-none bg-[#2c2e3b]";
+
+  return (
+    <>
+        <button className="text-neutral-500 focus:border-none focus:outline-none
+            hover:text-white duration-300 transition-all" title="Channel settings"
+            onClick={openSettings}>
+            <IoSettingsOutline className="text-2xl"/>
+        </button>
+        <Dialog open = {open} onOpenChange = {setOpen}>
+            <DialogContent className="bg-[#181920] text-white border-none w-[450px] flex flex-col gap-4">
+                <DialogHeader>
+                    <DialogTitle>Channel Settings</DialogTitle>
+                    <DialogDescription className="text-neutral-500">
+                        Changes are shown to every member
+                    </DialogDescription>
+                </DialogHeader>
+                <div className="flex items-center gap-4">
+                    {selectedChatData.channelImage
+                        ? <img src={`${HOST}/${selectedChatData.channelImage}`} alt="channel image"
+                            className="h-16 w-16 rounded-full object-cover bg-black"/>
+                        : <div className="h-16 w-16 flex items-center justify-center bg-[#ffffff22] rounded-full text-2xl">#</div>}
+                    <div className="flex gap-3 text-sm">
+                        <button className="text-[#8417ff] hover:underline" onClick={() => fileInputRef.current?.click()}>
+                            Upload image
+                        </button>
+                        {selectedChatData.channelImage && (
+                            <button className="text-red-400 hover:underline" onClick={handleImageDelete}>
+                                Remove
+                            </button>
+                        )}
+                    </div>
+                    <input type="file" className="hidden" ref={fileInputRef}
+                        accept=".png, .jpg, .jpeg, .webp, .gif" onChange={handleImageChange}/>
+                </div>
+                <Input placeholder="Channel Name" className={fieldClass} maxLength={50}
+                    value={name} onChange={(e) => setName(e.target.value)}/>
+                <Input placeholder="Topic" className={fieldClass} maxLength={250}
+                    value={topic} onChange={(e) => setTopic(e.target.value)}/>
+                <textarea placeholder="Description" maxLength={1000} rows={4}
+                    className={`${fieldClass} text-sm resize-none focus:outline-none`}
+                    value={description} onChange={(e) => setDescription(e.target.value)}/>
+                <label className="flex items-center gap-2 text-sm text-neutral-400">
+                    <input type="checkbox" checked={isPrivate} onChange={(e) => setIsPrivate(e.target.checked)}/>
+                    Private channel (hidden from Browse Channels; only admins add members)
+                </label>
+                <Button className="w-full bg-purple-700 hover:bg-purple-900 transition-all duration-300"
+                    onClick={saveSettings}>Save Changes</Button>
+            </DialogContent>
+        </Dialog>
+    </>
+  )
+}
+
+export default ChannelSettings
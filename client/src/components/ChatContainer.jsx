@@ -9,6 +9,7 @@
  * - ChatHeader: Shows current conversation info, participants, and actions
  * - MessageContainer: Displays the scrollable message history
  * - MessageBar: Input area for composing and sending new messages
+ * - ThreadPanel: Replies to a channel message, beside the chat (when a thread is open)
  * 
  * Layout Behavior:
  * - Mobile: Fixed positioning, full viewport coverage
@@ -24,6 +25,7 @@
 import ChatHeader from "./ChatHeader"
 import MessageBar from "./messageBar"
 import MessageContainer from "./messageContainer"
+import ThreadPanel from "./ThreadPanel"
 
 /**
  * Chat Container Component
@@ -41,15 +43,20 @@ import MessageContainer from "./messageContainer"
  */
 function ChatContainer() {
   return (
-    <div className="fixed top-0 flex flex-col h-[100vh] w-[100vw] md:static md:flex-1 bg-[#1c1d25]">
-        {/* Chat header with conversation info and controls */}
-        <ChatHeader/>
-        
-        {/* Main message display area - scrollable content */}
-        <MessageContainer/>
-        
-        {/* Message input and send controls */}
-        <MessageBar/>
+    <div className="fixed top-0 flex h-[100vh] w-[100vw] md:static md:flex-1 bg-[#1c1d25]">
+        <div className="flex flex-col flex-1 min-w-0">
+            {/* Chat header with conversation info and controls */}
+            <ChatHeader/>
+            
+            {/* Main message display area - scrollable content */}
+            <MessageContainer/>
+            
+            {/* Message input and send controls */}
+            <MessageBar/>
+        </div>
+
+        {/* Open channel thread, renders nothing otherwise */}
+        <ThreadPanel/>
     </div>
   )
 }
@@ -3,9 +3,62 @@ import { useAppStore } from "@/store"
 import { HOST } from "@/utils/constants"
 import { Avatar, AvatarImage } from "@radix-ui/react-avatar"
 import {RiCloseFill} from "react-icons/ri"
+import { useEffect } from "react"
+import moment from "moment"
+import { useSocket } from "../../context/SocketContext.jsx"
+import ChannelMembers from "./ChannelMembers"
+import ChannelSettings from "./ChannelSettings"
+import ChannelInvites from "./ChannelInvites"
+import { canInChannel } from "@/lib/channelPermissions"
+
+/**
+ * "Alex is typing…", "Alex and Sam are typing…" or "3 people are typing…"
+ * 
+ * @param {Array<Object>} typingUsers - [{ firstName, lastName, email }]
+ * @returns {string} Empty when nobody is typing
+ */
+const typingText = (typingUsers = []) => {
+    const names = typingUsers.map((user) => user.firstName || user.email);
+
+    if(names.length === 0) return "";
+    if(names.length === 1) return `${names[0]} is typing…`;
+    if(names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return `${names.length} people are typing…`;
+}
+
+/**
+ * "Online", "Away" or "last seen 5 minutes ago"
+ * 
+ * @param {Object} [presence] - { status, lastSeen }
+ * @returns {string} Empty when the presence is unknown
+ */
+const presenceText = (presence) => {
+    if(!presence) return "";
+    if(presence.status === "online") return "Online";
+    if(presence.status === "away") return "Away";
+    return presence.lastSeen ? `last seen ${moment(presence.lastSeen).fromNow()}` : "Offline";
+}
 
 function ChatHeader() {
-    const {closeChat , selectedChatType , selectedChatData} = useAppStore()
+    const {closeChat , selectedChatType , selectedChatData , userInfo , typingUsers , presence , updatePresence} = useAppStore()
+    const socket = useSocket()
+    const contactPresence = selectedChatType === "contact" ? presence[selectedChatData._id] : undefined
+
+    // Contacts from before this connection are in the snapshot; anyone
+    // who became a contact since is watched from the moment it is opened
+    // (the server only answers for contacts and channel co-members)
+    const chatId = selectedChatData._id
+    const hasPresence = Boolean(contactPresence)
+    useEffect(()=>{
+        if(!socket || selectedChatType !== "contact" || hasPresence) return;
+
+        socket.emit("presence:subscribe" , {userIds : [chatId]} , (result)=>{
+            if(result?.ok) updatePresence(result.users);
+        });
+    },[socket , selectedChatType , chatId , hasPresence , updatePresence])
+    // DMs are keyed by the contact's ID and channels by the channel's, so
+    // both look up the selected chat's ID
+    const typing = typingText(typingUsers[selectedChatData._id]);
   return (
     <div className="flex justify-between items-center border-b-2 border-[#2f303b] h-[10vh] px-5">
         <div className="flex gap-5 items-center justify-between w-full">
@@ -24,6 +77,9 @@ function ChatHeader() {
                                                     : selectedChatData.email.split("").shift()}
                             </div>)}    
                     </Avatar>
+                    ) : selectedChatData.channelImage ? (
+                        <img src={`${HOST}/${selectedChatData.channelImage}`} alt="channel image"
+                            className="h-12 w-12 rounded-full object-cover bg-black"/>
                     ) : (
                         <div className = "h-10 w-10 flex items-center justify-center bg-[#ffffff22] rounded-full" >
                             #
@@ -31,15 +87,28 @@ function ChatHeader() {
                     )}        
                 </div>
                 <div>
-                    {selectedChatType === "channel" && selectedChatData.name} 
-                    {
-                        selectedChatType === "contact" && selectedChatData.firstName
-                        ? `${selectedChatData.firstName} ${selectedChatData.lastName}`
-                        : selectedChatData.email
-                    }
+                    <div>
+                        {selectedChatType === "channel" && selectedChatData.name} 
+                        {
+                            selectedChatType === "contact" && selectedChatData.firstName
+                            ? `${selectedChatData.firstName} ${selectedChatData.lastName}`
+                            : selectedChatData.email
+                        }
+                    </div>
+                    {typing
+                        ? <div className="text-xs text-[#8417ff] italic">{typing}</div>
+                        : contactPresence && <div className="text-xs text-neutral-500">{presenceText(contactPresence)}</div>}
+                    {!typing && selectedChatType === "channel" && selectedChatData.topic && (
+                        <div className="text-xs text-neutral-500 truncate max-w-[40vw]" title={selectedChatData.topic}>
+                            {selectedChatData.topic}
+                        </div>
+                    )}
                 </div>
             </div>
             <div className="flex gap-5 items-center justify-center ">
+                {selectedChatType === "channel" && canInChannel(selectedChatData , userInfo._id , "manageMembers") && <ChannelInvites/>}
+                {selectedChatType === "channel" && canInChannel(selectedChatData , userInfo._id , "manageChannel") && <ChannelSettings/>}
+                {selectedChatType === "channel" && <ChannelMembers/>}
                 <button className="text-neutral-500 focus:border-none focus:outline-none
                  focus:text-white duration-300 transition-all "
                  onClick = {closeChat}>
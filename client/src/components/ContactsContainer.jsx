@@ -7,6 +7,8 @@ import { useAppStore } from "@/store";
 import { toast } from "sonner";
 import ContactsList from "./ContactsList";
 import CreateChannel from "./CreateChannel";
+import BrowseChannels from "./BrowseChannels";
+import SearchMessages from "./SearchMessages";
 
 function ContactsContainer() {
     const {setDirectMessagesContacts , directMessagesContacts , selectedChatMessages , channels , setChannels} = useAppStore();
@@ -46,6 +48,7 @@ function ContactsContainer() {
         <div className="pt-3">
             <Logo/>
         </div>
+        <SearchMessages/>
         <div className="my-5">
             <div className="flex justify-between items-center pr-10">
                 <Title text="Direct Messages"></Title>
@@ -58,7 +61,10 @@ function ContactsContainer() {
         <div className="my-5">
             <div className="flex justify-between items-center pr-10">
                 <Title text="Channels"></Title>
-                <CreateChannel/>
+                <div className="flex items-center gap-4">
+                    <BrowseChannels/>
+                    <CreateChannel/>
+                </div>
             </div>
             <div className="max-h-[38vh] overflow-y-auto scrollbar-hidden">
                 <ContactsList contacts={channels} isChannel = {true}/>
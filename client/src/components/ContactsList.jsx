@@ -11,6 +11,7 @@ const ContactsList = ({contacts , isChannel = false}) => {
         setSelectedChatType,
         setSelectedChatData,
         setSelectedChatMessages,
+        presence,
     } = useAppStore();
 
     const handleClick = (contact) =>{
@@ -38,6 +39,7 @@ const ContactsList = ({contacts , isChannel = false}) => {
                     <div className = "flex gap-5 items-center justify-start text-neutral-300">
                         {
                             !isChannel && <div className="flex items-center gap-3">
+                                <div className="relative">
                                 <div className="h-10 w-10 relative rounded-full overflow-hidden ">
                                     <Avatar >
                                         {contact.imageURL ? (<AvatarImage 
@@ -52,17 +54,43 @@ const ContactsList = ({contacts , isChannel = false}) => {
                                             </div>)}    
                                     </Avatar>
                                 </div>
+                                {/* Presence dot: green online, yellow away, none offline */}
+                                {presence[contact._id]?.status && presence[contact._id].status !== "offline" && (
+                                    <span className={`absolute bottom-0 right-0 h-3 w-3 rounded-full border-2 border-[#1b1c24]
+                                        ${presence[contact._id].status === "online" ? "bg-green-500" : "bg-yellow-500"}`}
+                                        title={presence[contact._id].status === "online" ? "Online" : "Away"}/>
+                                )}
+                                </div>
                             </div>
                         }
                         {
-                            isChannel && (<div className = "h-10 w-10 flex items-center justify-center bg-[#ffffff22] rounded-full" >
-                                #
-                            </div>)
+                            isChannel && (contact.channelImage
+                                ? <img src={`${HOST}/${contact.channelImage}`} alt="channel image"
+                                    className="h-10 w-10 rounded-full object-cover bg-black"/>
+                                : <div className = "h-10 w-10 flex items-center justify-center bg-[#ffffff22] rounded-full" >
+                                    #
+                                </div>)
                         }
-                        {isChannel ? (
-                                <span>{contact.name}</span>
-                            ) : (<span>{contact.firstName} {contact.lastName}</span>
-                        )}
+                        <div className="flex-1 min-w-0 pr-5">
+                            <div className="flex items-center gap-2">
+                                {isChannel ? (
+                                        <span className="truncate">{contact.name}</span>
+                                    ) : (<span className="truncate">{contact.firstName} {contact.lastName}</span>
+                                )}
+                                {/* Unread badge, cleared when the chat is opened */}
+                                {contact.unreadCount > 0 && (
+                                    <span className="ml-auto bg-[#8417ff] text-white text-xs font-semibold
+                                        rounded-full min-w-5 h-5 px-1.5 flex items-center justify-center">
+                                        {contact.unreadCount > 99 ? "99+" : contact.unreadCount}
+                                    </span>
+                                )}
+                            </div>
+                            {contact.lastMessagePreview && (
+                                <div className={`text-xs truncate ${contact.unreadCount > 0 ? "text-white" : "text-neutral-500"}`}>
+                                    {contact.lastMessagePreview}
+                                </div>
+                            )}
+                        </div>
                     </div>
                 </div>
             ))
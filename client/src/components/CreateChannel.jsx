@@ -19,6 +19,7 @@ function CreateChannel() {
     const [allContacts, setAllContacts] = useState([]);
     const [selectedContacts, setSelectedContacts] = useState([]);
     const [channelName, setChannelName] = useState("");
+    const [isPrivate, setIsPrivate] = useState(false);
 
    
 
@@ -37,12 +38,14 @@ function CreateChannel() {
                     {   
                         name : channelName , 
                         members : selectedContacts.map((contact) => contact.value),
+                        isPrivate,
                     },
                     {withCredentials : true}
                 );
 
                 if(response.data.channel){
                     setChannelName("");
+                    setIsPrivate(false);
                     setAllContacts([]);
                     setNewChannelModal(false);
                     addChannel(response.data.channel);
@@ -72,7 +75,7 @@ function CreateChannel() {
             </Tooltip>
         </TooltipProvider>
         <Dialog open = {newChannelModal} onOpenChange = {setNewChannelModal} >
-            <DialogContent className="bg-[#181920] text-white items-center border-none w-[400px] h-[400px] flex flex-col">
+            <DialogContent className="bg-[#181920] text-white items-center border-none w-[400px] h-[450px] flex flex-col">
                 <DialogDescription className="hidden"/>
                 <DialogHeader>
                     <DialogTitle>Select Contacts For New Channel</DialogTitle>
@@ -96,6 +99,11 @@ function CreateChannel() {
                         hidePlaceholderWhenSelected   
                     />
                 </div>
+                <label className="w-full flex items-center gap-2 text-sm text-neutral-400">
+                    <input type = "checkbox" checked = {isPrivate}
+                        onChange = {(e) => setIsPrivate(e.target.checked)}/>
+                    Private channel (hidden from Browse Channels; only admins add members)
+                </label>
                 <div className="w-full">
                     <Button className = "w-full bg-purple-700 hover:bg-purple-900 transition-all duration-300" 
                     onClick = {createChannel}>Create Channel</Button>
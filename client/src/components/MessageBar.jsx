@@ -1,23 +1,81 @@
 import EmojiPicker from "emoji-picker-react";
-import { useEffect, useRef, useState } from "react"
+import { useCallback, useEffect, useRef, useState } from "react"
 import {GrAttachment} from "react-icons/gr"
-import { IoSend } from "react-icons/io5";
+import { IoCloseSharp, IoSend } from "react-icons/io5";
 import { RiEmojiStickerLine } from "react-icons/ri";
 import { useAppStore } from "@/store"; 
 import { useSocket } from "../../context/SocketContext.jsx"
 import { apiClient } from "@/lib/api-client.js";
 import { UPLOAD_FILE_ROUTE } from "@/utils/constants.js";
 import { toast } from "sonner";
+import { sendMessageWithOutbox } from "@/lib/outbox.js";
+import { canInChannel } from "@/lib/channelPermissions.js";
 
+// "typing:start" is repeated at most this often while the user types
+const TYPING_THROTTLE_MS = 2500;
+// Without a keystroke for this long the user counts as no longer typing
+const TYPING_IDLE_MS = 3000;
 
 function MessageBar() {
-    const {userInfo , selectedChatData , selectedChatType} = useAppStore();
+    const {selectedChatData ,
+        selectedChatType ,
+        userInfo ,
+        editingMessage ,
+        setEditingMessage ,
+        replyingTo ,
+        setReplyingTo ,
+        viewingHistory ,
+        showLatestMessages
+    } = useAppStore();
     const socket = useSocket();
     const emojiRef = useRef();
     const fileInputRef = useRef();
     const [message , setMessage] = useState("");
     const [emojiPickerOpen , setEmojiPickerOpen] = useState(false);
 
+    // Typing indicator state: where "typing:start" was last sent, when,
+    // and the idle timer that will send "typing:stop"
+    const typingRef = useRef({target : null , lastStartAt : 0 , idleTimer : null});
+
+    /**
+     * Tell the conversation the user stopped typing, if we said they were
+     */
+    const stopTyping = useCallback(()=>{
+        const typing = typingRef.current;
+        clearTimeout(typing.idleTimer);
+        if(typing.target && socket){
+            socket.emit("typing:stop" , typing.target);
+        }
+        typingRef.current = {target : null , lastStartAt : 0 , idleTimer : null};
+    },[socket]);
+
+    /**
+     * Called on every keystroke: sends a throttled "typing:start" and
+     * (re)arms the idle timer
+     */
+    const notifyTyping = ()=>{
+        if(!socket || !selectedChatData) return;
+
+        const typing = typingRef.current;
+        const now = Date.now();
+        if(!typing.target || now - typing.lastStartAt > TYPING_THROTTLE_MS){
+            typing.target = selectedChatType === "channel"
+                ? {channel : selectedChatData._id}
+                : {receiver : selectedChatData._id};
+            typing.lastStartAt = now;
+            socket.emit("typing:start" , typing.target);
+        }
+
+        clearTimeout(typing.idleTimer);
+        typing.idleTimer = setTimeout(stopTyping , TYPING_IDLE_MS);
+    };
+
+    // Switching chats or leaving the page ends typing in the previous chat
+    const chatId = selectedChatData?._id;
+    useEffect(()=>{
+        return ()=> stopTyping();
+    },[chatId , stopTyping])
+
     useEffect(()=>{
 
         function handleClickOutside(event){
@@ -38,6 +96,10 @@ function MessageBar() {
         const handleKeyDown = (event) =>{
             if(event.key === "Enter"){
                 handleSendMessage();
+            }else if(event.key === "Escape" && editingMessage){
+                setEditingMessage(undefined);
+            }else if(event.key === "Escape" && replyingTo){
+                setReplyingTo(undefined);
             }
         }
         window.addEventListener("keydown" , handleKeyDown);
@@ -47,33 +109,91 @@ function MessageBar() {
         }
     })
 
+    // Entering edit mode loads the message text into the input;
+    // leaving it (cancel, save, chat switch) clears the input again
+    useEffect(()=>{
+        setMessage(editingMessage ? editingMessage.content : "");
+    },[editingMessage])
+
     const handleAddEmoji = (emoji)=>{
         setMessage((msg)=> msg+ emoji.emoji)
     };
 
+    /**
+     * Send a new message in the open chat
+     * 
+     * Goes through the outbox: the message shows up at once as pending and
+     * is resent after a reconnect until the server acknowledges it. A
+     * refused send (e.g. the user was removed from the channel or the
+     * quoted message is gone) stays in the chat as failed, with a retry.
+     * 
+     * @param {Object} fields - { content, messageType, fileUrl }
+     */
+    const sendNewMessage = (fields)=>{
+        const channel = selectedChatType === "channel";
+        const replyTo = replyingTo?._id;
+
+        // New messages belong at the bottom of the latest page
+        if(viewingHistory) showLatestMessages();
+
+        sendMessageWithOutbox(socket , {
+            event : channel ? "sendMessageOnChannel" : "sendMessage",
+            payload : channel
+                ? {channel : selectedChatData._id , ...fields , replyTo}
+                : {receiver : selectedChatData._id , ...fields , replyTo},
+            chatId : selectedChatData._id,
+            // Same shape as the chat's other messages (see addMessage)
+            message : {
+                ...fields,
+                sender : channel ? userInfo : userInfo._id,
+                receiver : channel ? undefined : selectedChatData._id,
+                channelId : channel ? selectedChatData._id : undefined,
+                replyTo : replyingTo && {
+                    _id : replyingTo._id,
+                    sender : replyingTo.sender,
+                    messageType : replyingTo.messageType,
+                    content : replyingTo.content,
+                    fileUrl : replyingTo.fileUrl,
+                },
+            },
+        });
+    };
+
+    /**
+     * Save the edited text of editingMessage
+     * Edit mode stays open if the server refuses, so the text is not lost
+     */
+    const handleEditMessage = ()=>{
+        socket.emit("editMessage" , {
+            messageId : editingMessage._id,
+            content : message,
+        } , (result)=>{
+            if(result && !result.ok){
+                toast.error(result.msg || "Message could not be edited");
+                return;
+            }
+            setEditingMessage(undefined);
+        })
+    };
+
     const handleSendMessage = ()=>{
 
         if(!message.trim()) return 
 
-        if(selectedChatType === "contact"){
-            socket.emit("sendMessage" , {
-                sender : userInfo._id,
-                receiver : selectedChatData._id,
-                content : message,
-                messageType : "text",
-                fileUrl : undefined
-            })
-        }else if(selectedChatType === "channel"){
-            socket.emit("sendMessageOnChannel" , {
-                sender : userInfo._id,
-                channel: selectedChatData._id,
-                content : message,     
-                messageType : "text",
-                fileUrl : undefined
-            })
+        if(editingMessage){
+            handleEditMessage();
+            return;
         }
 
+        sendNewMessage({
+            content : message,
+            messageType : "text",
+            fileUrl : undefined,
+        });
+
         setMessage("");
+        setReplyingTo(undefined);
+        stopTyping();
         
     };
 
@@ -92,23 +212,12 @@ function MessageBar() {
                 
                 const response = await apiClient.post(UPLOAD_FILE_ROUTE , formData , {withCredentials : true})
                 if(response.status === 200 && response.data){
-                    if(selectedChatType === "contact"){
-                        socket.emit("sendMessage" , {
-                            sender : userInfo._id,
-                            receiver : selectedChatData._id,
-                            content : undefined,
-                            messageType : "file",
-                            fileUrl : response.data.filePath
-                        })
-                    }else if(selectedChatType === "channel"){
-                        socket.emit("sendMessageOnChannel" , {
-                            sender : userInfo._id,
-                            channel : selectedChatData._id,
-                            content : undefined,
-                            messageType : "file",
-                            fileUrl : response.data.filePath
-                        })
-                    }                  
+                    sendNewMessage({
+                        content : undefined,
+                        messageType : "file",
+                        fileUrl : response.data.filePath,
+                    });
+                    setReplyingTo(undefined);
                 }
             }
         }catch(error){
@@ -117,22 +226,73 @@ function MessageBar() {
     }
 
 
+    // In channels the user's role decides whether they may post or share files
+    const inChannel = selectedChatType === "channel";
+    const canPost = !inChannel || canInChannel(selectedChatData , userInfo._id , "postMessages");
+    const canUpload = !inChannel || canInChannel(selectedChatData , userInfo._id , "uploadFiles");
+
+    if(!canPost){
+        return (
+            <div className="h-[10vh] bg-[#1c1d25] flex justify-center items-center px-8 mb-6 text-neutral-500">
+                You can only read this channel
+            </div>
+        )
+    }
+
   return (
     <div className="h-[10vh] bg-[#1c1d25] flex justify-center 
-        items-center px-8 mb-6 gap-6 z-100">
+        items-center px-8 mb-6 gap-6 z-100 relative">
+        {
+            editingMessage && <div className="absolute -top-6 left-8 flex items-center gap-2 text-sm text-[#8417ff]">
+                <span>Editing message · Esc to cancel</span>
+                <button className="text-neutral-500 hover:text-white transition-all duration-300"
+                    onClick={() => setEditingMessage(undefined)}>
+                    <IoCloseSharp/>
+                </button>
+            </div>
+        }
+        {
+            replyingTo && <div className="absolute -top-12 left-8 right-8 flex items-center gap-2 
+                border-l-4 border-[#8417ff] bg-[#2a2b33] rounded px-3 py-1 text-sm">
+                <div className="flex-1 min-w-0">
+                    <div className="text-[#8417ff] text-xs">
+                        Replying to {(replyingTo.sender?._id ?? replyingTo.sender) === userInfo._id
+                            ? "yourself"
+                            : replyingTo.sender?.firstName ?? selectedChatData.firstName ?? "message"}
+                    </div>
+                    <div className="text-white/60 truncate">
+                        {replyingTo.messageType === "file"
+                            ? `📎 ${replyingTo.fileUrl?.split("/").pop()}`
+                            : replyingTo.content}
+                    </div>
+                </div>
+                <button className="text-neutral-500 hover:text-white transition-all duration-300"
+                    onClick={() => setReplyingTo(undefined)}>
+                    <IoCloseSharp/>
+                </button>
+            </div>
+        }
         <div className="flex flex-1 bg-[#2a2b33] rounded-md items-center gap-5 pr-5 ">
             <input type = "text" 
             className="flex-1 p-5 bg-transparent rounded-md 
             focus:border-none focus:outline-none " 
             placeholder="Enter Message"
             value = {message} 
-            onChange={(e)=>{ setMessage(e.target.value)}}
+            onChange={(e)=>{
+                setMessage(e.target.value);
+                // Edits are not new messages, and clearing the input ends typing
+                if(editingMessage) return;
+                if(e.target.value.trim()) notifyTyping();
+                else stopTyping();
+            }}
             />
-            <button className="text-neutral-500 focus:border-none focus:outline-none
-                 focus:text-white duration-300 transition-all " onClick={handleAttachmentClick}>
-                <GrAttachment className="text-2xl"/>
-            </button>
-            <input type = "file" className="hidden" ref = {fileInputRef} onChange = {handleAttachmentChange}></input>
+            {canUpload && <>
+                <button className="text-neutral-500 focus:border-none focus:outline-none
+                     focus:text-white duration-300 transition-all " onClick={handleAttachmentClick}>
+                    <GrAttachment className="text-2xl"/>
+                </button>
+                <input type = "file" className="hidden" ref = {fileInputRef} onChange = {handleAttachmentChange}></input>
+            </>}
             <div className="relative">
             <button className="text-neutral-500 focus:border-none focus:outline-none
                  focus:text-white duration-300 transition-all" 
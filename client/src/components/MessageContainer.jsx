@@ -1,13 +1,33 @@
 import { useAppStore } from "@/store";
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
 import moment from "moment";
 import { apiClient } from "@/lib/api-client";
 import { GET_CHANNEL_MESSAGES, GET_MESSAGES_ROUTE, HOST } from "@/utils/constants";
-import {MdFolderZip} from "react-icons/md"
+import {MdAddReaction, MdDelete, MdEdit, MdFolderZip, MdForum, MdPushPin, MdReply} from "react-icons/md"
 import {IoMdArrowRoundDown} from "react-icons/io"
-import { IoCloseSharp } from "react-icons/io5";
+import { IoAlertCircle, IoCheckmark, IoCheckmarkDone, IoCloseSharp, IoTimeOutline } from "react-icons/io5";
 import { getColor, getFontColor } from "@/lib/utils";
 import { Avatar, AvatarImage } from "@radix-ui/react-avatar";
+import { toast } from "sonner";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "./ui/dialog";
+import { Button } from "./ui/button";
+import { useSocket } from "../../context/SocketContext.jsx";
+import EmojiPicker from "emoji-picker-react";
+import { discardOutboxMessage, mergeOutboxMessages, retryOutboxMessage } from "@/lib/outbox";
+import { canInChannel } from "@/lib/channelPermissions";
+
+/**
+ * Fetch a page of the history of a chat
+ * 
+ * @param {string} chatType - "contact" or "channel"
+ * @param {string} chatId - Contact or channel ID
+ * @param {Object} [params] - Paging parameters: before, after or around
+ * (see server/utils/pagination.js)
+ * @returns {Promise<Object>} Axios response
+ */
+const fetchHistory = (chatType , chatId , params = {}) => chatType === "channel"
+    ? apiClient.get(`${GET_CHANNEL_MESSAGES}/${chatId}` , {params , withCredentials : true})
+    : apiClient.post(GET_MESSAGES_ROUTE , {id : chatId , ...params} , {withCredentials : true});
 
 function MessageContainer() {
 
@@ -15,12 +35,69 @@ function MessageContainer() {
         selectedChatData ,
         selectedChatType ,
         userInfo ,
-        setSelectedChatMessages
+        setSelectedChatMessages,
+        setEditingMessage,
+        setReplyingTo,
+        openThread,
+        jumpTargetId,
+        setJumpTargetId,
+        viewingHistory,
+        setViewingHistory,
+        showLatestMessages,
+        latestMessagesReload
      } = useAppStore();
+     const socket = useSocket();
 
      const [imageURL, setImageURL] = useState(null);
      const [showImage, setShowImage] = useState(false)
 
+     // Cursor paging state for the open conversation
+     // olderCursor: pass as `before` to load the page above the oldest loaded message
+     const [olderCursor, setOlderCursor] = useState(null);
+     const [loadingOlder, setLoadingOlder] = useState(false);
+
+     // newerCursor: pass as `after` to load the page below the newest loaded
+     // message; only set while viewing an older window (viewingHistory)
+     const [newerCursor, setNewerCursor] = useState(null);
+     const [loadingNewer, setLoadingNewer] = useState(false);
+
+     // Bumped to reload the latest page of the open chat
+     const [latestRequest, setLatestRequest] = useState(0);
+
+     // Chat whose latest page has been loaded into selectedChatMessages
+     // (until then the store may still hold the previous chat's messages)
+     const [historyChatId, setHistoryChatId] = useState(null);
+
+     // ID of the message whose edit history dialog is open
+     // Looked up in the store so the dialog follows live edits
+     const [historyMessageId, setHistoryMessageId] = useState(null);
+     const historyMessage = historyMessageId
+        ? selectedChatMessages.find((message) => message._id === historyMessageId && !message.deletedAt)
+        : undefined;
+
+     // Message the delete dialog was opened for
+     const [deleteTarget, setDeleteTarget] = useState(null);
+
+     // Message briefly highlighted after jumping to it from a quote
+     const [highlightedId, setHighlightedId] = useState(null);
+
+     // ID of the message whose reaction picker is open
+     const [reactionPickerId, setReactionPickerId] = useState(null);
+     const reactionPickerRef = useRef();
+
+     useEffect(()=>{
+        function handleClickOutside(event){
+            if(reactionPickerRef.current && !reactionPickerRef.current.contains(event.target)){
+                setReactionPickerId(null);
+            }
+        }
+
+        document.addEventListener("mousedown" , handleClickOutside);
+        return ()=>{
+            document.removeEventListener("mousedown" , handleClickOutside)
+        }
+     },[])
+
      const checkIfImage = (filePath) =>{
         const imageRegex = /\.(jpg|jpeg|png|gif|bmp|tiff|tif|webp|svg|ico|heic|heif)$/i;
         return imageRegex.test(filePath);
@@ -28,14 +105,22 @@ function MessageContainer() {
 
      useEffect(()=>{
 
+        // A new conversation starts with no older pages known
+        setOlderCursor(null);
+        setLoadingOlder(false);
+        setNewerCursor(null);
+        setLoadingNewer(false);
+        setHistoryChatId(null);
+
         const getAllMessages = async () =>{
             try{
-                const response = await apiClient.post(GET_MESSAGES_ROUTE ,
-                     {id : selectedChatData._id} ,
-                     {withCredentials : true}
-                );
+                // Latest page only; older pages load on scroll
+                const response = await fetchHistory("contact" , selectedChatData._id);
                 if(response.data.messages){ 
-                    setSelectedChatMessages(response.data.messages);
+                    // Unsent messages from the outbox follow the latest page
+                    setSelectedChatMessages(mergeOutboxMessages(selectedChatData._id , response.data.messages));
+                    setOlderCursor(response.data.hasMore ? response.data.nextCursor : null);
+                    setHistoryChatId(selectedChatData._id);
                 }
             }catch(error){
                 console.log({error});
@@ -45,11 +130,18 @@ function MessageContainer() {
 
         const getAllChannelMessages = async () =>{
             try{
-                const response = await apiClient.get(`${GET_CHANNEL_MESSAGES}/${selectedChatData._id}` , {withCredentials : true});
+                // Latest page only; older pages load on scroll
+                const response = await fetchHistory("channel" , selectedChatData._id);
                 if(response.data.messages){
-                    setSelectedChatMessages(response.data.messages);
+                    setSelectedChatMessages(mergeOutboxMessages(selectedChatData._id , response.data.messages));
+                    setOlderCursor(response.data.hasMore ? response.data.nextCursor : null);
+                    setHistoryChatId(selectedChatData._id);
                 }
             }catch(error){
+                // 403: no longer a member, 404: channel was deleted
+                if(error.response?.status === 403 || error.response?.status === 404){
+                    toast.error(error.response.data.msg);
+                }
                 console.log({error});
             }
         }
@@ -60,15 +152,172 @@ function MessageContainer() {
                 getAllChannelMessages();
             }
         }
-     },[selectedChatData, selectedChatType])
+     },[selectedChatData, selectedChatType, latestRequest, latestMessagesReload])
 
-    const containerRef = useRef();
+    // Leaving an older window (e.g. sending a message from it) shows the
+    // latest messages again: newer pages left to load outside an older
+    // window mean the chat is behind, and the reload clears newerCursor
+    useEffect(()=>{
+        if(!viewingHistory && newerCursor){
+            setLatestRequest((count) => count + 1);
+        }
+    },[viewingHistory , newerCursor])
+
+    // Newest message this client already reported as read
+    const lastMarkedReadRef = useRef(null);
+
+    // Read receipts: while the chat is on screen, tell the server the
+    // conversation is read up to the newest message someone else sent
     useEffect(()=>{
+        if(!socket) return;
+
+        const markRead = () =>{
+            if(document.visibilityState !== "visible") return;
+
+            const unread = [...selectedChatMessages].reverse().find((message) =>{
+                if((message.sender?._id ?? message.sender) === userInfo._id) return false;
+                return selectedChatType === "channel"
+                    ? !message.readBy?.some((entry) => entry.user === userInfo._id)
+                    : !message.readAt;
+            });
+            if(!unread || unread._id === lastMarkedReadRef.current) return;
+
+            lastMarkedReadRef.current = unread._id;
+            socket.emit("markRead" , {messageId : unread._id});
+        }
+
+        markRead();
+        // A chat left open in a background tab is read when the tab is shown
+        document.addEventListener("visibilitychange" , markRead);
+        return ()=>{
+            document.removeEventListener("visibilitychange" , markRead);
+        }
+    },[selectedChatMessages , selectedChatType , userInfo , socket])
+
+    const containerRef = useRef();
+
+    // Message that was at the top before older messages were prepended,
+    // with its on-screen position, so the next layout keeps it in place
+    const prependAnchorRef = useRef(null);
+
+    // ID of the newest message rendered so far; only a change here (new
+    // chat or new message) scrolls to the bottom, in-place edits do not
+    const lastMessageIdRef = useRef(null);
+
+    // Message to center on after a window around it was loaded
+    const scrollTargetRef = useRef(null);
+
+    // Set while a newer page is appended, which must not scroll to the bottom
+    const appendingRef = useRef(false);
+
+    const findMessageElement = useCallback((messageId) =>
+        containerRef.current.querySelector(`[data-message-id="${messageId}"]`) , []);
+
+    useLayoutEffect(()=>{
+        const container = containerRef.current;
+        if(!container) return;
+
+        if(prependAnchorRef.current){
+            // Older page prepended: scroll by however far the anchor moved
+            const {messageId , top} = prependAnchorRef.current;
+            const element = findMessageElement(messageId);
+            if(element){
+                container.scrollTop += element.getBoundingClientRect().top - top;
+            }
+            prependAnchorRef.current = null;
+        }else if(scrollTargetRef.current){
+            findMessageElement(scrollTargetRef.current)?.scrollIntoView({block : "center"});
+            scrollTargetRef.current = null;
+        }else if(appendingRef.current){
+            appendingRef.current = false;
+        }else{
+            const lastMessageId = selectedChatMessages[selectedChatMessages.length - 1]?._id;
+            if(lastMessageId !== lastMessageIdRef.current){
+                container.scrollTop = container.scrollHeight;
+            }
+        }
+        lastMessageIdRef.current = selectedChatMessages[selectedChatMessages.length - 1]?._id;
+    },[selectedChatMessages , findMessageElement])
+
+    /**
+     * Load the page of messages above the oldest one on screen
+     * Ignores the response if the user switched chats meanwhile
+     */
+    const loadOlderMessages = async () =>{
+        if(!olderCursor || loadingOlder) return;
+
+        const chatId = selectedChatData._id;
+        setLoadingOlder(true);
+        try{
+            const response = await fetchHistory(selectedChatType , chatId , {before : olderCursor});
+
+            if(useAppStore.getState().selectedChatData?._id !== chatId) return;
+
+            const currentMessages = useAppStore.getState().selectedChatMessages;
+            const anchorElement = currentMessages[0] && findMessageElement(currentMessages[0]._id);
+            if(anchorElement){
+                prependAnchorRef.current = {
+                    messageId : currentMessages[0]._id,
+                    top : anchorElement.getBoundingClientRect().top,
+                };
+            }
+            setSelectedChatMessages([
+                ...response.data.messages,
+                ...currentMessages,
+            ]);
+            setOlderCursor(response.data.hasMore ? response.data.nextCursor : null);
+        }catch(error){
+            console.log({error});
+        }finally{
+            setLoadingOlder(false);
+        }
+    }
+
+    /**
+     * Load the page of messages below the newest one on screen
+     * Only while viewing an older window; the last page rejoins the live chat
+     */
+    const loadNewerMessages = async () =>{
+        if(!newerCursor || loadingNewer) return;
+
+        const chatId = selectedChatData._id;
+        setLoadingNewer(true);
+        try{
+            const response = await fetchHistory(selectedChatType , chatId , {after : newerCursor});
+
+            if(useAppStore.getState().selectedChatData?._id !== chatId) return;
+
+            const currentMessages = useAppStore.getState().selectedChatMessages;
+            const shown = new Set(currentMessages.map((message) => message._id));
+            const newer = response.data.messages.filter((message) => !shown.has(message._id));
+
+            appendingRef.current = true;
+            if(response.data.hasMore){
+                setSelectedChatMessages([...currentMessages , ...newer]);
+                setNewerCursor(response.data.nextCursor);
+            }else{
+                // Caught up: unsent outbox messages follow, and live messages append again
+                setSelectedChatMessages(mergeOutboxMessages(chatId , [...currentMessages , ...newer]));
+                setNewerCursor(null);
+                setViewingHistory(false);
+            }
+        }catch(error){
+            console.log({error});
+        }finally{
+            setLoadingNewer(false);
+        }
+    }
+
+    const handleScroll = () =>{
         const container = containerRef.current;
-        if(container){
-            container.scrollTop = container.scrollHeight;
+        // Start loading a little before the very top (or bottom) for smoother scrolling
+        if(container.scrollTop < 80){
+            loadOlderMessages();
+        }
+        if(container.scrollHeight - container.scrollTop - container.clientHeight < 80){
+            loadNewerMessages();
         }
-    },[selectedChatMessages])
+    }
     
     
     const downloadFile = async (url)=>{
@@ -98,17 +347,26 @@ function MessageContainer() {
             const showDate = messageDate !== lastDate; 
             lastDate = messageDate;
             return (
-                <div key = {index}>
+                <div key = {message._id ?? index} data-message-id = {message._id}
+                    className = {`rounded transition-colors duration-500 ${highlightedId === message._id ? "bg-white/10" : ""}`}>
                     {   showDate && (
                             <div className="text-center text-gray-500 my-2">
                                 {moment(message.timeStamp).format("LL")}
                             </div>
                         )
                     }{
-                        selectedChatType === "contact" && renderDMMessages(message)
+                        message.messageType === "system" && renderSystemMessage(message)
+                    }{
+                        message.deletedAt && renderDeletedMessage(message)
+                    }{
+                        !message.deletedAt && selectedChatType === "contact" && renderDMMessages(message)
                     }
                     {
-                        selectedChatType === 'channel' && renderChannelMessages(message)
+                        !message.deletedAt && message.messageType !== "system" && selectedChatType === 'channel' && renderChannelMessages(message)
+                    }{
+                        renderReactions(message)
+                    }{
+                        selectedChatType === 'channel' && renderThreadSummary(message)
                     }
                 </div>
             )
@@ -116,6 +374,390 @@ function MessageContainer() {
 
     }
 
+    // DM messages in the store hold the sender ID, channel messages the sender object
+    const isOwnMessage = (message) => (message.sender?._id ?? message.sender) === userInfo._id;
+
+    // Authors delete their own messages for everyone within the server's
+    // window (sent with userInfo); in channels, moderators and up may also
+    // delete anyone else's, at any time
+    const withinDeleteWindow = (message) => {
+        const windowMinutes = userInfo.deleteForEveryoneWindowMinutes;
+        return windowMinutes === undefined
+            || Date.now() - new Date(message.timeStamp).getTime() <= windowMinutes * 60 * 1000;
+    }
+    const canDeleteForEveryone = (message) => !message.deletedAt && message.messageType !== "system" && (
+        (isOwnMessage(message) && withinDeleteWindow(message))
+        || (selectedChatType === "channel" && canInChannel(selectedChatData , userInfo._id , "deleteOthersMessages"))
+    );
+
+    const canPin = (message) => selectedChatType === "channel" && !message.deletedAt && message.messageType !== "system"
+        && canInChannel(selectedChatData , userInfo._id , "pinMessages");
+
+    /**
+     * Hover actions on a message
+     * - Reply: any message that is not deleted; quotes it in the message bar
+     * - Reply in thread: channel messages that are not deleted; opens the thread panel
+     * - React: any message that is not deleted; opens the reaction picker
+     * - Pin/Unpin: channel messages, for roles that may pin (moderators and up)
+     * - Edit: the user's own text messages; loads the text into the message bar
+     * - Delete: any message; opens the delete dialog
+     * Unsent messages (pending or failed) have no server ID yet, so they get
+     * none of these; failed ones offer retry/discard instead (see renderReceipt)
+     */
+    const renderMessageActions = (message) => {
+        if(message.status) return null;
+
+        const actionClass = `opacity-0 group-hover:opacity-100 text-gray-500 hover:text-white 
+                transition-all duration-300 mx-1 align-middle`;
+
+        return (
+            <span className="inline-flex">
+                {!message.deletedAt && (
+                    <button className={actionClass}
+                        title="Reply"
+                        onClick={() => setReplyingTo(message)}>
+                        <MdReply/>
+                    </button>
+                )}
+                {!message.deletedAt && (
+                    <span className="relative">
+                        <button className={actionClass}
+                            title="Add reaction"
+                            onClick={() => setReactionPickerId(message._id)}>
+                            <MdAddReaction/>
+                        </button>
+                        {reactionPickerId === message._id && (
+                            <div className="absolute bottom-6 z-[60] -translate-x-1/2" ref={reactionPickerRef}>
+                                <EmojiPicker
+                                    theme = "dark"
+                                    reactionsDefaultOpen = {true}
+                                    autoFocusSearch = {false}
+                                    onReactionClick = {(emoji) => handleToggleReaction(message , emoji.emoji)}
+                                    onEmojiClick = {(emoji) => handleToggleReaction(message , emoji.emoji)}
+                                />
+                            </div>
+                        )}
+                    </span>
+                )}
+                {selectedChatType === "channel" && !message.deletedAt && (
+                    <button className={actionClass}
+                        title="Reply in thread"
+                        onClick={() => openThread(message)}>
+                        <MdForum/>
+                    </button>
+                )}
+                {canPin(message) && (
+                    <button className={`${actionClass} ${message.pinnedAt ? "text-[#8417ff]" : ""}`}
+                        title={message.pinnedAt ? "Unpin message" : "Pin message"}
+                        onClick={() => handleTogglePin(message)}>
+                        <MdPushPin/>
+                    </button>
+                )}
+                {message.messageType === "text" && !message.deletedAt && isOwnMessage(message) && (
+                    <button className={actionClass}
+                        title="Edit message"
+                        onClick={() => setEditingMessage(message)}>
+                        <MdEdit/>
+                    </button>
+                )}
+                <button className={actionClass}
+                    title="Delete message"
+                    onClick={() => setDeleteTarget(message)}>
+                    <MdDelete/>
+                </button>
+            </span>
+        )
+    }
+
+    const highlightMessage = useCallback((messageId) => {
+        setHighlightedId(messageId);
+        setTimeout(() => setHighlightedId((current) => current === messageId ? null : current) , 1500);
+    },[])
+
+    /**
+     * Scroll to a message and highlight it for a moment
+     * 
+     * A message that is not loaded is fetched with the messages around it,
+     * replacing the loaded ones; scrolling then pages in both directions
+     * from there (see loadOlderMessages and loadNewerMessages).
+     * 
+     * @param {string} messageId - ID of the message to show
+     */
+    const jumpToMessage = useCallback(async (messageId) => {
+        const element = findMessageElement(messageId);
+        if(element){
+            element.scrollIntoView({behavior : "smooth" , block : "center"});
+            highlightMessage(messageId);
+            return;
+        }
+
+        const chatId = selectedChatData._id;
+        try{
+            const response = await fetchHistory(selectedChatType , chatId , {around : messageId});
+            if(useAppStore.getState().selectedChatData?._id !== chatId) return;
+
+            const atLatest = !response.data.hasNewer;
+            scrollTargetRef.current = messageId;
+            setViewingHistory(!atLatest);
+            setSelectedChatMessages(atLatest
+                ? mergeOutboxMessages(chatId , response.data.messages)
+                : response.data.messages);
+            setOlderCursor(response.data.hasMore ? response.data.nextCursor : null);
+            setNewerCursor(atLatest ? null : response.data.newerCursor);
+            highlightMessage(messageId);
+        }catch(error){
+            // 404: deleted for this user, or not part of this chat
+            if(error.response?.status === 404){
+                toast.info("That message is no longer available.");
+            }
+            console.log({error});
+        }
+    },[findMessageElement , highlightMessage , selectedChatData._id , selectedChatType , setViewingHistory , setSelectedChatMessages])
+
+    // A chat opened at a specific message (e.g. from search) scrolls to it
+    // once its history is on screen
+    useEffect(()=>{
+        if(!jumpTargetId || historyChatId !== selectedChatData._id) return;
+
+        setJumpTargetId(undefined);
+        jumpToMessage(jumpTargetId);
+    },[jumpTargetId , historyChatId , selectedChatData._id , setJumpTargetId , jumpToMessage])
+
+    /**
+     * Quoted preview of the message a reply answers
+     * Clicking it jumps to the original
+     */
+    const renderQuote = (message) => {
+        const quoted = message.replyTo;
+        if(!quoted?._id) return null;
+
+        const quotedSenderId = quoted.sender?._id ?? quoted.sender;
+        const author = quotedSenderId === userInfo._id
+            ? "You"
+            : [quoted.sender?.firstName , quoted.sender?.lastName].filter(Boolean).join(" ") || quoted.sender?.email;
+
+        return (
+            <div className="border-l-4 border-[#8417ff] bg-black/20 rounded px-2 py-1 mb-2 
+                text-left text-sm cursor-pointer hover:bg-black/30"
+                onClick={() => jumpToMessage(quoted._id)}>
+                <div className={`${getFontColor(quoted.sender?.colorTheme)} text-xs`}>{author}</div>
+                <div className="text-white/60 truncate max-w-[300px]">
+                    {quoted.deletedAt
+                        ? <i>This message was deleted</i>
+                        : quoted.messageType === "file"
+                            ? `📎 ${quoted.fileUrl?.split("/").pop()}`
+                            : quoted.content}
+                </div>
+            </div>
+        )
+    }
+
+    /**
+     * Add or take back the user's reaction
+     * The server answers with "messageReactionsUpdated", which updates the store
+     * 
+     * @param {Object} message - Message reacted to
+     * @param {string} emoji - Emoji character
+     */
+    const handleToggleReaction = (message , emoji) => {
+        setReactionPickerId(null);
+        socket.emit("toggleReaction" , {messageId : message._id , emoji} , (result) => {
+            if(result && !result.ok){
+                toast.error(result.msg || "Reaction could not be saved");
+            }
+        });
+    }
+
+    /**
+     * Pin the message, or unpin it if pinned
+     * The server answers with "messagePinned", which updates the store
+     * 
+     * @param {Object} message - Channel message to pin or unpin
+     */
+    const handleTogglePin = (message) => {
+        socket.emit("pinMessage" , {messageId : message._id , pinned : !message.pinnedAt} , (result) => {
+            if(result && !result.ok){
+                toast.error(result.msg || "Pin could not be saved");
+            }
+        });
+    }
+
+    /**
+     * Reaction chips under a message: emoji and count, highlighted when the
+     * user reacted; hovering lists who reacted, clicking toggles the reaction
+     */
+    const renderReactions = (message) => {
+        if(message.deletedAt || !message.reactions?.length) return null;
+
+        return (
+            <div className={`flex flex-wrap gap-1 mb-1 ${isOwnMessage(message) ? "justify-end" : "justify-start"}
+                ${selectedChatType === "channel" && !isOwnMessage(message) ? "ml-10" : ""}`}>
+                {message.reactions.map((reaction) => {
+                    // users are populated ({_id, firstName, ...}) by the server
+                    const reacted = reaction.users.some((user) => (user._id ?? user) === userInfo._id);
+                    const names = reaction.users.map((user) => (user._id ?? user) === userInfo._id
+                        ? "You"
+                        : [user.firstName , user.lastName].filter(Boolean).join(" ") || user.email);
+
+                    return (
+                        <button key = {reaction.emoji}
+                            className={`flex items-center gap-1 rounded-full px-2 text-sm border transition-all duration-300
+                                ${reacted
+                                    ? "bg-[#8417ff]/20 border-[#8417ff] text-white"
+                                    : "bg-[#2a2b33] border-transparent text-white/70 hover:border-white/30"}`}
+                            title={`${names.join(", ")} reacted with ${reaction.emoji}`}
+                            onClick={() => handleToggleReaction(message , reaction.emoji)}>
+                            <span>{reaction.emoji}</span>
+                            <span className="text-xs">{reaction.users.length}</span>
+                        </button>
+                    )
+                })}
+            </div>
+        )
+    }
+
+    /**
+     * "N replies · last reply <time>" under a channel message with a thread
+     * Clicking it opens the thread panel
+     */
+    const renderThreadSummary = (message) => {
+        if(!message.threadReplyCount) return null;
+
+        return (
+            <div className={`text-xs text-[#8417ff] cursor-pointer hover:underline mb-1
+                ${userInfo._id === message.sender._id ? "text-right" : "ml-10"}`}
+                onClick={() => openThread(message)}>
+                {message.threadReplyCount} {message.threadReplyCount === 1 ? "reply" : "replies"}
+                {message.threadLastReplyAt && (
+                    <span className="text-gray-500"> · last reply {moment(message.threadLastReplyAt).calendar()}</span>
+                )}
+            </div>
+        )
+    }
+
+    /**
+     * Membership notice posted by the server ("Alex added Sam")
+     * Centered, without sender or actions
+     */
+    const renderSystemMessage = (message) => {
+        return (
+            <div className="text-center text-xs text-gray-500 italic my-2">
+                {message.content} · {moment(message.timeStamp).format("LT")}
+            </div>
+        )
+    }
+
+    /**
+     * Tombstone left by "delete for everyone"
+     * Can still be removed for the current user only
+     */
+    const renderDeletedMessage = (message) => {
+        return (
+            <div className={`group ${isOwnMessage(message) ? "text-right" : "text-left"}`}>
+                {isOwnMessage(message) && renderMessageActions(message)}
+                <div className="border border-gray-700 text-gray-500 italic inline-block 
+                    px-4 py-2 max-w-[50%] rounded my-1">
+                    This message was deleted
+                </div>
+                {!isOwnMessage(message) && renderMessageActions(message)}
+                <div className="text-xs text-gray-600">
+                    {moment(message.timeStamp).format("LT")}
+                </div>
+            </div>
+        )
+    }
+
+    /**
+     * Delete the message the dialog was opened for
+     * The server answers with "messageDeleted", which updates the store
+     * 
+     * @param {string} scope - "me" or "everyone"
+     */
+    const handleDeleteMessage = (scope) => {
+        socket.emit("deleteMessage" , {messageId : deleteTarget._id , scope} , (result) => {
+            if(result && !result.ok){
+                toast.error(result.msg || "Message could not be deleted");
+            }
+        });
+        setDeleteTarget(null);
+    }
+
+    /**
+     * Status ticks on the user's own messages
+     * - DM: sent (one tick), delivered (two ticks), read (two blue ticks)
+     * - Channel: sent, or read by at least one member (hover for how many)
+     * - Unsent (outbox): a clock while pending; when failed, the reason
+     *   with retry and discard actions
+     */
+    const renderReceipt = (message) => {
+        if(!isOwnMessage(message)) return null;
+
+        const tickClass = "inline ml-1 text-sm";
+
+        if(message.status === "pending"){
+            return <span title="Sending"><IoTimeOutline className={tickClass}/></span>;
+        }
+        if(message.status === "failed"){
+            return (
+                <span className="ml-1 text-xs text-red-400">
+                    <IoAlertCircle className="inline text-sm mr-1"/>
+                    {message.sendError || "Not sent"}
+                    <button className="ml-2 underline hover:text-white"
+                        onClick={() => retryOutboxMessage(socket , message.clientId)}>
+                        Retry
+                    </button>
+                    <button className="ml-2 underline hover:text-white"
+                        onClick={() => discardOutboxMessage(message.clientId)}>
+                        Discard
+                    </button>
+                </span>
+            );
+        }
+
+        if(selectedChatType === "channel"){
+            return message.readBy?.length
+                ? <span title={`Read by ${message.readBy.length}`}><IoCheckmarkDone className={`${tickClass} text-[#4fb3ff]`}/></span>
+                : <span title="Sent"><IoCheckmark className={tickClass}/></span>;
+        }
+
+        if(message.readAt){
+            return <span title={`Read ${moment(message.readAt).format("LLL")}`}><IoCheckmarkDone className={`${tickClass} text-[#4fb3ff]`}/></span>;
+        }
+        if(message.deliveredAt){
+            return <span title={`Delivered ${moment(message.deliveredAt).format("LLL")}`}><IoCheckmarkDone className={tickClass}/></span>;
+        }
+        return <span title="Sent"><IoCheckmark className={tickClass}/></span>;
+    }
+
+    /**
+     * "(edited)" marker; opens the list of previous revisions
+     */
+    const renderEditedMarker = (message) => {
+        if(!message.editedAt) return null;
+
+        return (
+            <span className="ml-1 cursor-pointer hover:underline"
+                title={`Edited ${moment(message.editedAt).format("LLL")}`}
+                onClick={() => setHistoryMessageId(message._id)}>
+                (edited)
+            </span>
+        )
+    }
+
+    /**
+     * Pin marker on a pinned channel message
+     */
+    const renderPinnedMarker = (message) => {
+        if(!message.pinnedAt) return null;
+
+        return (
+            <span className="ml-1 inline-flex items-center"
+                title={`Pinned ${moment(message.pinnedAt).format("LLL")}`}>
+                <MdPushPin/>
+            </span>
+        )
+    }
+
     const renderSenderImage = (message) => {
             return (
                 <div className="h-8 w-8 relative rounded-full overflow-hidden ">
@@ -140,10 +782,11 @@ function MessageContainer() {
     const renderChannelMessages = (message) =>{
        
         return (
-            <div className = {`flex gap-2 ${userInfo._id === message.sender._id ? "justify-end" : "justify-start"}`}>
+            <div className = {`group flex gap-2 items-center ${userInfo._id === message.sender._id ? "justify-end" : "justify-start"}`}>
                     {   userInfo._id !== message.sender._id && (
                             renderSenderImage(message)
                     )}
+                    {renderMessageActions(message)}
                     {message.messageType === "text" && (
                         <div className={`${message.sender._id === userInfo._id 
                             ? "bg-[#8417ff]/5 text-[#8417ff]/80 border-[#8417ff]"
@@ -156,10 +799,14 @@ function MessageContainer() {
                                     {userInfo.lastName}
                                 </div> 
                             )}    
+                            {renderQuote(message)}
                             {message.content}
                             </div>
-                            <div className="text-xs text-gray-600 flex justify-end">
+                            <div className="text-xs text-gray-600 flex justify-end items-center">
                                 {moment(message.timeStamp).format("LT")}
+                                {renderPinnedMarker(message)}
+                                {renderEditedMarker(message)}
+                                {renderReceipt(message)}
                             </div>
                         </div>        
                     )}
@@ -179,6 +826,7 @@ function MessageContainer() {
                                         </div>
                                     )
                                 }
+                                {renderQuote(message)}
                                 {checkIfImage(message.fileUrl)
                                     ? <div className="cursor-pointer"
                                         onClick={()=>{
@@ -204,8 +852,10 @@ function MessageContainer() {
                                     </div>
                                 }
                             </div>
-                            <div className="text-xs text-gray-600 flex justify-end mt-1">
+                            <div className="text-xs text-gray-600 flex justify-end items-center mt-1">
                             {moment(message.timeStamp).format("LT")}
+                            {renderPinnedMarker(message)}
+                            {renderReceipt(message)}
                             </div>
                         </div>        
                         )}
@@ -217,13 +867,15 @@ function MessageContainer() {
 
     const renderDMMessages = (message)=> {      
         return (
-            <div className = {`${selectedChatData._id === message.sender ? "text-left" : "text-right"}`}>
+            <div className = {`group ${selectedChatData._id === message.sender ? "text-left" : "text-right"}`}>
+                {renderMessageActions(message)}
                 {message.messageType === "text" && (
                     <div 
                     className={`${message.sender !== selectedChatData._id 
                         ? "bg-[#8417ff]/5 text-[#8417ff]/80 border-[#8417ff]"
                         : "bg-[#2a2b33]/5 text-white/80 border-[#ffffff]"
                     } border inline-block p-4 max-w-[50%] rounded break-words my-1`}>
+                    {renderQuote(message)}
                     {message.content}
                     </div>        
                 )}
@@ -234,6 +886,7 @@ function MessageContainer() {
                         ? "bg-[#8417ff]/5 text-[#8417ff]/80 border-[#8417ff]"
                         : "bg-[#2a2b33]/5 text-white/80 border-[#ffffff]"
                     } border inline-block p-4 max-w-[50%] rounded break-words my-1`}>
+                        {renderQuote(message)}
                         {checkIfImage(message.fileUrl)
                          ? <div className="cursor-pointer"
                             onClick={()=>{
@@ -263,6 +916,8 @@ function MessageContainer() {
                 }
                 <div className="text-xs text-gray-600">
                     {moment(message.timeStamp).format("LT")}
+                    {renderEditedMarker(message)}
+                    {renderReceipt(message)}
                 </div>          
             </div>
         )
@@ -275,8 +930,26 @@ function MessageContainer() {
 
   return (
     <div className="flex-1 overflow-y-auto scrollbar-hidden p-4 
-            px-8 md:w-[65w] lg:w-[70w] xl:w-[80vw] w-full" ref = {containerRef}>
+            px-8 md:w-[65w] lg:w-[70w] xl:w-[80vw] w-full" ref = {containerRef}
+            onScroll = {handleScroll}>
+           {
+                loadingOlder && <div className="text-center text-gray-500 text-sm my-2">
+                    Loading older messages...
+                </div>
+           }
            {renderMessages()}
+           {
+                loadingNewer && <div className="text-center text-gray-500 text-sm my-2">
+                    Loading newer messages...
+                </div>
+           }
+           {
+                viewingHistory && <button className="sticky bottom-2 left-full flex items-center gap-1 rounded-full 
+                    bg-[#8417ff] px-3 py-1 text-sm hover:bg-[#741bda] transition-all duration-300"
+                    onClick={showLatestMessages}>
+                    Jump to latest <IoMdArrowRoundDown/>
+                </button>
+           }
            {
                 showImage && <div className="top-0 left-0 h-[100vh] w-[100vw] z-[100] fixed flex 
                     items-center justify-center backdrop-blur-lg flex-col">
@@ -300,6 +973,53 @@ function MessageContainer() {
                     </div>
                  </div>
            }
+           <Dialog open = {Boolean(historyMessage)} onOpenChange = {(open) => !open && setHistoryMessageId(null)}>
+                <DialogContent className="bg-[#181920] text-white border-none w-[400px] max-h-[70vh] flex flex-col">
+                    <DialogDescription className="hidden"/>
+                    <DialogHeader>
+                        <DialogTitle>Edit History</DialogTitle>
+                    </DialogHeader>
+                    {historyMessage && (
+                        <div className="flex flex-col gap-3 overflow-y-auto">
+                            {/* Newest first: the current text, then each earlier revision */}
+                            {[
+                                {content : historyMessage.content , timeStamp : historyMessage.editedAt , label : "Current"},
+                                ...[...(historyMessage.editHistory ?? [])].reverse().map((revision , index , revisions) => ({
+                                    ...revision,
+                                    label : index === revisions.length - 1 ? "Original" : "Earlier version",
+                                })),
+                            ].map((revision , index) => (
+                                <div key = {index} className="bg-[#2c2e3b] rounded p-3">
+                                    <div className="text-xs text-gray-400 mb-1">
+                                        {revision.label} · {moment(revision.timeStamp).format("LLL")}
+                                    </div>
+                                    <div className="break-words">{revision.content}</div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </DialogContent>
+           </Dialog>
+           <Dialog open = {Boolean(deleteTarget)} onOpenChange = {(open) => !open && setDeleteTarget(null)}>
+                <DialogContent className="bg-[#181920] text-white border-none w-[400px] flex flex-col">
+                    <DialogDescription className="hidden"/>
+                    <DialogHeader>
+                        <DialogTitle>Delete Message?</DialogTitle>
+                    </DialogHeader>
+                    <div className="flex flex-col gap-3">
+                        <Button className="w-full bg-[#2c2e3b] hover:bg-[#3a3c4b] transition-all duration-300"
+                            onClick={() => handleDeleteMessage("me")}>
+                            Delete for me
+                        </Button>
+                        {deleteTarget && canDeleteForEveryone(deleteTarget) && (
+                            <Button className="w-full bg-red-700 hover:bg-red-900 transition-all duration-300"
+                                onClick={() => handleDeleteMessage("everyone")}>
+                                Delete for everyone
+                            </Button>
+                        )}
+                    </div>
+                </DialogContent>
+           </Dialog>
     </div>
   )
 }
@@ -0,0 +1,287 @@
+/**
+ * SearchMessages.jsx
+ *
+ * Message search palette (Ctrl/Cmd+K, or the search button above the
+ * conversation lists).
+ * Searches every DM and channel the user is part of, with optional filters
+ * (this conversation only, sender, date range, attachments only). Picking a
+ * hit opens its conversation and scrolls to the message.
+ *
+ * Data Flow:
+ * - Typing runs a debounced POST to /api/messages/search
+ * - "Load more results" pages with the response's nextCursor
+ * - Opening a hit selects the chat and sets jumpTargetId; MessageContainer
+ *   scrolls to it once the history is loaded
+ */
+
+import { useAppStore } from "@/store";
+import { useEffect, useState } from "react";
+import moment from "moment";
+import { apiClient } from "@/lib/api-client";
+import { SEARCH_MESSAGES_ROUTE } from "@/utils/constants";
+import { IoSearch } from "react-icons/io5";
+import { Command, CommandEmpty, CommandInput, CommandItem, CommandList } from "./ui/command";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "./ui/dialog";
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const NO_FILTERS = {thisChat : false , sender : "" , from : "" , to : "" , hasFile : false};
+
+/**
+ * Request body for a search
+ * Dates from the date inputs cover whole local days
+ *
+ * @param {string} query - Search text
+ * @param {Object} filters - Dialog filter state
+ * @param {string} [chatId] - Open conversation, used by the "this chat" filter
+ * @returns {Object} Body for SEARCH_MESSAGES_ROUTE
+ */
+const searchBody = (query , filters , chatId) => ({
+    query,
+    conversation : filters.thisChat ? chatId : undefined,
+    sender : filters.sender || undefined,
+    from : filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+    to : filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+    hasFile : filters.hasFile || undefined,
+});
+
+const displayName = (user) =>
+    [user?.firstName , user?.lastName].filter(Boolean).join(" ") || user?.email;
+
+function SearchMessages() {
+    const {selectedChatData ,
+        selectedChatType ,
+        userInfo ,
+        channels ,
+        directMessagesContacts ,
+        setSelectedChatType ,
+        setSelectedChatData ,
+        setJumpTargetId
+    } = useAppStore();
+
+    const [open , setOpen] = useState(false);
+    const [query , setQuery] = useState("");
+    const [filters , setFilters] = useState(NO_FILTERS);
+    const [results , setResults] = useState([]);
+    const [nextCursor , setNextCursor] = useState(null);
+    const [loading , setLoading] = useState(false);
+
+    const chatId = selectedChatData?._id;
+    const searchable = Boolean(query.trim()) || filters.hasFile;
+
+    // Ctrl/Cmd+K opens the palette from anywhere
+    useEffect(()=>{
+        const handleKeyDown = (event) =>{
+            if((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k"){
+                event.preventDefault();
+                setOpen(true);
+            }
+        }
+        window.addEventListener("keydown" , handleKeyDown);
+        return ()=>{
+            window.removeEventListener("keydown" , handleKeyDown);
+        }
+    },[])
+
+    // First page, whenever the query or a filter changes
+    useEffect(()=>{
+        if(!open) return;
+        if(!searchable){
+            setResults([]);
+            setNextCursor(null);
+            return;
+        }
+
+        // A newer search replaces this one before or after its request starts
+        let cancelled = false;
+        const timer = setTimeout(async ()=>{
+            setLoading(true);
+            try{
+                const response = await apiClient.post(SEARCH_MESSAGES_ROUTE ,
+                    searchBody(query , filters , chatId) ,
+                    {withCredentials : true}
+                );
+                if(cancelled) return;
+                setResults(response.data.results);
+                setNextCursor(response.data.hasMore ? response.data.nextCursor : null);
+            }catch(error){
+                console.log({error});
+            }finally{
+                if(!cancelled) setLoading(false);
+            }
+        } , SEARCH_DEBOUNCE_MS);
+
+        return ()=>{
+            cancelled = true;
+            clearTimeout(timer);
+        }
+    },[open , query , filters , chatId , searchable])
+
+    /**
+     * Append the next page of hits
+     */
+    const loadMoreResults = async () =>{
+        if(!nextCursor || loading) return;
+
+        setLoading(true);
+        try{
+            const response = await apiClient.post(SEARCH_MESSAGES_ROUTE ,
+                {...searchBody(query , filters , chatId) , before : nextCursor} ,
+                {withCredentials : true}
+            );
+            setResults((current) => [...current , ...response.data.results]);
+            setNextCursor(response.data.hasMore ? response.data.nextCursor : null);
+        }catch(error){
+            console.log({error});
+        }finally{
+            setLoading(false);
+        }
+    }
+
+    /**
+     * Open the conversation of a hit and scroll to the message
+     * Thread replies scroll to their root in the channel stream
+     *
+     * @param {Object} result - Search hit
+     */
+    const openResult = (result) =>{
+        const channel = Boolean(result.channel);
+        const targetId = channel
+            ? result.channel._id
+            : (result.sender._id === userInfo._id ? result.receiver : result.sender)._id;
+
+        if(chatId !== targetId){
+            const chat = channel
+                ? channels.find((item) => item._id === targetId) ?? result.channel
+                : directMessagesContacts.find((item) => item._id === targetId)
+                    ?? (result.sender._id === userInfo._id ? result.receiver : result.sender);
+            setSelectedChatType(channel ? "channel" : "contact");
+            setSelectedChatData(chat);
+        }
+        setJumpTargetId(result.threadRoot ?? result._id);
+        setOpen(false);
+    }
+
+    const handleOpenChange = (isOpen) =>{
+        setOpen(isOpen);
+        if(!isOpen){
+            setQuery("");
+            setFilters(NO_FILTERS);
+            setResults([]);
+            setNextCursor(null);
+        }
+    }
+
+    const updateFilter = (changes) => setFilters((current) => ({...current , ...changes}));
+
+    /**
+     * Snippet with the matched terms highlighted
+     *
+     * @param {Object} result - { snippet, highlights: [[start, end]] }
+     */
+    const renderSnippet = ({snippet , highlights}) =>{
+        const parts = [];
+        let position = 0;
+        highlights.forEach(([start , end] , index)=>{
+            parts.push(snippet.slice(position , start));
+            parts.push(<mark key = {index} className="bg-[#8417ff]/50 text-white rounded-sm">{snippet.slice(start , end)}</mark>);
+            position = end;
+        });
+        parts.push(snippet.slice(position));
+        return parts;
+    }
+
+    const renderResult = (result) =>{
+        const conversation = result.channel
+            ? `# ${result.channel.name}`
+            : displayName(result.sender._id === userInfo._id ? result.receiver : result.sender);
+
+        return (
+            <CommandItem key = {result._id} value = {result._id}
+                className="flex flex-col items-start gap-1 cursor-pointer data-[selected=true]:bg-[#2a2b33]"
+                onSelect={() => openResult(result)}>
+                <div className="flex w-full justify-between gap-2 text-xs text-gray-400">
+                    <span className="truncate">
+                        {conversation} · {result.sender._id === userInfo._id ? "You" : displayName(result.sender)}
+                    </span>
+                    <span className="shrink-0">{moment(result.timeStamp).format("ll")}</span>
+                </div>
+                <div className="text-sm text-white/80 break-words">
+                    {result.messageType === "file" && "📎 "}
+                    {renderSnippet(result)}
+                </div>
+            </CommandItem>
+        )
+    }
+
+    const inputClass = "bg-[#2a2b33] rounded px-2 py-1 text-xs text-white focus:outline-none";
+
+  return (
+    <>
+        <button className="mx-5 mb-2 w-[calc(100%-2.5rem)] flex items-center gap-2 rounded-md bg-[#2a2b33]
+            px-3 py-2 text-sm text-neutral-400 hover:text-white transition-all duration-300"
+            onClick={() => setOpen(true)}>
+            <IoSearch/>
+            <span className="flex-1 text-left">Search messages</span>
+            <kbd className="text-xs opacity-60">Ctrl K</kbd>
+        </button>
+        <Dialog open = {open} onOpenChange = {handleOpenChange}>
+            <DialogContent className="bg-[#181920] text-white border-none p-0 overflow-hidden sm:max-w-[600px]">
+                <DialogHeader className="sr-only">
+                    <DialogTitle>Search messages</DialogTitle>
+                    <DialogDescription>Search the messages of your conversations</DialogDescription>
+                </DialogHeader>
+                {/* Results are already filtered by the server */}
+                <Command shouldFilter = {false} className="bg-transparent text-white">
+                    <CommandInput placeholder="Search messages" value = {query} onValueChange = {setQuery}/>
+                    <div className="flex flex-wrap items-center gap-3 px-3 py-2 border-b border-[#2f303b] text-xs text-gray-400">
+                        {selectedChatData && (
+                            <label className="flex items-center gap-1">
+                                <input type = "checkbox" checked = {filters.thisChat}
+                                    onChange={(e) => updateFilter({thisChat : e.target.checked})}/>
+                                In {selectedChatType === "channel" ? `# ${selectedChatData.name}` : displayName(selectedChatData)}
+                            </label>
+                        )}
+                        <label className="flex items-center gap-1">
+                            From
+                            <select className={inputClass} value = {filters.sender}
+                                onChange={(e) => updateFilter({sender : e.target.value})}>
+                                <option value="">anyone</option>
+                                <option value={userInfo._id}>me</option>
+                                {selectedChatType === "contact" && (
+                                    <option value={selectedChatData._id}>{displayName(selectedChatData)}</option>
+                                )}
+                            </select>
+                        </label>
+                        <input type = "date" className={inputClass} value = {filters.from} title="From date"
+                            onChange={(e) => updateFilter({from : e.target.value})}/>
+                        <span>–</span>
+                        <input type = "date" className={inputClass} value = {filters.to} title="To date"
+                            onChange={(e) => updateFilter({to : e.target.value})}/>
+                        <label className="flex items-center gap-1">
+                            <input type = "checkbox" checked = {filters.hasFile}
+                                onChange={(e) => updateFilter({hasFile : e.target.checked})}/>
+                            Has file
+                        </label>
+                    </div>
+                    <CommandList className="max-h-[400px]">
+                        {searchable && !loading && (
+                            <CommandEmpty className="py-6 text-center text-sm text-gray-500">No messages found</CommandEmpty>
+                        )}
+                        {results.map(renderResult)}
+                        {nextCursor && (
+                            <button className="w-full text-sm text-[#8417ff] hover:underline py-2"
+                                onClick={loadMoreResults}>
+                                {loading ? "Loading..." : "Load more results"}
+                            </button>
+                        )}
+                    </CommandList>
+                </Command>
+            </DialogContent>
+        </Dialog>
+    </>
+  )
+}
+
+export default SearchMessages
@@ -0,0 +1,207 @@
+/**
+ * ThreadPanel.jsx
+ *
+ * Side panel showing the thread of a channel message.
+ * Opened from "Reply in thread" or the reply summary under a channel message,
+ * it lists the root message, its replies (oldest first) and an input to post
+ * new replies.
+ *
+ * Data Flow:
+ * - Replies are fetched page by page from getThreadMessages
+ * - New replies arrive over the socket as "recieveThreadMessage" and are
+ *   added by SocketContext (addThreadMessage)
+ * - Edits and deletions reach the panel through updateMessage/removeMessage
+ */
+
+import { useAppStore } from "@/store";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import moment from "moment";
+import { apiClient } from "@/lib/api-client";
+import { GET_THREAD_MESSAGES } from "@/utils/constants";
+import { IoCloseSharp, IoSend } from "react-icons/io5";
+import { getFontColor } from "@/lib/utils";
+import { toast } from "sonner";
+import { useSocket } from "../../context/SocketContext.jsx";
+import { canInChannel } from "@/lib/channelPermissions";
+
+function ThreadPanel() {
+    const {activeThread ,
+        threadMessages ,
+        selectedChatData ,
+        userInfo ,
+        closeThread ,
+        setThreadMessages
+    } = useAppStore();
+    const socket = useSocket();
+
+    const [reply , setReply] = useState("");
+
+    // Cursor of the page above the oldest loaded reply (null: none left)
+    const [olderCursor , setOlderCursor] = useState(null);
+    const [loading , setLoading] = useState(false);
+
+    const listRef = useRef();
+
+    // ID of the newest reply rendered so far; only a change scrolls down
+    const lastReplyIdRef = useRef(null);
+
+    const rootId = activeThread?._id;
+
+    useEffect(()=>{
+        if(!rootId) return;
+
+        setOlderCursor(null);
+        lastReplyIdRef.current = null;
+
+        const getThreadMessages = async () =>{
+            try{
+                const response = await apiClient.get(`${GET_THREAD_MESSAGES}/${rootId}` , {withCredentials : true});
+                // Ignore the answer if another thread was opened meanwhile
+                if(useAppStore.getState().activeThread?._id !== rootId) return;
+
+                setThreadMessages(response.data.messages);
+                setOlderCursor(response.data.hasMore ? response.data.nextCursor : null);
+            }catch(error){
+                if(error.response?.status === 403 || error.response?.status === 404){
+                    toast.error(error.response.data.msg);
+                    closeThread();
+                }
+                console.log({error});
+            }
+        }
+
+        getThreadMessages();
+    },[rootId , closeThread , setThreadMessages])
+
+    useLayoutEffect(()=>{
+        const lastReplyId = threadMessages[threadMessages.length - 1]?._id;
+        if(listRef.current && lastReplyId !== lastReplyIdRef.current){
+            listRef.current.scrollTop = listRef.current.scrollHeight;
+        }
+        lastReplyIdRef.current = lastReplyId;
+    },[threadMessages])
+
+    /**
+     * Load the page of replies above the oldest one shown
+     */
+    const loadEarlierReplies = async () =>{
+        if(!olderCursor || loading) return;
+
+        setLoading(true);
+        try{
+            const response = await apiClient.get(`${GET_THREAD_MESSAGES}/${rootId}` , {
+                params : {before : olderCursor},
+                withCredentials : true,
+            });
+            if(useAppStore.getState().activeThread?._id !== rootId) return;
+
+            setThreadMessages([
+                ...response.data.messages,
+                ...useAppStore.getState().threadMessages,
+            ]);
+            setOlderCursor(response.data.hasMore ? response.data.nextCursor : null);
+        }catch(error){
+            console.log({error});
+        }finally{
+            setLoading(false);
+        }
+    }
+
+    /**
+     * Post a reply in the thread
+     * The server broadcasts it back as "recieveThreadMessage"
+     */
+    const handleSendReply = () =>{
+        if(!reply.trim()) return;
+
+        socket.emit("sendMessageOnChannel" , {
+            channel : selectedChatData._id,
+            content : reply,
+            messageType : "text",
+            fileUrl : undefined,
+            threadRoot : rootId,
+        } , (result)=>{
+            if(result && !result.ok){
+                toast.error(result.msg || "Reply could not be sent");
+            }
+        });
+
+        setReply("");
+    }
+
+    if(!activeThread) return null;
+
+    const renderThreadMessage = (message) =>{
+        const own = (message.sender?._id ?? message.sender) === userInfo._id;
+        const author = own
+            ? "You"
+            : [message.sender?.firstName , message.sender?.lastName].filter(Boolean).join(" ") || message.sender?.email;
+
+        return (
+            <div key = {message._id} className="my-2">
+                <div className="flex items-baseline gap-2">
+                    <span className={`${getFontColor(message.sender?.colorTheme)} text-sm`}>{author}</span>
+                    <span className="text-xs text-gray-600">
+                        {moment(message.timeStamp).format("LT")}
+                        {message.editedAt && " (edited)"}
+                    </span>
+                </div>
+                <div className="text-white/80 break-words">
+                    {message.deletedAt
+                        ? <i className="text-gray-500">This message was deleted</i>
+                        : message.messageType === "file"
+                            ? `📎 ${message.fileUrl?.split("/").pop()}`
+                            : message.content}
+                </div>
+            </div>
+        )
+    }
+
+  return (
+    <div className="fixed top-0 right-0 z-[50] h-[100vh] w-[100vw] md:static md:z-auto md:w-[350px]
+        flex flex-col bg-[#1b1c24] border-l-2 border-[#2f303b]">
+        <div className="h-[10vh] flex items-center justify-between px-5 border-b-2 border-[#2f303b]">
+            <div className="font-semibold">Thread</div>
+            <button className="text-neutral-500 hover:text-white transition-all duration-300"
+                onClick={closeThread}>
+                <IoCloseSharp className="text-2xl"/>
+            </button>
+        </div>
+        <div className="flex-1 overflow-y-auto scrollbar-hidden px-5 py-3" ref = {listRef}>
+            {renderThreadMessage(activeThread)}
+            <div className="text-xs text-gray-500 border-b border-[#2f303b] pb-2 mb-2">
+                {activeThread.threadReplyCount ?? 0} {activeThread.threadReplyCount === 1 ? "reply" : "replies"}
+            </div>
+            {
+                olderCursor && <button className="w-full text-sm text-[#8417ff] hover:underline my-1"
+                    onClick={loadEarlierReplies}>
+                    {loading ? "Loading..." : "Load earlier replies"}
+                </button>
+            }
+            {threadMessages.map(renderThreadMessage)}
+        </div>
+        {!canInChannel(selectedChatData , userInfo._id , "postMessages")
+            ? <div className="p-4 text-center text-sm text-neutral-500">You can only read this channel</div>
+            : <div className="flex items-center gap-3 p-4">
+                <input type = "text"
+                    className="flex-1 p-3 bg-[#2a2b33] rounded-md focus:border-none focus:outline-none"
+                    placeholder="Reply in thread"
+                    value = {reply}
+                    onChange={(e)=> setReply(e.target.value)}
+                    onKeyDown={(e)=>{
+                        // Keep Enter/Escape away from the main message bar's window listener
+                        e.stopPropagation();
+                        if(e.key === "Enter") handleSendReply();
+                        if(e.key === "Escape") closeThread();
+                    }}
+                />
+                <button className="bg-[#8417ff] rounded-md p-3 hover:bg-[#741bda] transition-all duration-300"
+                    onClick={handleSendReply}>
+                    <IoSend/>
+                </button>
+            </div>}
+    </div>
+  )
+}
+
+export default ThreadPanel
@@ -0,0 +1,75 @@
+/**
+ * channelPermissions.js
+ *
+ * Channel roles and what each may do, mirroring
+ * server/utils/channelPermissions.js so the UI hides what the server would
+ * refuse. The server stays the authority; keep both matrices in sync.
+ *
+ * A channel's role of a user follows from its admin and members arrays,
+ * refined by its `roles` map (user ID -> "owner", "moderator" or "readOnly").
+ */
+
+// Roles from most to least privileged
+export const CHANNEL_ROLES = ["owner" , "admin" , "moderator" , "member" , "readOnly"];
+
+// Roles that can be given from the members panel
+export const ASSIGNABLE_ROLES = ["admin" , "moderator" , "member" , "readOnly"];
+
+export const ROLE_LABELS = {
+    owner : "Owner",
+    admin : "Admin",
+    moderator : "Moderator",
+    member : "Member",
+    readOnly : "Read-only",
+};
+
+const ROLE_PERMISSIONS = {
+    owner : {postMessages : true , uploadFiles : true , pinMessages : true , deleteOthersMessages : true , manageMembers : true , manageRoles : true , manageChannel : true},
+    admin : {postMessages : true , uploadFiles : true , pinMessages : true , deleteOthersMessages : true , manageMembers : true , manageRoles : true , manageChannel : true},
+    moderator : {postMessages : true , uploadFiles : true , pinMessages : true , deleteOthersMessages : true , manageMembers : true , manageRoles : false , manageChannel : false},
+    member : {postMessages : true , uploadFiles : true , pinMessages : false , deleteOthersMessages : false , manageMembers : false , manageRoles : false , manageChannel : false},
+    readOnly : {postMessages : false , uploadFiles : false , pinMessages : false , deleteOthersMessages : false , manageMembers : false , manageRoles : false , manageChannel : false},
+};
+
+/**
+ * Role of a user in a channel
+ *
+ * @param {Object} channel - Channel with admin, members and roles
+ * @param {string} userId
+ * @returns {string|null} One of CHANNEL_ROLES, or null when not in the channel
+ */
+export const channelRole = (channel , userId) => {
+    const stored = channel?.roles?.[userId];
+    if(channel?.admin?.includes(userId)){
+        return stored === "owner" ? "owner" : "admin";
+    }
+    if(channel?.members?.includes(userId)){
+        return stored === "moderator" || stored === "readOnly" ? stored : "member";
+    }
+    return null;
+}
+
+/**
+ * Whether a user may do something in a channel
+ *
+ * @param {Object} channel - Channel with admin, members and roles
+ * @param {string} userId
+ * @param {string} permission - e.g. "postMessages", "manageMembers"
+ * @returns {boolean}
+ */
+export const canInChannel = (channel , userId , permission) =>
+    Boolean(ROLE_PERMISSIONS[channelRole(channel , userId)]?.[permission]);
+
+/**
+ * Whether a user of one role may remove, or change the role of, a user of
+ * another (admins manage each other; nobody manages the owner)
+ *
+ * @param {string} actorRole
+ * @param {string} targetRole
+ * @returns {boolean}
+ */
+export const outranks = (actorRole , targetRole) => {
+    if(targetRole === "owner") return false;
+    if(actorRole === "admin" && targetRole === "admin") return true;
+    return CHANNEL_ROLES.indexOf(actorRole) < CHANNEL_ROLES.indexOf(targetRole);
+}
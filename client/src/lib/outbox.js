@@ -0,0 +1,204 @@
+// =====================================
+// OUTBOX - OPTIMISTIC SENDS THAT SURVIVE DISCONNECTS
+// =====================================
+// New messages from the message bar are shown in the chat right away and
+// kept in a per-user outbox (localStorage) until the server acknowledges
+// them. Each message gets a client-generated ID (clientId):
+// - the optimistic copy in the chat uses it as its _id until the ack
+//   brings the stored message's ID
+// - the server stores it and answers a resend with the stored message, so
+//   replaying the outbox after a reconnect never creates duplicates
+//
+// Entry states:
+// - "pending": waiting for an ack; sent again on every (re)connect
+// - "failed": the server refused the message (e.g. the user left the
+//   channel); kept until the user retries or discards it
+//
+// Messages in the chat mirror this with a `status` field ("pending" or
+// "failed"); acknowledged messages have none.
+
+import { useAppStore } from "@/store";
+
+// How long to wait for the server's acknowledgment of a send
+const ACK_TIMEOUT_MS = 10000;
+
+const storageKey = (userId) => `talknest-outbox:${userId}`;
+
+/**
+ * Client-generated message ID
+ * crypto.randomUUID only exists in secure contexts (HTTPS or localhost)
+ *
+ * @returns {string}
+ */
+const createClientId = () => crypto.randomUUID?.()
+    ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Outbox entries of a user, oldest first
+ *
+ * @param {string} userId - Logged-in user
+ * @returns {Array<Object>} [{ clientId, event, payload, chatId, message, status, error }]
+ */
+const loadOutbox = (userId) => {
+    try{
+        return JSON.parse(localStorage.getItem(storageKey(userId))) ?? [];
+    }catch{
+        // Unreadable storage counts as an empty outbox
+        return [];
+    }
+}
+
+const saveOutbox = (userId , entries) => {
+    if(entries.length){
+        localStorage.setItem(storageKey(userId) , JSON.stringify(entries));
+    }else{
+        localStorage.removeItem(storageKey(userId));
+    }
+}
+
+const updateEntry = (userId , clientId , changes) => {
+    saveOutbox(userId , loadOutbox(userId).map((entry) =>
+        entry.clientId === clientId ? {...entry , ...changes} : entry));
+}
+
+const removeEntry = (userId , clientId) => {
+    saveOutbox(userId , loadOutbox(userId).filter((entry) => entry.clientId !== clientId));
+}
+
+/**
+ * Emit an outbox entry and apply the server's answer
+ * - ok: the entry leaves the outbox and the chat copy gets the real ID
+ * - refused (4xx): the entry is kept as "failed"
+ * - no answer or a server error: the entry stays pending for the next
+ *   reconnect, and the chat copy shows as failed so the user can retry now
+ *
+ * @param {Socket} socket - Connected socket.io client
+ * @param {string} userId - Owner of the outbox
+ * @param {Object} entry - Outbox entry to send
+ */
+const deliver = (socket , userId , entry) => {
+    // Offline sends wait for the next "connect" (see replayOutbox)
+    if(!socket?.connected) return;
+
+    socket.timeout(ACK_TIMEOUT_MS).emit(entry.event , entry.payload , (error , result) => {
+        const {reconcileMessage} = useAppStore.getState();
+
+        if(!error && result?.ok){
+            removeEntry(userId , entry.clientId);
+            reconcileMessage(entry.clientId , {_id : result.messageId , status : undefined , sendError : undefined});
+            return;
+        }
+
+        // A late timeout for an entry a replay already delivered changes nothing
+        if(!loadOutbox(userId).some((pending) => pending.clientId === entry.clientId)) return;
+
+        if(!error && result?.status < 500){
+            updateEntry(userId , entry.clientId , {status : "failed" , error : result.msg});
+        }
+        reconcileMessage(entry.clientId , {status : "failed" , sendError : result?.msg});
+    });
+}
+
+/**
+ * Send a new message through the outbox
+ *
+ * The message is stored in the outbox, shown in the open chat as pending
+ * and emitted if the socket is connected.
+ *
+ * @param {Socket} socket - socket.io client from useSocket()
+ * @param {Object} params
+ * @param {string} params.event - "sendMessage" or "sendMessageOnChannel"
+ * @param {Object} params.payload - Event payload; clientId is added here
+ * @param {string} params.chatId - Contact or channel the message belongs to
+ * @param {Object} params.message - Chat copy in the store's shape for that
+ * chat type (IDs and timeStamp are added here)
+ */
+export const sendMessageWithOutbox = (socket , {event , payload , chatId , message}) => {
+    const {userInfo , addMessage} = useAppStore.getState();
+    const clientId = createClientId();
+
+    const entry = {
+        clientId,
+        event,
+        chatId,
+        payload : {...payload , clientId},
+        message : {...message , _id : clientId , clientId , timeStamp : new Date().toISOString()},
+        status : "pending",
+    };
+
+    saveOutbox(userInfo._id , [...loadOutbox(userInfo._id) , entry]);
+    addMessage({...entry.message , status : "pending"});
+    deliver(socket , userInfo._id , entry);
+}
+
+/**
+ * Send every pending outbox entry again
+ * Called on each socket (re)connect
+ *
+ * @param {Socket} socket - Connected socket.io client
+ */
+export const replayOutbox = (socket) => {
+    const {userInfo , reconcileMessage} = useAppStore.getState();
+    if(!userInfo) return;
+
+    for(const entry of loadOutbox(userInfo._id)){
+        if(entry.status !== "pending") continue;
+        reconcileMessage(entry.clientId , {status : "pending"});
+        deliver(socket , userInfo._id , entry);
+    }
+}
+
+/**
+ * Retry a message that failed to send
+ *
+ * @param {Socket} socket - socket.io client
+ * @param {string} clientId - Client ID of the failed message
+ */
+export const retryOutboxMessage = (socket , clientId) => {
+    const {userInfo , reconcileMessage} = useAppStore.getState();
+    const entry = loadOutbox(userInfo._id).find((pending) => pending.clientId === clientId);
+    if(!entry) return;
+
+    updateEntry(userInfo._id , clientId , {status : "pending" , error : undefined});
+    reconcileMessage(clientId , {status : "pending" , sendError : undefined});
+    deliver(socket , userInfo._id , entry);
+}
+
+/**
+ * Drop a message that failed to send, from the outbox and the chat
+ *
+ * @param {string} clientId - Client ID of the failed message
+ */
+export const discardOutboxMessage = (clientId) => {
+    const {userInfo , removeMessage} = useAppStore.getState();
+    removeEntry(userInfo._id , clientId);
+    removeMessage(clientId);
+}
+
+/**
+ * Append a chat's unsent messages to its freshly loaded history
+ *
+ * Entries whose message is already in the history were stored by the
+ * server but never acknowledged (e.g. the page closed first); they are
+ * dropped from the outbox instead.
+ *
+ * @param {string} chatId - Contact or channel ID
+ * @param {Array<Object>} messages - History page from the server
+ * @returns {Array<Object>} messages followed by the chat's outbox messages
+ */
+export const mergeOutboxMessages = (chatId , messages) => {
+    const {userInfo} = useAppStore.getState();
+    const stored = new Set(messages.map((message) => message.clientId).filter(Boolean));
+
+    const unsent = [];
+    for(const entry of loadOutbox(userInfo._id)){
+        if(entry.chatId !== chatId) continue;
+        if(stored.has(entry.clientId)){
+            removeEntry(userInfo._id , entry.clientId);
+            continue;
+        }
+        unsent.push({...entry.message , status : entry.status , sendError : entry.error});
+    }
+
+    return [...messages , ...unsent];
+}
@@ -25,6 +25,58 @@
  * @param {Function} get - Zustand state getter function
  * @returns {Object} Chat state and methods
  */
+// Message IDs remembered per conversation to recognise a message that
+// arrives twice (live, then again from the reconnect sync)
+const COUNTED_IDS_PER_CHAT = 50;
+
+/**
+ * Whether a time is after a conversation's watermark (or it has none)
+ * 
+ * @param {Object} lastSeenMessageAt - Watermarks by conversation ID
+ * @param {string} chatId - Contact or channel ID
+ * @param {string|Date} timeStamp - Time of a message
+ * @returns {boolean}
+ */
+const isNewerThanSeen = (lastSeenMessageAt , chatId , timeStamp) =>
+    lastSeenMessageAt[chatId] === undefined || Date.parse(timeStamp) > Date.parse(lastSeenMessageAt[chatId]);
+
+/**
+ * Watermarks with the conversations of a list raised to their lastMessageTime
+ * 
+ * @param {Object} lastSeenMessageAt - Current watermarks
+ * @param {Array<Object>} chats - Contacts or channels ({ _id, lastMessageTime })
+ * @returns {Object} Updated watermarks
+ */
+const withListTimes = (lastSeenMessageAt , chats) => {
+    const updated = {...lastSeenMessageAt};
+    for(const chat of chats){
+        if(chat.lastMessageTime && isNewerThanSeen(updated , chat._id , chat.lastMessageTime)){
+            updated[chat._id] = chat.lastMessageTime;
+        }
+    }
+    return updated;
+}
+
+/**
+ * Store changes recording that a conversation list counted a message:
+ * its ID joins the conversation's recent IDs, and the watermark moves up
+ * to its time (never down, as messages can arrive out of order)
+ * 
+ * @param {Object} state - { lastSeenMessageAt, countedMessageIds }
+ * @param {string} chatId - Contact or channel ID
+ * @param {Object} message - Message with _id and timeStamp
+ * @returns {Object} { lastSeenMessageAt, countedMessageIds }
+ */
+const countMessage = ({lastSeenMessageAt , countedMessageIds} , chatId , message) => ({
+    lastSeenMessageAt : isNewerThanSeen(lastSeenMessageAt , chatId , message.timeStamp)
+        ? {...lastSeenMessageAt , [chatId] : message.timeStamp}
+        : lastSeenMessageAt,
+    countedMessageIds : {
+        ...countedMessageIds,
+        [chatId] : [message._id , ...(countedMessageIds[chatId] ?? [])].slice(0 , COUNTED_IDS_PER_CHAT),
+    },
+});
+
 export const createChatSlice = (set , get) => ({
     // =====================================
     // CURRENT CHAT SELECTION STATE
@@ -73,16 +125,145 @@ export const createChatSlice = (set , get) => ({
      * Updated when channel messages arrive
      */
     channels : [],
+
+    /**
+     * Message currently being edited in the message bar
+     * undefined: the bar composes a new message
+     * Set from the edit action on one of the user's own text messages
+     */
+    editingMessage : undefined,
+
+    /**
+     * Message the user is replying to
+     * undefined: the next message is not a reply
+     * Shown as a quoted preview above the message bar while composing
+     */
+    replyingTo : undefined,
+
+    /**
+     * Message the open chat should scroll to and highlight once its
+     * history is loaded (e.g. a search hit)
+     * undefined: open the chat at the latest messages
+     */
+    jumpTargetId : undefined,
+
+    /**
+     * Whether selectedChatMessages is an older window of the chat that
+     * does not reach its newest message (opened around a search hit or a
+     * quoted message)
+     * Live messages are not appended meanwhile; they load with the newer
+     * pages or when the chat returns to its latest messages
+     */
+    viewingHistory : false,
+
+    /**
+     * Bumped to make MessageContainer load the open chat's latest page
+     * again, e.g. after missed messages could not be synced
+     */
+    latestMessagesReload : 0,
+
+    // =====================================
+    // CHANNEL THREAD STATE
+    // =====================================
+
+    /**
+     * Root message of the thread open in the side panel
+     * undefined: no thread panel
+     */
+    activeThread : undefined,
+
+    /**
+     * Replies loaded for activeThread, oldest first
+     * Live replies arrive through "recieveThreadMessage"
+     */
+    threadMessages : [],
+
+    // =====================================
+    // TYPING INDICATORS
+    // =====================================
+
+    /**
+     * Who is typing where, keyed by chat ID
+     * DMs use the typist's user ID, channels the channel ID
+     * Each entry: [{ userId, firstName, lastName, email }]
+     */
+    typingUsers : {},
+
+    // =====================================
+    // PRESENCE
+    // =====================================
+
+    /**
+     * Presence of the user's contacts, keyed by user ID
+     * Each entry: { status: "online" | "away" | "offline", lastSeen }
+     * Filled by "presence:snapshot" on connect and kept live by "presence"
+     */
+    presence : {},
+
+    // =====================================
+    // RECONNECT CATCH-UP
+    // =====================================
+
+    /**
+     * Time of the newest message seen per conversation, keyed by contact or
+     * channel ID (ISO strings, server time)
+     * Seeded from the conversation lists and raised by every live message;
+     * sent to the sync endpoint after a reconnect (see SocketContext)
+     */
+    lastSeenMessageAt : {},
+
+    /**
+     * IDs of the latest messages each conversation list entry counted,
+     * keyed by contact or channel ID (newest first, at most
+     * COUNTED_IDS_PER_CHAT); a message seen again is not counted twice
+     */
+    countedMessageIds : {},
     
     // =====================================
     // BASIC STATE SETTERS
     // =====================================
     
-    setChannels : (channels) => set({channels}),
+    setChannels : (channels) => set({
+        channels,
+        lastSeenMessageAt : withListTimes(get().lastSeenMessageAt , channels),
+    }),
     setSelectedChatType : (selectedChatType) => set({selectedChatType}),
-    setSelectedChatData : (selectedChatData) => set({selectedChatData}),
+    // An edit or reply in progress belongs to the previous chat, so switching drops it
+    // Opening a chat reads it, so its unread badge is cleared (the server
+    // learns through the "markRead" event MessageContainer sends)
+    setSelectedChatData : (selectedChatData) => {
+        const clearUnread = (chat) => chat._id === selectedChatData?._id && chat.unreadCount
+            ? {...chat , unreadCount : 0}
+            : chat;
+
+        set({
+            selectedChatData,
+            editingMessage : undefined,
+            replyingTo : undefined,
+            viewingHistory : false,
+            activeThread : undefined,
+            threadMessages : [],
+            directMessagesContacts : get().directMessagesContacts.map(clearUnread),
+            channels : get().channels.map(clearUnread),
+        })
+    },
     setSelectedChatMessages : (selectedChatMessages) => set({selectedChatMessages}),
-    setDirectMessagesContacts : (directMessagesContacts) => set({directMessagesContacts}),
+    setDirectMessagesContacts : (directMessagesContacts) => set({
+        directMessagesContacts,
+        lastSeenMessageAt : withListTimes(get().lastSeenMessageAt , directMessagesContacts),
+    }),
+    // Editing and replying both take over the message bar, so one cancels the other
+    setEditingMessage : (editingMessage) => set({editingMessage , replyingTo : undefined}),
+    setReplyingTo : (replyingTo) => set({replyingTo , editingMessage : undefined}),
+    setJumpTargetId : (jumpTargetId) => set({jumpTargetId}),
+    setViewingHistory : (viewingHistory) => set({viewingHistory}),
+    // MessageContainer reloads the latest page when this turns false
+    // while it still has newer pages to load (e.g. the user sends a message)
+    showLatestMessages : () => set({viewingHistory : false}),
+    reloadLatestMessages : () => set({
+        viewingHistory : false,
+        latestMessagesReload : get().latestMessagesReload + 1,
+    }),
 
     // =====================================
     // CHAT NAVIGATION METHODS
@@ -97,6 +278,12 @@ export const createChatSlice = (set , get) => ({
         selectedChatType:undefined,
         selectedChatData:undefined,
         selectedChatMessages:[],
+        editingMessage:undefined,
+        replyingTo:undefined,
+        jumpTargetId:undefined,
+        viewingHistory:false,
+        activeThread:undefined,
+        threadMessages:[],
     }),
 
     // =====================================
@@ -119,33 +306,211 @@ export const createChatSlice = (set , get) => ({
      * Data Normalization:
      * - Channel messages: Keep full sender object for display
      * - Direct messages: Use sender/receiver IDs for consistency
+     *   (optimistic messages from the outbox already carry IDs)
+     *
+     * A message whose _id or clientId matches one already shown replaces
+     * it: the server's broadcast of the user's own send takes the place of
+     * the optimistic copy (see lib/outbox.js), and a message that arrives
+     * both live and through the reconnect sync is shown once.
+     * New messages are not appended while viewingHistory is set.
      */
     addMessage : (message) => {
 
         const selectedChatMessages = get().selectedChatMessages;
         const selectedChatType = get().selectedChatType;
 
+        const normalized = {
+            ...message,
+            // Normalize sender data based on chat type
+            sender : selectedChatType === "channel"
+                ? message.sender                          // Keep full object for channel display
+                : message.sender?._id ?? message.sender,  // Use ID for direct messages
+            // Normalize receiver data based on chat type
+            receiver : selectedChatType === "channel"
+                ? message.receiver                            // Usually undefined for channels
+                : message.receiver?._id ?? message.receiver,  // Use ID for direct messages
+        };
+
+        // A message delivered twice (live event and reconnect sync) is kept once
+        const existing = selectedChatMessages.findIndex((shown) =>
+            shown._id === message._id || (message.clientId && shown.clientId === message.clientId));
+
+        if(existing === -1 && get().viewingHistory) return;
+
         set(
             {
-                selectedChatMessages : [
-                    ...selectedChatMessages,
-                    {
-                        ...message,
-                        // Normalize sender data based on chat type
-                        sender : selectedChatType === "channel"
-                            ? message.sender           // Keep full object for channel display
-                            : message.sender._id,      // Use ID for direct messages
-                        // Normalize receiver data based on chat type
-                        receiver : selectedChatType === "channel"
-                            ? message.receiver         // Usually undefined for channels
-                            : message.receiver._id,    // Use ID for direct messages
-                    }
-                ]
+                selectedChatMessages : existing === -1
+                    ? [...selectedChatMessages , normalized]
+                    : selectedChatMessages.map((shown , index) => index === existing ? normalized : shown)
             }
         )
         
     },
 
+    /**
+     * Apply the outcome of an outbox send to its optimistic message
+     * 
+     * @param {string} clientId - Client-generated ID of the message
+     * @param {Object} changes - e.g. { _id, status: undefined } once the
+     * server acknowledged, { status: "failed" } when it did not
+     */
+    reconcileMessage : (clientId , changes) => {
+        set({
+            selectedChatMessages : get().selectedChatMessages.map((message) =>
+                message.clientId === clientId ? {...message , ...changes} : message),
+        })
+    },
+
+    /**
+     * Update a message of the current chat in place
+     * 
+     * Called by socket handlers when an existing message changes (e.g. it
+     * was edited). Messages that are not loaded are ignored; they will be
+     * fetched with their latest state. Quoted previews (replyTo) of the
+     * message are patched too, so replies show the edit or deletion, and
+     * so is the open thread (root and replies).
+     * 
+     * @param {string} messageId - ID of the message to update
+     * @param {Object} changes - Fields to overwrite (content, editedAt, ...)
+     */
+    updateMessage : (messageId , changes) => {
+        const {selectedChatMessages , threadMessages , activeThread} = get();
+
+        const patch = (message) => {
+            if(message._id === messageId){
+                return {...message , ...changes};
+            }
+            if(message.replyTo?._id === messageId){
+                return {...message , replyTo : {...message.replyTo , ...changes}};
+            }
+            return message;
+        }
+
+        set({
+            selectedChatMessages : selectedChatMessages.map(patch),
+            threadMessages : threadMessages.map(patch),
+            activeThread : activeThread && patch(activeThread),
+        })
+    },
+
+    /**
+     * Update several messages of the current chat (and open thread) at once
+     * 
+     * Used for receipts, which arrive for a batch of messages. One store
+     * update keeps the chat from re-rendering once per message.
+     * 
+     * @param {Array<string>} messageIds - IDs of the messages to update
+     * @param {Object|Function} changes - Fields to overwrite, or
+     * (message) => fields for changes that depend on the message
+     */
+    updateMessages : (messageIds , changes) => {
+        const {selectedChatMessages , threadMessages} = get();
+        const ids = new Set(messageIds.map(String));
+
+        const patch = (message) => ids.has(message._id)
+            ? {...message , ...(typeof changes === "function" ? changes(message) : changes)}
+            : message;
+
+        set({
+            selectedChatMessages : selectedChatMessages.map(patch),
+            threadMessages : threadMessages.map(patch),
+        })
+    },
+
+    /**
+     * Remove a message from the current chat
+     * Called when the user deleted it for themselves (in any session)
+     * 
+     * @param {string} messageId - ID of the message to remove
+     */
+    removeMessage : (messageId) => {
+        const {selectedChatMessages , threadMessages , activeThread , editingMessage , replyingTo} = get();
+        const closesThread = activeThread?._id === messageId;
+        set({
+            selectedChatMessages : selectedChatMessages.filter((message) => message._id !== messageId),
+            threadMessages : closesThread ? [] : threadMessages.filter((message) => message._id !== messageId),
+            activeThread : closesThread ? undefined : activeThread,
+            editingMessage : editingMessage?._id === messageId ? undefined : editingMessage,
+            replyingTo : replyingTo?._id === messageId ? undefined : replyingTo,
+        })
+    },
+
+    // =====================================
+    // CHANNEL THREAD METHODS
+    // =====================================
+
+    /**
+     * Open the thread panel for a channel message
+     * Replies are fetched by ThreadPanel
+     * 
+     * @param {Object} root - Thread root message
+     */
+    openThread : (root) => set({activeThread : root , threadMessages : []}),
+    closeThread : () => set({activeThread : undefined , threadMessages : []}),
+    setThreadMessages : (threadMessages) => set({threadMessages}),
+
+    /**
+     * Add a live reply to the open thread
+     * Ignored when the reply belongs to another thread or is already shown
+     * 
+     * @param {Object} message - Reply with threadRoot set
+     */
+    addThreadMessage : (message) => {
+        const {activeThread , threadMessages} = get();
+        if(activeThread?._id !== message.threadRoot) return;
+        if(threadMessages.some((reply) => reply._id === message._id)) return;
+
+        set({threadMessages : [...threadMessages , message]})
+    },
+
+    // =====================================
+    // PRESENCE METHODS
+    // =====================================
+
+    /**
+     * Record the presence of one or more users
+     * 
+     * @param {Array<Object>} users - [{ userId, status, lastSeen }]
+     */
+    updatePresence : (users) => {
+        const presence = {...get().presence};
+        for(const {userId , status , lastSeen} of users){
+            presence[userId] = {status , lastSeen : lastSeen ?? presence[userId]?.lastSeen};
+        }
+        set({presence})
+    },
+
+    // =====================================
+    // TYPING INDICATOR METHODS
+    // =====================================
+
+    /**
+     * Show that a user is typing in a chat (replaces an earlier entry)
+     * 
+     * @param {string} chatId - Channel ID, or the typist's ID for a DM
+     * @param {Object} user - { userId, firstName, lastName, email }
+     */
+    setTypingUser : (chatId , user) => {
+        const typingUsers = get().typingUsers;
+        const others = (typingUsers[chatId] ?? []).filter((typing) => typing.userId !== user.userId);
+        set({typingUsers : {...typingUsers , [chatId] : [...others , user]}})
+    },
+
+    /**
+     * Stop showing that a user is typing in a chat
+     * 
+     * @param {string} chatId - Channel ID, or the typist's ID for a DM
+     * @param {string} userId - User who stopped typing
+     */
+    removeTypingUser : (chatId , userId) => {
+        const typingUsers = get().typingUsers;
+        if(!typingUsers[chatId]?.some((typing) => typing.userId === userId)) return;
+
+        const remaining = typingUsers[chatId].filter((typing) => typing.userId !== userId);
+        const {[chatId] : _removed , ...others} = typingUsers;
+        set({typingUsers : remaining.length ? {...others , [chatId] : remaining} : others})
+    },
+
     // =====================================
     // CHANNEL MANAGEMENT METHODS
     // =====================================
@@ -159,7 +524,39 @@ export const createChatSlice = (set , get) => ({
      */
     addChannel : (channel) =>{
         const channels = get().channels;
-        set({channels : [channel, ...channels]})
+        // The creator adds the channel itself and also gets "channelAdded"
+        set({channels : [channel, ...channels.filter((item) => item._id !== channel._id)]})
+    },
+
+    /**
+     * Apply changed channel fields (e.g. members and admin after a
+     * membership change) to the list entry and the open chat
+     * List-only fields such as unreadCount are kept
+     * 
+     * @param {Object} channel - Channel fields from "channelUpdated"
+     */
+    updateChannel : (channel) => {
+        const {channels , selectedChatType , selectedChatData} = get();
+        const merge = (item) => item._id === channel._id ? {...item , ...channel} : item;
+
+        set({
+            channels : channels.map(merge),
+            selectedChatData : selectedChatType === "channel" ? merge(selectedChatData) : selectedChatData,
+        })
+    },
+
+    /**
+     * Drop a channel the user left or was removed from
+     * Its chat is closed if it is open
+     * 
+     * @param {string} channelId - Channel ID
+     */
+    removeChannel : (channelId) => {
+        const {channels , selectedChatData , closeChat} = get();
+        set({channels : channels.filter((channel) => channel._id !== channelId)});
+        if(selectedChatData?._id === channelId){
+            closeChat();
+        }
     },
 
     /**
@@ -169,23 +566,40 @@ export const createChatSlice = (set , get) => ({
      * Moves active channel to top of list to show recent activity.
      * Maintains channel order based on conversation recency.
      * 
+     * Main-stream messages also update the channel's last-message preview
+     * and, when the channel is not open and someone else posted, its
+     * unread count. Thread replies only move the channel up, matching
+     * the counts getUserChannels returns.
+     * 
      * @param {Object} message - Channel message with channelId
      * @param {string} message.channelId - ID of channel that received message
+     * @param {string} [message.preview] - Snippet for the list (set by the server)
+     * 
+     * A message the channel already counted (e.g. received live, then
+     * again from the reconnect sync) is ignored; one older than the
+     * channel's last message only counts as unread.
      */
     addChannelInChannelList : (message) => {
-        const channels = get().channels;
+        const {channels , selectedChatData , userInfo , countedMessageIds} = get();
         
         // Find channel that received the message
         const data = channels.find((channel) => channel._id === message.channelId)
-        const index = channels.findIndex(
-            (channel) => channel._id === message.channelId
-        );
-
-        // Move channel to top of list if found
-        if(index !== -1 && index !== undefined){
-            channels.splice(index , 1);  // Remove from current position
-            channels.unshift(data);       // Add to top of list
-        }
+        if(!data || countedMessageIds[message.channelId]?.includes(message._id)) return;
+
+        const latest = !data.lastMessageTime || Date.parse(message.timeStamp) >= Date.parse(data.lastMessageTime);
+        const updated = message.threadRoot ? data : {
+            ...data,
+            ...(latest && {lastMessageTime : message.timeStamp , lastMessagePreview : message.preview}),
+            unreadCount : selectedChatData?._id !== message.channelId && message.sender._id !== userInfo._id
+                ? (data.unreadCount ?? 0) + 1
+                : data.unreadCount,
+        };
+
+        // Move channel to top of list
+        set({
+            channels : [updated , ...channels.filter((channel) => channel._id !== message.channelId)],
+            ...countMessage(get() , message.channelId , message),
+        })
     },
 
     // =====================================
@@ -202,51 +616,60 @@ export const createChatSlice = (set , get) => ({
      * @param {Object} message - Direct message object
      * @param {Object} message.sender - Message sender user data
      * @param {Object} message.receiver - Message receiver user data
+     * @param {string} [message.preview] - Snippet for the list (set by the server)
      * 
      * Contact Management Logic:
      * 1. Determine which user is the contact (not current user)
      * 2. Find if contact already exists in list
      * 3. Move existing contact to top or add new contact
      * 4. Maintain recency-based ordering
+     * 5. Update the last-message preview, and the unread count for
+     *    incoming messages while the chat is not open
+     * A message the contact already counted is ignored; one older than the
+     * contact's last message only counts as unread.
      */
     addContactsInDMContacts : (message) => {
         // Get current user ID for comparison
-        const userId = get().userInfo.id
+        const {userInfo , selectedChatData , countedMessageIds} = get();
+        const userId = userInfo._id
         
         // Determine contact ID and data based on message direction
-        const contactId = 
-            message.sender._id === userId ? message.recipient._id : message.sender._id
-
-        const contactData = message.sender._id === userId ? message.recipient : message.sender
+        const contactData = message.sender._id === userId ? message.receiver : message.sender
+        const contactId = contactData._id
+        if(countedMessageIds[contactId]?.includes(message._id)) return;
         
         const dmContacts = get().directMessagesContacts;
 
-        // Find existing contact in list
-        const data = dmContacts.find((contact) => contact._id === contactId)
-        const index = dmContacts.findIndex((contact) => contact._id === contactId);
-
-        // Update contact list based on existence
-        if(index !== -1 && index !== undefined){
-            // Contact exists - move to top for recent activity
-            dmContacts.splice(index , 1);    // Remove from current position
-            dmContacts.unshift(data);        // Add to top of list
-        }else{
-            // New contact - add to top of list
-            dmContacts.unshift(contactData);
+        // Find existing contact in list (a new contact starts from its user data)
+        const data = dmContacts.find((contact) => contact._id === contactId) ?? {
+            _id : contactData._id,
+            email : contactData.email,
+            firstName : contactData.firstName,
+            lastName : contactData.lastName,
+            imageURL : contactData.imageURL,
+            colorTheme : contactData.colorTheme,
+        }
+
+        // Incoming messages for a chat that is not open are unread
+        const unread = selectedChatData?._id !== contactId && message.sender._id !== userId
+
+        const latest = !data.lastMessageTime || Date.parse(message.timeStamp) >= Date.parse(data.lastMessageTime)
+        const updated = {
+            ...data,
+            ...(latest && {lastMessageTime : message.timeStamp , lastMessagePreview : message.preview}),
+            unreadCount : unread ? (data.unreadCount ?? 0) + 1 : data.unreadCount,
         }
 
-        // Update state with modified contacts list
-        set({directMessagesContacts : dmContacts})
+        // Contact moves (or is added) to the top for recent activity
+        set({
+            directMessagesContacts : [updated , ...dmContacts.filter((contact) => contact._id !== contactId)],
+            ...countMessage(get() , contactId , message),
+        })
 
     }
     
     // TODO: Add additional chat management methods:
-    // - markAsRead: (chatId) => {} - Mark messages as read
-    // - deleteMessage: (messageId) => {} - Remove message from chat
-    // - updateMessage: (messageId, newContent) => {} - Edit message
     // - clearChatHistory: (chatId) => {} - Clear chat messages
-    // - addTypingIndicator: (userId) => {} - Show typing status
-    // - removeTypingIndicator: (userId) => {} - Hide typing status
 
     // =====================================
     // DESIGN THINKING QUESTIONS
@@ -18,8 +18,28 @@ export const GET_ALL_CONTACTS_ROUTE = `${CONTACT_ROUTES}/getAllContacts`
 export const MESSAGES_ROUTES = "api/messages"
 export const GET_MESSAGES_ROUTE = `${MESSAGES_ROUTES}/getMessages`
 export const UPLOAD_FILE_ROUTE = `${MESSAGES_ROUTES}/uploadFile`
+export const SYNC_MESSAGES_ROUTE = `${MESSAGES_ROUTES}/sync`
+export const SEARCH_MESSAGES_ROUTE = `${MESSAGES_ROUTES}/search`
 
 export const CHANNEL_ROUTES = "api/channel"
 export const CREATE_CHANNEL_ROUTE = `${CHANNEL_ROUTES}/createChannel`
 export const GET_USER_CHANNELS_ROUTE = `${CHANNEL_ROUTES}/getUserChannels`
-export const GET_CHANNEL_MESSAGES = `${CHANNEL_ROUTES}/getChannelMessages`
\ No newline at end of file
+export const GET_CHANNEL_MESSAGES = `${CHANNEL_ROUTES}/getChannelMessages`
+export const GET_THREAD_MESSAGES = `${CHANNEL_ROUTES}/getThreadMessages`
+export const GET_CHANNEL_MEMBERS_ROUTE = `${CHANNEL_ROUTES}/getChannelMembers`
+export const ADD_CHANNEL_MEMBERS_ROUTE = `${CHANNEL_ROUTES}/addMembers`
+export const REMOVE_CHANNEL_MEMBER_ROUTE = `${CHANNEL_ROUTES}/removeMember`
+export const PROMOTE_CHANNEL_ADMIN_ROUTE = `${CHANNEL_ROUTES}/promoteAdmin`
+export const DEMOTE_CHANNEL_ADMIN_ROUTE = `${CHANNEL_ROUTES}/demoteAdmin`
+export const SET_MEMBER_ROLE_ROUTE = `${CHANNEL_ROUTES}/setMemberRole`
+export const LEAVE_CHANNEL_ROUTE = `${CHANNEL_ROUTES}/leaveChannel`
+export const UPDATE_CHANNEL_ROUTE = `${CHANNEL_ROUTES}/updateChannel`
+export const UPDATE_CHANNEL_IMAGE_ROUTE = `${CHANNEL_ROUTES}/updateChannelImage`
+export const DELETE_CHANNEL_IMAGE_ROUTE = `${CHANNEL_ROUTES}/deleteChannelImage`
+export const BROWSE_CHANNELS_ROUTE = `${CHANNEL_ROUTES}/browseChannels`
+export const JOIN_CHANNEL_ROUTE = `${CHANNEL_ROUTES}/joinChannel`
+export const CREATE_INVITE_ROUTE = `${CHANNEL_ROUTES}/createInvite`
+export const GET_INVITES_ROUTE = `${CHANNEL_ROUTES}/getInvites`
+export const REVOKE_INVITE_ROUTE = `${CHANNEL_ROUTES}/revokeInvite`
+export const INVITE_PREVIEW_ROUTE = `${CHANNEL_ROUTES}/invite`
+export const ACCEPT_INVITE_ROUTE = `${CHANNEL_ROUTES}/acceptInvite`
@@ -0,0 +1,190 @@
+// =====================================
+// PRESENCE STORE - USER TO SOCKET REGISTRY
+// =====================================
+// Tracks which sockets each user has open so the server can tell whether a
+// user is still connected anywhere. Two interchangeable implementations
+// share the same async interface:
+//
+// - Memory: a Map in this process (default, single server)
+// - Redis:  hashes in a Redis-compatible server, shared by every node
+//
+// Interface (all methods return Promises):
+// - addSocket(userId, socketId)        → number of sockets the user now has open
+// - removeSocket(userId, socketId)     → number of sockets the user still has open
+// - countSockets(userId)               → number of sockets the user has open
+// - setAway(userId, socketId, away)    → mark one socket idle/hidden (or back)
+// - getStatus(userId)                  → "online", "away" (every open socket
+//                                        is away) or "offline" (none open)
+// - close()                            → stop background work (heartbeats)
+
+// =====================================
+// IN-MEMORY PRESENCE STORE
+// =====================================
+
+/**
+ * Create a presence store that lives in this process
+ *
+ * Map of userId → Set<socketId>. Only correct when a single server
+ * handles every socket.
+ *
+ * @returns {Object} Presence store
+ */
+export const createMemoryPresenceStore = () => {
+    // Key: userId (string), Value: Set<socketId>
+    const userSockets = new Map();
+
+    // Key: userId (string), Value: Set<socketId> of sockets reported away
+    const awaySockets = new Map();
+
+    return {
+        async addSocket(userId , socketId){
+            const sockets = userSockets.get(userId) ?? new Set();
+            sockets.add(socketId);
+            userSockets.set(userId , sockets);
+            return sockets.size;
+        },
+
+        async removeSocket(userId , socketId){
+            const sockets = userSockets.get(userId);
+            if(!sockets) return 0;
+
+            sockets.delete(socketId);
+            awaySockets.get(userId)?.delete(socketId);
+            if(sockets.size === 0){
+                userSockets.delete(userId);
+                awaySockets.delete(userId);
+            }
+            return sockets.size;
+        },
+
+        async countSockets(userId){
+            return userSockets.get(userId)?.size ?? 0;
+        },
+
+        async setAway(userId , socketId , away){
+            // Ignore reports from sockets that are not (or no longer) registered
+            if(!userSockets.get(userId)?.has(socketId)) return;
+
+            const sockets = awaySockets.get(userId) ?? new Set();
+            if(away){
+                sockets.add(socketId);
+            }else{
+                sockets.delete(socketId);
+            }
+            awaySockets.set(userId , sockets);
+        },
+
+        async getStatus(userId){
+            const sockets = userSockets.get(userId);
+            if(!sockets?.size) return "offline";
+
+            const away = awaySockets.get(userId);
+            return [...sockets].every((socketId) => away?.has(socketId)) ? "away" : "online";
+        },
+
+        async close(){},
+    };
+}
+
+// =====================================
+// REDIS PRESENCE STORE
+// =====================================
+
+// Key prefix shared by every TalkNest node
+const KEY_PREFIX = "talknest";
+
+// How often a node proves it is alive, and how long until it is presumed dead
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const HEARTBEAT_TTL_SECONDS = 30;
+
+/**
+ * Create a presence store shared through a Redis-compatible server
+ *
+ * Data layout:
+ * - talknest:presence:<userId> (hash) socketId → serverId
+ * - talknest:away:<userId> (set) socketIds reported away
+ * - talknest:server:<serverId> (string with TTL) heartbeat of a live node
+ *
+ * If a node crashes its sockets never send "disconnect", so their hash
+ * fields would linger forever. Every node refreshes its heartbeat key, and
+ * countSockets() drops fields that belong to nodes whose heartbeat expired.
+ *
+ * @param {RedisClient} client - Connected node-redis client
+ * @param {string} serverId - Unique ID of this server instance
+ * @returns {Object} Presence store
+ */
+export const createRedisPresenceStore = (client , serverId) => {
+    const presenceKey = (userId) => `${KEY_PREFIX}:presence:${userId}`;
+    const awayKey = (userId) => `${KEY_PREFIX}:away:${userId}`;
+    const serverKey = (id) => `${KEY_PREFIX}:server:${id}`;
+
+    const beat = () => client.set(serverKey(serverId) , Date.now().toString() , {EX : HEARTBEAT_TTL_SECONDS})
+        .catch((error) => console.log({error}));
+
+    beat();
+    const heartbeat = setInterval(beat , HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    /**
+     * List live sockets, pruning those owned by dead servers
+     */
+    const liveSockets = async (userId) => {
+        const sockets = await client.hGetAll(presenceKey(userId));
+        const serverIds = [...new Set(Object.values(sockets))];
+
+        const alive = new Set();
+        for(const id of serverIds){
+            if(id === serverId || await client.exists(serverKey(id))){
+                alive.add(id);
+            }
+        }
+
+        const staleSockets = Object.keys(sockets).filter((socketId) => !alive.has(sockets[socketId]));
+        if(staleSockets.length > 0){
+            await client.hDel(presenceKey(userId) , staleSockets);
+            await client.sRem(awayKey(userId) , staleSockets);
+        }
+
+        return Object.keys(sockets).filter((socketId) => alive.has(sockets[socketId]));
+    }
+
+    const countSockets = async (userId) => (await liveSockets(userId)).length;
+
+    return {
+        async addSocket(userId , socketId){
+            await client.hSet(presenceKey(userId) , socketId , serverId);
+            return countSockets(userId);
+        },
+
+        async removeSocket(userId , socketId){
+            await client.hDel(presenceKey(userId) , socketId);
+            await client.sRem(awayKey(userId) , socketId);
+            return countSockets(userId);
+        },
+
+        countSockets,
+
+        async setAway(userId , socketId , away){
+            // Ignore reports from sockets that are not (or no longer) registered
+            if(!(await client.hGet(presenceKey(userId) , socketId))) return;
+
+            if(away){
+                await client.sAdd(awayKey(userId) , socketId);
+            }else{
+                await client.sRem(awayKey(userId) , socketId);
+            }
+        },
+
+        async getStatus(userId){
+            const sockets = await liveSockets(userId);
+            if(sockets.length === 0) return "offline";
+
+            const away = new Set(await client.sMembers(awayKey(userId)));
+            return sockets.every((socketId) => away.has(socketId)) ? "away" : "online";
+        },
+
+        async close(){
+            clearInterval(heartbeat);
+        },
+    };
+}
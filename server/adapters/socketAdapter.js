@@ -0,0 +1,84 @@
+// =====================================
+// SOCKET ADAPTER - PLUGGABLE SCALING BACKEND FOR SOCKET.IO
+// =====================================
+// Socket.IO rooms and the presence registry live in process memory by
+// default, which only works with a single server. This module picks the
+// backend from the environment so several TalkNest servers can run behind
+// a load balancer:
+//
+// SOCKET_ADAPTER=memory (default)
+//   - Socket.IO's built-in in-memory adapter
+//   - In-memory presence store
+//
+// SOCKET_ADAPTER=redis
+//   - @socket.io/redis-adapter: emits, room joins and fetchSockets() on one
+//     node reach sockets connected to every other node via Redis pub/sub
+//   - Redis presence store shared by every node
+//   - REDIS_URL points at any Redis-compatible server (Redis, Valkey, or the
+//     local stand-in broker in scripts/localBroker.js for development)
+
+import { randomUUID } from "crypto";
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createMemoryPresenceStore, createRedisPresenceStore } from "./presenceStore.js";
+
+/**
+ * Create the Socket.IO adapter and presence store for this server
+ *
+ * @param {Object} [options] - Defaults to environment configuration
+ * @param {string} [options.adapter] - "memory" or "redis" (SOCKET_ADAPTER)
+ * @param {string} [options.redisUrl] - Redis connection URL (REDIS_URL)
+ * @param {string} [options.serverId] - Unique ID of this instance (SERVER_ID, random if unset)
+ * @returns {Promise<Object>} { adapter, presenceStore, close }
+ * - adapter: pass to new Server({adapter}); undefined means Socket.IO's default
+ * - presenceStore: user → socket registry (see presenceStore.js)
+ * - close: disconnects Redis clients and stops heartbeats
+ *
+ * With the Redis adapter, startup waits (logging connection errors while
+ * node-redis retries) until the Redis server is reachable, so a node never
+ * serves sockets while isolated from the rest of the cluster.
+ */
+export const createSocketBackend = async ({
+    adapter = process.env.SOCKET_ADAPTER || "memory",
+    redisUrl = process.env.REDIS_URL || "redis://localhost:6379",
+    serverId = process.env.SERVER_ID || randomUUID(),
+} = {}) => {
+
+    if(adapter === "memory"){
+        const presenceStore = createMemoryPresenceStore();
+        return {
+            adapter : undefined,
+            presenceStore,
+            close : () => presenceStore.close(),
+        };
+    }
+
+    if(adapter !== "redis"){
+        throw new Error(`Unknown SOCKET_ADAPTER "${adapter}" (expected "memory" or "redis")`);
+    }
+
+    // Pub/sub clients for the Socket.IO adapter
+    // A subscribed Redis connection cannot issue other commands, hence two clients
+    const pubClient = createClient({url : redisUrl});
+    const subClient = pubClient.duplicate();
+
+    // Errors are logged rather than thrown; node-redis reconnects on its own
+    pubClient.on("error" , (error) => console.error("Redis pub client error:", error.message));
+    subClient.on("error" , (error) => console.error("Redis sub client error:", error.message));
+
+    await Promise.all([pubClient.connect() , subClient.connect()]);
+
+    // The publishing client is free for regular commands, so it backs presence too
+    const presenceStore = createRedisPresenceStore(pubClient , serverId);
+
+    console.log(`🔀 Socket.IO using Redis adapter at ${redisUrl.replace(/\/\/.*@/, "//***:***@")} (server ${serverId})`);
+
+    return {
+        adapter : createAdapter(pubClient , subClient),
+        presenceStore,
+        close : async () => {
+            await presenceStore.close();
+            await Promise.all([pubClient.quit() , subClient.quit()]);
+        },
+    };
+}
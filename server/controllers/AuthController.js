@@ -24,6 +24,7 @@ import { User } from "../models/user.model.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import {renameSync, unlinkSync} from "fs";
+import { deleteForEveryoneWindowMinutes } from "../utils/messageActions.js";
 
 // =====================================
 // AUTHENTICATION CONFIGURATION
@@ -33,6 +34,18 @@ import {renameSync, unlinkSync} from "fs";
 // This determines how long users stay logged in
 const maxAge = 7 * 24 * 60 * 60 * 1000;
 
+/**
+ * Server limits the client applies in its UI, sent with every user payload
+ * so userInfo always carries them
+ * - deleteForEveryoneWindowMinutes: how long authors may delete a message
+ *   for everyone (see utils/messageActions.js)
+ *
+ * @returns {Object}
+ */
+const clientLimits = () => ({
+    deleteForEveryoneWindowMinutes : deleteForEveryoneWindowMinutes(),
+});
+
 /**
  * Create JWT token for user authentication
  * 
@@ -177,6 +190,7 @@ export const signup = async (req , res , next) =>{
                 email : user.email,
                 _id : user._id,
                 profileSetup : user.profileSetup,  // Indicates if user completed profile setup
+                ...clientLimits(),
             }
         })
 
@@ -316,6 +330,7 @@ export const login = async(req , res , next) => {
                 lastName : user.lastName,
                 imageURL : user.imageURL,            // Profile picture path
                 colorTheme : user.colorTheme,        // UI personalization          
+                ...clientLimits(),
             }
         })
 
@@ -392,7 +407,7 @@ export const getUserInfo = async (req , res , next) =>{
         // Return complete user profile
         // All fields are safe to return since user is authenticated
         return res.status(200).json({
-            user : userData,
+            user : {...userData.toObject() , ...clientLimits()},
         })
 
     }catch(error){
@@ -481,7 +496,7 @@ export const updateProfile = async (req , res , next) => {
          });
 
          return res.status(200).json({
-            user : userData,
+            user : {...userData.toObject() , ...clientLimits()},
         })
 
      }catch(error){
@@ -8,6 +8,64 @@
 import mongoose from "mongoose";
 import Channel from "../models/channel.model.js"
 import {User} from "../models/user.model.js"
+import { Message, REACTION_USERS_POPULATE, REPLY_PREVIEW_POPULATE } from "../models/messages.model.js";
+import { channelRoom, emitToConversation, joinUsersToChannelRoom, removeUsersFromChannelRoom, userRoom } from "../utils/socketRooms.js";
+import { findMessagePage, parsePageParams } from "../utils/pagination.js";
+import { findChannelForMember } from "../utils/channelAccess.js";
+import { messagePreview, PREVIEW_SOURCE_FIELDS } from "../utils/messagePreview.js";
+import {
+    addChannelMembers as addChannelMembersAction,
+    joinChannel as joinChannelAction,
+    leaveChannel as leaveChannelAction,
+    removeChannelMember as removeChannelMemberAction,
+    setChannelRole,
+} from "../utils/channelMembership.js";
+import {
+    checkChannelName,
+    deleteChannelImage as deleteChannelImageAction,
+    updateChannelImage as updateChannelImageAction,
+    updateChannelSettings,
+} from "../utils/channelSettings.js";
+import { browsePublicChannels } from "../utils/channelDirectory.js";
+import { messagePinnedPayload, setMessagePinned } from "../utils/messageActions.js";
+import {
+    acceptChannelInvite,
+    createChannelInvite,
+    listChannelInvites,
+    previewChannelInvite,
+    revokeChannelInvite,
+} from "../utils/channelInvites.js";
+
+// Sender fields shown for channel and thread messages (same as socket.js)
+const SENDER_FIELDS = "firstName lastName colorTheme imageURL email _id";
+
+// Newest main-stream messages per channel the channel list looks at; as
+// many as one read marks (MAX_READ_BATCH in utils/messageReceipts.js), so
+// a read mark is always found among them after the channel was read
+const SUMMARY_WINDOW = 200;
+
+/**
+ * Last message and unread count of a channel for the channel list
+ *
+ * @param {Array<Object>} recent - The channel's newest main-stream messages,
+ *   newest first, with hidden (deleted for the user) and read (user in readBy)
+ * @param {ObjectId} userId - User viewing the list
+ * @returns {Object} { lastMessageTime, lastMessagePreview, unreadCount }
+ */
+const summarizeChannel = (recent , userId) => {
+    const visible = recent.filter((message) => !message.hidden);
+
+    // Everything up to the user's latest post or read counts as read
+    const readMark = recent.findIndex((message) => message.read || message.sender.equals(userId));
+    const unread = (readMark === -1 ? recent : recent.slice(0 , readMark))
+        .filter((message) => !message.hidden && !message.sender.equals(userId));
+
+    return {
+        lastMessageTime : visible[0]?.timeStamp,
+        lastMessagePreview : messagePreview(visible[0]),
+        unreadCount : unread.length,
+    };
+}
 
 // =====================================
 // CHANNEL CREATION ENDPOINT
@@ -24,14 +82,20 @@ import {User} from "../models/user.model.js"
  * @param {string} req.userID - Admin user ID (from auth middleware)
  * @param {string} req.body.name - Channel name
  * @param {Array} req.body.members - Array of user IDs to add as members
+ * @param {boolean} [req.body.isPrivate] - false lists the channel in the directory (default true)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * 
  * Channel Creation Process:
- * 1. Validate admin user exists
- * 2. Validate all member users exist
- * 3. Create channel with admin and members
- * 4. Return channel data for frontend
+ * 1. Validate the name (required, at most 50 characters once trimmed)
+ * 2. Validate admin user exists
+ * 3. Validate all member users exist
+ * 4. Create channel with admin and members
+ * 5. Join connected members' sockets to the channel room and send them "channelAdded"
+ * 6. Return channel data for frontend
+ * 
+ * Errors: 400 invalid name, unknown admin or members, or a channel the
+ * schema refuses
  */
 export const CreateChannel = async (req , res , next) =>{
     try{
@@ -39,8 +103,16 @@ export const CreateChannel = async (req , res , next) =>{
         // INPUT VALIDATION
         // =====================================
         
-        const {name , members} = req.body;
+        const {members , isPrivate} = req.body;
         const user = new mongoose.Types.ObjectId(req.userID);
+
+        // Same limits as renaming (see utils/channelSettings.js)
+        const checkedName = checkChannelName(req.body.name);
+        if(!checkedName.name){
+            return res.status(checkedName.status).json({
+                msg : checkedName.msg
+            })
+        }
         
         // Validate admin user exists
         const admin = await User.findById(user);
@@ -68,11 +140,22 @@ export const CreateChannel = async (req , res , next) =>{
         
         // Create channel with admin and members
         const channel = await Channel.create({
-            name,
+            name : checkedName.name,
             admin : [admin._id],  // Creator becomes admin
-            members               // Specified users become members
+            members,              // Specified users become members
+            isPrivate : isPrivate !== false,  // Public only when asked for
+            roles : {[admin._id.toString()] : "owner"},  // ...and owner
         })
 
+        // Connected members and the admin start receiving channel messages
+        // right away; offline ones join the room on their next connect
+        const io = req.app.get("io");
+        joinUsersToChannelRoom(io , [admin._id , ...members] , channel._id);
+
+        // Members (and the admin's other sessions) see the channel in their
+        // list right away
+        io.to([admin._id , ...members].map((id) => userRoom(id.toString()))).emit("channelAdded" , channelPayload(channel));
+
         return res.status(200).json({
             msg : "Channel Created Successfully",
             channel,
@@ -80,6 +163,12 @@ export const CreateChannel = async (req , res , next) =>{
 
         
     }catch(error){
+        // Input the checks above let through but the schema refuses
+        if(error instanceof mongoose.Error.ValidationError){
+            return res.status(400).json({
+                msg : Object.values(error.errors)[0]?.message ?? "Invalid channel",
+            })
+        }
         console.log({error});
         return res.status(500).json({
             msg : "INTERNAL SERVER ERROR",
@@ -106,7 +195,15 @@ export const CreateChannel = async (req , res , next) =>{
  * Query Logic:
  * - Find channels where user is admin OR member
  * - Sort by updatedAt (most recent first)
+ * - Summarize each channel's main stream (thread replies excluded):
+ *   lastMessageTime, lastMessagePreview and unreadCount
  * - Return complete channel list for sidebar
+ * 
+ * Unread messages are those other members posted after the user last
+ * posted or read in the channel and that do not list the user in readBy,
+ * the same rule as the DM list (see getContactsForDMList). Only the newest
+ * SUMMARY_WINDOW messages of each channel are looked at, so the count
+ * stops there.
  */
 export const getUserChannels = async (req , res , next) =>{
     try{
@@ -125,8 +222,33 @@ export const getUserChannels = async (req , res , next) =>{
             ]
         }).sort({updatedAt : -1});   // Most recent activity first
 
+        // =====================================
+        // UNREAD COUNTS AND LAST MESSAGES
+        // =====================================
+
+        // Only each channel's newest main-stream messages are read (through
+        // the channel+timeStamp index), so the work grows with the number
+        // of channels, not with their history
+        const summaries = await Promise.all(channels.map(async (channel) => {
+            const recent = await Message.aggregate([
+                {$match : {channel : channel._id , threadRoot : null}},
+                {$sort : {timeStamp : -1}},
+                {$limit : SUMMARY_WINDOW},
+                {$project : {
+                    ...PREVIEW_SOURCE_FIELDS,
+                    timeStamp : 1,
+                    hidden : {$in : [userId , {$ifNull : ["$deletedFor" , []]}]},
+                    read : {$in : [userId , {$ifNull : ["$readBy.user" , []]}]},
+                }},
+            ]);
+            return summarizeChannel(recent , userId);
+        }));
+
         return res.status(200).json({
-            channels,
+            channels : channels.map((channel , index) => ({
+                ...channel.toObject(),
+                ...summaries[index],
+            })),
         })
         
     }catch(error){
@@ -142,23 +264,37 @@ export const getUserChannels = async (req , res , next) =>{
 // =====================================
 
 /**
- * Get message history for specific channel
+ * Get one page of message history for specific channel
  * 
- * This endpoint retrieves all messages for a channel with populated
- * sender information for display. Similar to direct message history
- * but for group conversations.
+ * This endpoint retrieves channel messages with populated sender
+ * information for display. Same cursor paging as direct message
+ * history (see utils/pagination.js), but for group conversations.
  * 
  * @param {Object} req - Express request object
  * @param {string} req.params.channelId - Channel ID to get messages for
+ * @param {string} [req.query.before] - Cursor: return messages older than this
+ * @param {string} [req.query.after] - Cursor: return messages newer than this
+ * @param {string} [req.query.around] - Message ID: return it with up to `limit` messages on each side
+ * @param {number} [req.query.limit] - Page size (default 50, max 100)
  * @param {string} req.userID - User ID (from auth middleware)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * 
+ * Route: GET /api/channel/getChannelMessages/:channelId?before=<cursor>&limit=50
+ * Response: { messages, hasMore, nextCursor } - messages oldest first
+ * With around: also { hasNewer, newerCursor, targetId } (see utils/pagination.js)
+ * 
+ * Errors:
+ * - 400: invalid channel ID or paging parameters
+ * - 404: channel does not exist, or the around message is not in its main stream
+ * - 403: user is not a member or admin of the channel
+ * 
  * Message Retrieval Process:
- * 1. Validate channel ID provided
- * 2. Find channel and populate message history
- * 3. Populate sender details for each message
- * 4. Return chronological message list
+ * 1. Validate channel ID and paging parameters
+ * 2. Verify the user belongs to the channel
+ * 3. Query Messages by channel, newest page first, via the channel+timeStamp index
+ * 4. Populate sender details for each message
+ * 5. Return the page in chronological order
  */
 export const getChannelMessages = async (req , res , next) => {
     try{
@@ -168,9 +304,22 @@ export const getChannelMessages = async (req , res , next) => {
         
         const {channelId} = req.params;
 
-        if(!channelId){
+        const page = parsePageParams(req.query);
+        if(page.error){
             return res.status(400).json({
-                msg : "NO ChannelId was provided"
+                msg : page.error
+            })
+        }
+
+        // =====================================
+        // ACCESS CONTROL
+        // =====================================
+
+        // Only members and admins may read a channel's history
+        const access = await findChannelForMember(channelId , req.userID , "_id");
+        if(!access.channel){
+            return res.status(access.status).json({
+                msg : access.msg
             })
         }
 
@@ -178,25 +327,834 @@ export const getChannelMessages = async (req , res , next) => {
         // CHANNEL MESSAGE QUERY
         // =====================================
         
-        // Find channel and populate message history with sender details
-        const channel = await Channel.findById(channelId)
-        .populate({
-            path: 'messages',
-            select: 'sender messageType content fileUrl timeStamp',
-            populate: {
-                path: 'sender',
-                select: 'colorTheme firstName lastName emailID'
-            }
+        // Query the Messages collection directly instead of populating
+        // the channel's (legacy, unbounded) messages array
+        // Sender fields match what socket.js sends for live channel messages
+        // Messages this user deleted for themselves are left out, and so are
+        // thread replies (threadRoot set), which load with their thread
+        const result = await findMessagePage(
+            {channel : channelId , deletedFor : {$ne : req.userID} , threadRoot : null},
+            page,
+            {populate : [
+                {path : "sender" , select : SENDER_FIELDS},
+                REPLY_PREVIEW_POPULATE,
+                REACTION_USERS_POPULATE,
+            ]},
+        );
+
+        if(page.around && !result.targetId){
+            return res.status(404).json({
+                msg : "Message not found in this channel"
+            })
+        }
+
+        return res.status(200).json(result)
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// THREAD MESSAGE HISTORY ENDPOINT
+// =====================================
+
+/**
+ * Get the root and one page of replies of a channel thread
+ * 
+ * Thread replies are kept out of getChannelMessages and loaded here when
+ * the user opens a thread. Paging works like channel history: the latest
+ * replies first, older ones with ?before=<nextCursor>.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.messageId - Thread root message ID
+ * @param {string} [req.query.before] - Cursor: return replies older than this
+ * @param {number} [req.query.limit] - Page size (default 50, max 100)
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * Route: GET /api/channel/getThreadMessages/:messageId
+ * Response: { root, messages, hasMore, nextCursor } - replies oldest first
+ * ?around=<reply ID> works as in getChannelMessages
+ * 
+ * Errors:
+ * - 400: invalid ID or paging parameters, or the message is not a channel message
+ * - 404: root message or its channel does not exist, or the around reply is not in the thread
+ * - 403: user is not a member or admin of the channel
+ */
+export const getThreadMessages = async (req , res , next) => {
+    try{
+        const {messageId} = req.params;
+
+        if(!mongoose.isValidObjectId(messageId)){
+            return res.status(400).json({
+                msg : "A valid message ID is required"
+            })
+        }
+
+        const page = parsePageParams(req.query);
+        if(page.error){
+            return res.status(400).json({
+                msg : page.error
+            })
+        }
+
+        const root = await Message.findById(messageId)
+            .populate([{path : "sender" , select : SENDER_FIELDS} , REPLY_PREVIEW_POPULATE , REACTION_USERS_POPULATE]);
+
+        if(!root){
+            return res.status(404).json({
+                msg : "Message not found"
+            })
+        }
+
+        if(!root.channel || root.threadRoot){
+            return res.status(400).json({
+                msg : "Only channel messages outside threads have threads"
+            })
+        }
+
+        // Same rule as channel history: members and admins only
+        const access = await findChannelForMember(root.channel.toString() , req.userID , "_id");
+        if(!access.channel){
+            return res.status(access.status).json({
+                msg : access.msg
+            })
+        }
+
+        const result = await findMessagePage(
+            {threadRoot : root._id , deletedFor : {$ne : req.userID}},
+            page,
+            {populate : [{path : "sender" , select : SENDER_FIELDS} , REPLY_PREVIEW_POPULATE , REACTION_USERS_POPULATE]},
+        );
+
+        if(page.around && !result.targetId){
+            return res.status(404).json({
+                msg : "Reply not found in this thread"
+            })
+        }
+
+        return res.status(200).json({
+            root,
+            ...result,
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// CHANNEL MEMBERSHIP ENDPOINTS
+// =====================================
+
+/**
+ * Channel fields clients keep in their channel list
+ * Sent with "channelAdded" and "channelUpdated"
+ *
+ * @param {Object} channel - Channel document
+ * @returns {Object}
+ */
+const channelPayload = (channel) => {
+    const {messages , ...fields} = channel.toObject();
+    return fields;
+}
+
+/**
+ * Tell everyone affected about a membership change
+ * - added users' sockets join the channel room and get "channelAdded"
+ * - a removed user's sockets get "channelRemoved" and leave the room
+ * - the remaining members get "channelUpdated" and the system message
+ *
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} result - { channel, systemMessage, added?, removed? } from utils/channelMembership.js
+ */
+const broadcastMembershipChange = (io , {channel , systemMessage , added = [] , removed}) => {
+    const room = channelRoom(channel._id.toString());
+
+    if(added.length){
+        joinUsersToChannelRoom(io , added , channel._id);
+        io.to(added.map((id) => userRoom(id.toString()))).emit("channelAdded" , channelPayload(channel));
+    }
+
+    if(removed){
+        io.to(userRoom(removed.toString())).emit("channelRemoved" , {_id : channel._id});
+        removeUsersFromChannelRoom(io , [removed] , channel._id);
+    }
+
+    io.to(room).emit("channelUpdated" , channelPayload(channel));
+    io.to(room).emit("recieveChannelMessage" , systemMessage);
+}
+
+/**
+ * Get the members and admins of a channel with their profiles
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: GET /api/channel/getChannelMembers/:channelId
+ * Response: { admin: [users], members: [users], roles: { userId: role } }
+ * - roles: the stored roles only (see utils/channelPermissions.js)
+ * 
+ * Errors: 400 invalid ID, 404 no such channel, 403 not in the channel
+ */
+export const getChannelMembers = async (req , res , next) => {
+    try{
+        const access = await findChannelForMember(req.params.channelId , req.userID , "_id");
+        if(!access.channel){
+            return res.status(access.status).json({
+                msg : access.msg
+            })
+        }
+
+        const channel = await access.channel.populate([
+            {path : "admin" , select : SENDER_FIELDS},
+            {path : "members" , select : SENDER_FIELDS},
+        ]);
+
+        return res.status(200).json({
+            admin : channel.admin,
+            members : channel.members,
+            roles : channel.roles,
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Add users to a channel (manageMembers permission)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {Array<string>} req.body.members - User IDs to add
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/addMembers/:channelId
+ * Response: { channel, added }
+ * Broadcasts: "channelAdded" to the new members, "channelUpdated" and
+ * the system message to the channel
+ * 
+ * Errors: 400 invalid or duplicate users, 404 no such channel,
+ * 403 role without manageMembers, 409 concurrent change
+ */
+export const addChannelMembers = async (req , res , next) => {
+    try{
+        const result = await addChannelMembersAction({
+            channelId : req.params.channelId,
+            userId : req.userID,
+            memberIds : req.body.members,
         });
+        if(!result.channel){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
 
-        // TODO: Add access control validation
-        // - Verify user is member/admin of channel
-        // - Handle private channel permissions
-        
-        const messages = channel.messages;
+        broadcastMembershipChange(req.app.get("io") , result);
+
+        return res.status(200).json({
+            channel : channelPayload(result.channel),
+            added : result.added,
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Remove a user of a lower role from a channel (manageMembers permission)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} req.body.memberId - User to remove; not the caller (see leaveChannel)
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/removeMember/:channelId
+ * Response: { channel }
+ * Broadcasts: "channelRemoved" to the removed user, "channelUpdated" and
+ * the system message to the channel
+ * 
+ * Errors: 400 invalid ID or self-removal, 404 no such channel or member,
+ * 403 role without manageMembers or target not below it, 409 concurrent change
+ */
+export const removeChannelMember = async (req , res , next) => {
+    try{
+        const result = await removeChannelMemberAction({
+            channelId : req.params.channelId,
+            userId : req.userID,
+            memberId : req.body.memberId,
+        });
+        if(!result.channel){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        broadcastMembershipChange(req.app.get("io") , result);
+
+        return res.status(200).json({
+            channel : channelPayload(result.channel),
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Change the role of a channel user (manageRoles permission)
+ * 
+ * @param {string} [role] - Role the route always gives; taken from
+ * req.body.role when absent
+ * @returns {Function} Express handler
+ * 
+ * Routes: POST /api/channel/setMemberRole/:channelId with { memberId, role },
+ * POST /api/channel/promoteAdmin/:channelId and
+ * POST /api/channel/demoteAdmin/:channelId with { memberId }
+ * Response: { channel }
+ * Broadcasts: "channelUpdated" and the system message to the channel
+ * 
+ * Errors: 400 invalid ID or role or nothing to change, 404 not a member,
+ * 403 role without manageRoles or roles not below it, 409 demoting the
+ * last admin or concurrent change
+ */
+const changeChannelRole = (role) => async (req , res , next) => {
+    try{
+        const result = await setChannelRole({
+            channelId : req.params.channelId,
+            userId : req.userID,
+            memberId : req.body.memberId,
+            role : role ?? req.body.role,
+        });
+        if(!result.channel){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        broadcastMembershipChange(req.app.get("io") , result);
+
+        return res.status(200).json({
+            channel : channelPayload(result.channel),
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+export const setMemberRole = changeChannelRole();
+export const promoteChannelAdmin = changeChannelRole("admin");
+export const demoteChannelAdmin = changeChannelRole("member");
+
+/**
+ * Leave a channel
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/leaveChannel/:channelId
+ * Response: { msg }
+ * Broadcasts: "channelRemoved" to the user's other sessions,
+ * "channelUpdated" and the system message to the remaining members
+ * 
+ * Errors: 400 invalid ID, 404 no such channel, 403 not in the channel,
+ * 409 the last admin leaving while members remain
+ */
+export const leaveChannel = async (req , res , next) => {
+    try{
+        const result = await leaveChannelAction({
+            channelId : req.params.channelId,
+            userId : req.userID,
+        });
+        if(!result.channel){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        broadcastMembershipChange(req.app.get("io") , result);
+
+        return res.status(200).json({
+            msg : "You left the channel",
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Join a public channel
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/joinChannel/:channelId
+ * Response: { channel }
+ * Broadcasts: "channelAdded" to the user's sessions, "channelUpdated" and
+ * the system message to the channel
+ * 
+ * Errors: 400 invalid ID or already a member, 404 no such channel,
+ * 403 private channel
+ */
+export const joinChannel = async (req , res , next) => {
+    try{
+        const result = await joinChannelAction({
+            channelId : req.params.channelId,
+            userId : req.userID,
+        });
+        if(!result.channel){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        broadcastMembershipChange(req.app.get("io") , result);
+
+        return res.status(200).json({
+            channel : channelPayload(result.channel),
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// CHANNEL DIRECTORY ENDPOINT
+// =====================================
+
+/**
+ * List public channels, optionally filtered by name
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.search] - Part of the channel name
+ * @param {number} [req.query.offset] - Channels to skip
+ * @param {number} [req.query.limit] - Page size (default 20, max 50)
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: GET /api/channel/browseChannels
+ * Response: { channels: [{ _id, name, topic, description, channelImage,
+ * memberCount, joined }], hasMore } - sorted by name
+ * 
+ * Errors: 400 invalid search or paging parameters
+ */
+export const browseChannels = async (req , res , next) => {
+    try{
+        const result = await browsePublicChannels({
+            userId : req.userID,
+            search : req.query.search,
+            offset : req.query.offset,
+            limit : req.query.limit,
+        });
+        if(result.status){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        return res.status(200).json(result)
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// CHANNEL SETTINGS ENDPOINTS
+// =====================================
+
+/**
+ * Send an answer for a settings change, and the new settings to every
+ * member ("channelUpdated")
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} result - { channel } or { status, msg } from utils/channelSettings.js
+ */
+const respondWithChannelUpdate = (req , res , result) => {
+    if(!result.channel){
+        return res.status(result.status).json({
+            msg : result.msg
+        })
+    }
+
+    const channel = channelPayload(result.channel);
+    req.app.get("io").to(channelRoom(channel._id.toString())).emit("channelUpdated" , channel);
+
+    return res.status(200).json({
+        channel,
+    })
+}
+
+/**
+ * Rename a channel or change its topic, description or visibility (owner and admins)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} [req.body.name] - New name (1-50 characters)
+ * @param {string} [req.body.topic] - New topic (up to 250 characters, "" clears it)
+ * @param {string} [req.body.description] - New description (up to 1000 characters, "" clears it)
+ * @param {boolean} [req.body.isPrivate] - Whether the channel is invite-only
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/updateChannel/:channelId
+ * Response: { channel }
+ * Broadcasts: "channelUpdated" to the channel
+ * 
+ * Errors: 400 invalid settings, 404 no such channel, 403 role may not change settings
+ */
+export const updateChannel = async (req , res , next) => {
+    try{
+        const result = await updateChannelSettings({
+            channelId : req.params.channelId,
+            userId : req.userID,
+            name : req.body.name,
+            topic : req.body.topic,
+            description : req.body.description,
+            isPrivate : req.body.isPrivate,
+        });
+        return respondWithChannelUpdate(req , res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Upload a new channel avatar (owner and admins)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {Object} req.file - Image uploaded as "channel-image" (multer)
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/updateChannelImage/:channelId
+ * Response: { channel }
+ * Broadcasts: "channelUpdated" to the channel
+ * 
+ * Errors: 400 missing file or not a JPEG, PNG, WebP or GIF image, 404 no such
+ * channel (or deleted meanwhile), 403 role may not change settings
+ */
+export const updateChannelImage = async (req , res , next) => {
+    try{
+        const result = await updateChannelImageAction({
+            channelId : req.params.channelId,
+            userId : req.userID,
+            file : req.file,
+        });
+        return respondWithChannelUpdate(req , res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Remove the channel avatar (owner and admins)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: DELETE /api/channel/deleteChannelImage/:channelId
+ * Response: { channel }
+ * Broadcasts: "channelUpdated" to the channel
+ * 
+ * Errors: 400 invalid ID, 404 no such channel, 403 role may not change settings
+ */
+export const deleteChannelImage = async (req , res , next) => {
+    try{
+        const result = await deleteChannelImageAction({
+            channelId : req.params.channelId,
+            userId : req.userID,
+        });
+        return respondWithChannelUpdate(req , res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// PINNED MESSAGES ENDPOINT
+// =====================================
+
+/**
+ * Pin a channel message, or unpin it (moderators and up)
+ * 
+ * The change goes to the channel room as "messagePinned"; the
+ * "pinMessage" socket event does the same through utils/messageActions.js.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.messageId - Message to pin or unpin
+ * @param {boolean} req.body.pinned - true to pin, false to unpin
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/pinMessage/:messageId
+ * Response: { _id, channelId, pinnedAt, pinnedBy }
+ * Broadcasts: "messagePinned" to the channel
+ * 
+ * Errors: 400 invalid ID or pinned flag, direct, deleted or system
+ * message, 404 unknown message, 403 not a member or role may not pin
+ */
+export const pinMessage = async (req , res , next) => {
+    try{
+        const result = await setMessagePinned({
+            messageId : req.params.messageId,
+            userId : req.userID,
+            pinned : req.body.pinned,
+        });
+
+        if(!result.message){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        const payload = messagePinnedPayload(result.message);
+        if(result.changed){
+            emitToConversation(req.app.get("io") , result.message , "messagePinned" , payload);
+        }
+
+        return res.status(200).json(payload)
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// CHANNEL INVITE ENDPOINTS
+// =====================================
+
+/**
+ * Send the answer of an invite action that has no broadcast
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result or { status, msg } from utils/channelInvites.js
+ */
+const respondWithInviteResult = (res , result) => {
+    if(result.status){
+        return res.status(result.status).json({
+            msg : result.msg
+        })
+    }
+
+    return res.status(200).json(result)
+}
+
+/**
+ * Create an invite link to a channel (roles that manage members)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {number} [req.body.expiresInHours] - Hours until it expires (max 720); never when absent
+ * @param {number} [req.body.maxUses] - How many users may join with it (max 1000); unlimited when absent
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/createInvite/:channelId
+ * Response: { invite } - the client builds the link from invite.token
+ * 
+ * Errors: 400 invalid ID or limits, 404 no such channel, 403 role may not manage members
+ */
+export const createInvite = async (req , res , next) => {
+    try{
+        const {expiresInHours , maxUses} = req.body;
+        const result = await createChannelInvite({
+            channelId : req.params.channelId,
+            userId : req.userID,
+            expiresInHours,
+            maxUses,
+        });
+        return respondWithInviteResult(res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * List a channel's invites that can still be used (roles that manage members)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel ID
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: GET /api/channel/getInvites/:channelId
+ * Response: { invites } - newest first, createdBy populated
+ * 
+ * Errors: 400 invalid ID, 404 no such channel, 403 role may not manage members
+ */
+export const getInvites = async (req , res , next) => {
+    try{
+        const result = await listChannelInvites({
+            channelId : req.params.channelId,
+            userId : req.userID,
+        });
+        return respondWithInviteResult(res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Revoke an invite so its link stops working (roles that manage members of its channel)
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.inviteId - Invite ID
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: DELETE /api/channel/revokeInvite/:inviteId
+ * Response: { invite }
+ * 
+ * Errors: 400 invalid ID or already revoked, 404 no such invite,
+ * 403 role may not manage members of its channel
+ */
+export const revokeInvite = async (req , res , next) => {
+    try{
+        const result = await revokeChannelInvite({
+            inviteId : req.params.inviteId,
+            userId : req.userID,
+        });
+        return respondWithInviteResult(res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Show what an invite leads to, before accepting it
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.token - Invite token
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: GET /api/channel/invite/:token
+ * Response: { channel: { _id, name, topic, description, channelImage,
+ * memberCount }, joined, expiresAt }
+ * 
+ * Errors: 404 unknown token or deleted channel, 410 expired, used up or revoked
+ */
+export const getInvitePreview = async (req , res , next) => {
+    try{
+        const result = await previewChannelInvite({
+            token : req.params.token,
+            userId : req.userID,
+        });
+        return respondWithInviteResult(res , result);
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+/**
+ * Join a channel as a member with an invite
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.token - Invite token
+ * @param {string} req.userID - User ID (from auth middleware)
+ * @param {Object} res - Express response object
+ * 
+ * Route: POST /api/channel/acceptInvite/:token
+ * Response: { channel }
+ * Broadcasts: as joinChannel
+ * 
+ * Errors: 400 already a member, 404 unknown token or deleted channel,
+ * 410 expired, used up or revoked, 409 concurrent change
+ */
+export const acceptInvite = async (req , res , next) => {
+    try{
+        const result = await acceptChannelInvite({
+            token : req.params.token,
+            userId : req.userID,
+        });
+        if(!result.channel){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        broadcastMembershipChange(req.app.get("io") , result);
 
         return res.status(200).json({
-            messages,
+            channel : channelPayload(result.channel),
         })
 
     }catch(error){
@@ -39,6 +39,7 @@
 import mongoose from "mongoose";
 import {User} from "../models/user.model.js"
 import {Message} from "../models/messages.model.js"
+import { messagePreview, PREVIEW_SOURCE_FIELDS } from "../utils/messagePreview.js";
 
 /**
  * Search for contacts based on a search term
@@ -108,20 +109,28 @@ export const searchedContacts = async (req , res , next) =>{
  * sorted by the time of their last message. It uses MongoDB aggregation pipeline to:
  * 1. Find all messages involving the current user
  * 2. Group by conversation partner
- * 3. Get the last message time for each contact
- * 4. Join with user information
- * 5. Sort by last message time (most recent first)
+ * 3. Get the last message time and a snippet of the last message for each contact
+ * 4. Count the messages the user has not read yet
+ * 5. Join with user information
+ * 6. Sort by last message time (most recent first)
+ * 
+ * Unread messages are those the contact sent after the user last read or
+ * replied in the conversation and that have no readAt yet. Starting from
+ * that point keeps conversations from before read receipts existed (no
+ * readAt anywhere) from showing their whole history as unread.
  * 
  * @param {Object} req - Express request object
  * @param {string} req.userID - Current user's ID (from auth middleware)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {Object} JSON response with contacts array sorted by last message time
+ * @returns {Object} JSON response with contacts array sorted by last message time;
+ * each contact has lastMessageTime, lastMessagePreview and unreadCount
  * 
  * Pipeline Steps:
- * - $match: Find messages where user is sender or receiver
+ * - $match: Find direct messages where user is sender or receiver
  * - $sort: Sort by timestamp descending
- * - $group: Group by conversation partner, get last message time
+ * - $group: Group by conversation partner, get last message and read marks
+ * - $lookup: Count unread messages after the last read mark
  * - $lookup: Join with users collection to get contact info
  * - $unwind: Flatten the contact information
  * - $project: Select only needed fields
@@ -136,12 +145,15 @@ export const getContactsForDMList = async (req , res , next)=>{
         // MongoDB aggregation pipeline to get contacts with last message info
         const contacts = await Message.aggregate([
             {
-                // Stage 1: Find all messages involving the current user
+                // Stage 1: Find all direct messages involving the current user
+                // Messages the user deleted for themselves do not count
                 $match : {
                     $or : [
                         {sender : userID},    // Messages sent by current user
                         {receiver : userID}   // Messages received by current user
-                    ]
+                    ],
+                    channel : null,
+                    deletedFor : {$ne : userID},
                 }
             },
             {
@@ -161,10 +173,48 @@ export const getContactsForDMList = async (req , res , next)=>{
                     },
                     // Get the timestamp of the most recent message (first due to sorting)
                     lastMessageTime : {$first : "$timeStamp"},
+                    // And what it said, for the preview snippet
+                    lastMessage : {$first : PREVIEW_SOURCE_FIELDS},
+                    // Read marks: the user's latest message, and the latest
+                    // message they received and read
+                    lastOwnTime : {$max : {
+                        $cond : [{$eq : ["$sender" , userID]} , "$timeStamp" , null],
+                    }},
+                    lastReadTime : {$max : {
+                        $cond : [
+                            {$and : [
+                                {$eq : ["$receiver" , userID]},
+                                {$ne : [{$ifNull : ["$readAt" , null]} , null]},
+                            ]},
+                            "$timeStamp",
+                            null,
+                        ],
+                    }},
                 },
             },
             {
-                // Stage 4: Join with users collection to get contact details
+                // Stage 4: Count unread messages from this contact after the read marks
+                $lookup : {
+                    from : Message.collection.name,
+                    let : {
+                        contact : "$_id",
+                        since : {$ifNull : [{$max : ["$lastOwnTime" , "$lastReadTime"]} , new Date(0)]},
+                    },
+                    pipeline : [
+                        {$match : {$expr : {$and : [
+                            {$eq : ["$sender" , "$$contact"]},
+                            {$eq : ["$receiver" , userID]},
+                            {$gt : ["$timeStamp" , "$$since"]},
+                            {$eq : [{$ifNull : ["$readAt" , null]} , null]},
+                            {$not : [{$in : [userID , {$ifNull : ["$deletedFor" , []]}]}]},
+                        ]}}},
+                        {$count : "count"},
+                    ],
+                    as : "unread",
+                },
+            },
+            {
+                // Stage 5: Join with users collection to get contact details
                 $lookup : {
                     from : "users",
                     localField : "_id",
@@ -173,14 +223,16 @@ export const getContactsForDMList = async (req , res , next)=>{
                 },
             },
             {
-                // Stage 5: Unwind the contact info array (should be single document)
+                // Stage 6: Unwind the contact info array (should be single document)
                 $unwind : "$contactInfo",
             },
             {
-                // Stage 6: Project only the fields needed for the DM list UI
+                // Stage 7: Project only the fields needed for the DM list UI
                 $project: {
                     _id : 1,
                     lastMessageTime : 1,
+                    lastMessage : 1,
+                    unreadCount : {$ifNull : [{$arrayElemAt : ["$unread.count" , 0]} , 0]},
                     email : "$contactInfo.email",
                     firstName : "$contactInfo.firstName",
                     lastName : "$contactInfo.lastName",
@@ -189,14 +241,18 @@ export const getContactsForDMList = async (req , res , next)=>{
                 }
             },
             {
-                // Stage 7: Final sort by last message time (most recent conversations first)
+                // Stage 8: Final sort by last message time (most recent conversations first)
                 $sort : {lastMessageTime : -1},
             },  
         ]);
 
         // Return successful response with contacts sorted by last message time
+        // The snippet is built here so it matches live messages (see messagePreview)
         return res.status(200).json({
-            contacts
+            contacts : contacts.map(({lastMessage , ...contact}) => ({
+                ...contact,
+                lastMessagePreview : messagePreview(lastMessage),
+            })),
         })
     }catch(error){
         // Log error for debugging and monitoring
@@ -8,33 +8,56 @@
 // Key Responsibilities:
 // 1. Retrieve message history for direct conversations
 // 2. Handle file upload for message attachments
-// 3. Provide RESTful interface for message operations
-// 4. Support pagination and filtering of message data
+// 3. Edit, delete and react to existing messages
+// 4. Catch clients up on messages they missed while disconnected
+// 5. Search messages across the user's conversations
+// 6. Provide RESTful interface for message operations
+// 7. Support pagination and filtering of message data
 //
 // Architecture Note:
 // - Real-time messaging: Handled by socket.js (instant delivery)
 // - Message history: Handled by this controller (HTTP requests)
 // - File uploads: Handled by this controller (multipart/form-data)
 
-import { Message } from "../models/messages.model.js";
 import {mkdirSync, renameSync} from "fs";
+import { REACTION_USERS_POPULATE, REPLY_PREVIEW_POPULATE } from "../models/messages.model.js";
 import moment from "moment";
+import { findMessagePage, parsePageParams } from "../utils/pagination.js";
+import {
+    deleteMessage as deleteMessageAction,
+    editMessage as editMessageAction,
+    messageDeletedPayload,
+    messageEditedPayload,
+    messageReactionsPayload,
+    toggleReaction as toggleReactionAction,
+} from "../utils/messageActions.js";
+import { emitToConversation, userRoom } from "../utils/socketRooms.js";
+import { findMissedMessages } from "../utils/messageSync.js";
+import { searchMessages as searchMessagesAction } from "../utils/messageSearch.js";
 
 // =====================================
 // DIRECT MESSAGE HISTORY RETRIEVAL
 // =====================================
 
 /**
- * Retrieve message history between two users
+ * Retrieve one page of message history between two users
  * 
- * This endpoint fetches the complete conversation history between two users
+ * This endpoint fetches the conversation history between two users
  * for displaying in the chat interface. Unlike socket events that handle
  * real-time message delivery, this provides historical context when users
  * open a conversation.
  * 
+ * History is paged with cursors (see utils/pagination.js): the client
+ * loads the latest page first and passes nextCursor back as `before` to
+ * load older messages as the user scrolls up.
+ * 
  * @param {Object} req - Express request object
  * @param {string} req.userID - Current user ID (from auth middleware)
  * @param {string} req.body.id - Other user ID to get conversation with
+ * @param {string} [req.body.before] - Cursor: return messages older than this
+ * @param {string} [req.body.after] - Cursor: return messages newer than this
+ * @param {string} [req.body.around] - Message ID: return it with up to `limit` messages on each side
+ * @param {number} [req.body.limit] - Page size (default 50, max 100)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * 
@@ -44,7 +67,9 @@ import moment from "moment";
  * 
  * Request Body:
  * {
- *   "id": "other_user_id"
+ *   "id": "other_user_id",
+ *   "before": "1720434600000_message_id",  // optional
+ *   "limit": 50                             // optional
  * }
  * 
  * Response:
@@ -56,14 +81,26 @@ import moment from "moment";
  *       "receiver": "user_id", 
  *       "content": "message text",
  *       "timeStamp": "2025-07-08T10:30:00Z",
- *       "messageType": "text"
+ *       "messageType": "text",
+ *       "replyTo": { "_id", "sender", "content", ... }  // replies only
  *     }
- *   ]
+ *   ],
+ *   "hasMore": true,
+ *   "nextCursor": "1720434600000_message_id"
  * }
  * 
+ * Messages are ordered oldest first within the page. nextCursor points
+ * past the end of the page in the requested direction and is null when
+ * hasMore is false.
+ * 
+ * With `around`, hasMore/nextCursor describe the older side and the
+ * response adds "hasNewer", "newerCursor" (pass as `after`) and
+ * "targetId"; 404 if the message is not part of this conversation.
+ * 
  * Use Cases:
  * - User opens a chat conversation
- * - Loading older messages (pagination)
+ * - Loading older messages as the user scrolls up
+ * - Opening the conversation at a search hit or quoted message (around)
  * - Searching through message history
  */
 export const getMessages = async (req , res , next)=>{
@@ -88,41 +125,39 @@ export const getMessages = async (req , res , next)=>{
             })
         }
 
+        // Validate cursors and page size before touching the database
+        const page = parsePageParams(req.body);
+        if(page.error){
+            return res.status(400).json({
+                msg : page.error
+            })
+        }
+
         // =====================================
         // DATABASE QUERY FOR CONVERSATION HISTORY
         // =====================================
         
-        // Find all messages between the two users
+        // Find one page of messages between the two users
         // Uses MongoDB $or operator to find messages in both directions:
         // - Messages sent by user1 to user2
         // - Messages sent by user2 to user1
-        const messages = await Message.find({
+        // The sender+receiver+timeStamp index serves both branches
+        // Messages user1 deleted for themselves are left out
+        const result = await findMessagePage({
             $or: [
                 {sender : user1 , receiver : user2},  // user1 → user2
                 {sender : user2 , receiver : user1},  // user2 → user1
-            ]
-        }).sort({timeStamp : 1});  // Sort chronologically (oldest first)
-        
-        // =====================================
-        // QUERY OPTIMIZATION NOTES
-        // =====================================
-        
-        // Current implementation loads ALL messages between users
-        // Performance considerations:
-        // - For users with thousands of messages, this could be slow
-        // - Consider implementing pagination (skip/limit)
-        // - Could add date range filtering
-        // - Indexing on sender+receiver+timeStamp would improve performance
-        
-        // Example pagination implementation:
-        // const page = req.query.page || 1;
-        // const limit = req.query.limit || 50;
-        // const skip = (page - 1) * limit;
-        // .skip(skip).limit(limit)
+            ],
+            deletedFor : {$ne : user1},
+        } , page , {populate : [REPLY_PREVIEW_POPULATE , REACTION_USERS_POPULATE]});
 
-        return res.status(200).json({
-            messages
-        })
+        if(page.around && !result.targetId){
+            return res.status(404).json({
+                msg : "Message not found in this conversation"
+            })
+        }
+
+        return res.status(200).json(result)
         
     }catch(error){
         // =====================================
@@ -277,6 +312,335 @@ export const uploadFile = async (req , res , next) =>{
     }
 }
 
+// =====================================
+// MESSAGE EDITING
+// =====================================
+
+/**
+ * Edit the content of one of the user's own text messages
+ * 
+ * The previous content is kept in editHistory and editedAt is set. Every
+ * open session in the conversation (both DM participants, or the channel
+ * room) receives a "messageEdited" event so the change shows up live.
+ * Clients connected over sockets can use the "editMessage" event instead;
+ * both go through utils/messageActions.js.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.userID - Current user ID (from auth middleware)
+ * @param {string} req.params.messageId - Message to edit
+ * @param {string} req.body.content - New message text
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * HTTP Method: PATCH
+ * Route: /api/messages/editMessage/:messageId
+ * Auth: Required (only the author may edit)
+ * 
+ * Response:
+ * {
+ *   "message": { ...updated message with editedAt and editHistory }
+ * }
+ * 
+ * Errors: 400 invalid input or non-text message, 403 not the author or
+ * read-only in the channel, 404 unknown message, 409 concurrent edit (retry)
+ */
+export const editMessage = async (req , res , next) => {
+    try{
+        const result = await editMessageAction({
+            messageId : req.params.messageId,
+            userId : req.userID,
+            content : req.body.content,
+        });
+
+        if(!result.message){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        // Unchanged content is not worth a broadcast
+        if(result.changed){
+            emitToConversation(req.app.get("io") , result.message , "messageEdited" , messageEditedPayload(result.message));
+        }
+
+        return res.status(200).json({
+            message : result.message
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// MESSAGE DELETION
+// =====================================
+
+/**
+ * Delete a message for the current user only, or for everyone
+ * 
+ * - scope=me: hides the message from this user's history (any participant)
+ * - scope=everyone: the author turns the message into a tombstone within
+ *   DELETE_FOR_EVERYONE_WINDOW_MINUTES of sending (default 60); an
+ *   attached file is removed from upload/files
+ * 
+ * A "messageDeleted" event goes to the user's own sessions (scope=me) or
+ * to everyone in the conversation (scope=everyone). The "deleteMessage"
+ * socket event does the same through utils/messageActions.js.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.userID - Current user ID (from auth middleware)
+ * @param {string} req.params.messageId - Message to delete
+ * @param {string} req.query.scope - "me" or "everyone"
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * HTTP Method: DELETE
+ * Route: /api/messages/deleteMessage/:messageId?scope=everyone
+ * Auth: Required
+ * 
+ * Response:
+ * {
+ *   "message": { ...message, deletedAt / deletedFor updated }
+ * }
+ * 
+ * Errors: 400 invalid input, 403 not allowed (not the author, window
+ * expired, not in the conversation), 404 unknown message
+ */
+export const deleteMessage = async (req , res , next) => {
+    try{
+        const {scope} = req.query;
+        const result = await deleteMessageAction({
+            messageId : req.params.messageId,
+            userId : req.userID,
+            scope,
+        });
+
+        if(!result.message){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        const io = req.app.get("io");
+        const payload = messageDeletedPayload(result.message , scope);
+        if(scope === "everyone"){
+            emitToConversation(io , result.message , "messageDeleted" , payload);
+        }else{
+            io.to(userRoom(req.userID)).emit("messageDeleted" , payload);
+        }
+
+        return res.status(200).json({
+            message : result.message
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// MESSAGE REACTIONS
+// =====================================
+
+/**
+ * Add the current user's emoji reaction to a message, or take it back
+ * 
+ * Reacting again with the same emoji removes the reaction. The updated
+ * reaction list goes to everyone in the conversation as
+ * "messageReactionsUpdated". The "toggleReaction" socket event does the
+ * same through utils/messageActions.js.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.userID - Current user ID (from auth middleware)
+ * @param {string} req.params.messageId - Message to react to
+ * @param {string} req.body.emoji - Emoji to toggle
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * HTTP Method: POST
+ * Route: /api/messages/toggleReaction/:messageId
+ * Auth: Required (any participant of the conversation)
+ * 
+ * Response:
+ * {
+ *   "reacted": true,            // false when the reaction was removed
+ *   "reactions": [{ emoji, users: [{ _id, firstName, lastName, email }] }]
+ * }
+ * 
+ * Errors: 400 invalid emoji, deleted message or too many distinct
+ * reactions, 403 not in the conversation, 404 unknown message
+ */
+export const toggleReaction = async (req , res , next) => {
+    try{
+        const result = await toggleReactionAction({
+            messageId : req.params.messageId,
+            userId : req.userID,
+            emoji : req.body.emoji,
+        });
+
+        if(!result.message){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        emitToConversation(req.app.get("io") , result.message , "messageReactionsUpdated" , messageReactionsPayload(result.message));
+
+        return res.status(200).json({
+            reacted : result.reacted,
+            reactions : result.message.reactions,
+        })
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// RECONNECT CATCH-UP
+// =====================================
+
+/**
+ * Messages the current user missed while their socket was disconnected
+ * 
+ * Covers every DM and channel of the user (thread replies included), so
+ * the client can update the open chat and both conversation lists in one
+ * pass. Messages are shaped like the live socket events; see
+ * utils/messageSync.js. Edits, deletions and reactions made meanwhile are
+ * not replayed - they show when the conversation is reloaded.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.userID - Current user ID (from auth middleware)
+ * @param {string} [req.body.since] - Timestamp of the newest message the client saw;
+ *   omitted when it has seen none (the sync then covers the whole sync window)
+ * @param {string} [req.body.after] - nextCursor of the previous page, instead of since
+ * @param {Object} [req.body.conversations] - { <contact or channel ID>: <timestamp> },
+ *   the newest message seen per conversation
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * HTTP Method: POST
+ * Route: /api/messages/sync
+ * Auth: Required (user must be authenticated)
+ * 
+ * Response:
+ * {
+ *   "messages": [...],            // oldest first
+ *   "hasMore": false,
+ *   "nextCursor": null            // pass back as `after` while hasMore
+ * }
+ * 
+ * Errors: 400 missing/invalid since, cursor or conversations, or since
+ * further back than the sync window
+ */
+export const syncMessages = async (req , res , next) => {
+    try{
+        const result = await findMissedMessages({
+            userId : req.userID,
+            since : req.body.since,
+            after : req.body.after,
+            conversations : req.body.conversations,
+        });
+
+        if(!result.messages){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        return res.status(200).json(result)
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
+// =====================================
+// MESSAGE SEARCH
+// =====================================
+
+/**
+ * Full-text search over the messages of the current user's conversations
+ * 
+ * Only the user's own DMs and the channels they belong to are searched.
+ * Results are newest first; pass nextCursor back as `before` for the next
+ * page. See utils/messageSearch.js.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.userID - Current user ID (from auth middleware)
+ * @param {string} req.body.query - Words or "quoted phrases" (optional with hasFile)
+ * @param {string} [req.body.conversation] - Channel ID, or the other user of a DM
+ * @param {string} [req.body.sender] - Sender user ID
+ * @param {string} [req.body.from] - Earliest send time
+ * @param {string} [req.body.to] - Latest send time
+ * @param {boolean} [req.body.hasFile] - Only messages with attachments
+ * @param {string} [req.body.before] - Cursor from the previous page
+ * @param {number} [req.body.limit] - Page size (default 20, max 50)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * HTTP Method: POST
+ * Route: /api/messages/search
+ * Auth: Required (user must be authenticated)
+ * 
+ * Response:
+ * {
+ *   "results": [{
+ *     "_id", "timeStamp", "messageType", "fileUrl", "threadRoot",
+ *     "sender": { ... }, "receiver": { ... },   // receiver: DMs only
+ *     "channel": { "_id", "name" },           // channel messages only
+ *     "snippet": "…text around the match…",
+ *     "highlights": [[start, end]]            // matched ranges in snippet
+ *   }],
+ *   "hasMore": true,
+ *   "nextCursor": "1720434600000_message_id"
+ * }
+ * 
+ * Errors: 400 missing or overlong query, invalid IDs, dates or cursor
+ */
+export const searchMessages = async (req , res , next) => {
+    try{
+        const result = await searchMessagesAction({
+            userId : req.userID,
+            query : req.body.query,
+            conversation : req.body.conversation,
+            sender : req.body.sender,
+            from : req.body.from,
+            to : req.body.to,
+            hasFile : req.body.hasFile,
+            before : req.body.before,
+            limit : req.body.limit,
+        });
+
+        if(!result.results){
+            return res.status(result.status).json({
+                msg : result.msg
+            })
+        }
+
+        return res.status(200).json(result)
+
+    }catch(error){
+        console.log({error});
+        return res.status(500).json({
+            msg : "INTERNAL SERVER ERROR",
+        })
+    }
+}
+
 // =====================================
 // DESIGN THINKING QUESTIONS FOR MESSAGE CONTROLLER
 // =====================================
@@ -290,8 +654,8 @@ export const uploadFile = async (req , res , next) =>{
    - Should we implement server-sent events (SSE) as fallback for sockets?
 
 2. Message history pagination and performance:
-   - Current implementation loads ALL messages - how to add pagination?
-   - Should we implement cursor-based pagination for better performance?
+   - History is cursor-paged; should the client evict pages far off screen?
+   - Should pages be cached so reopening a chat is instant?
    - How do we handle conversations with millions of messages?
    - Should we implement message search and filtering?
 
@@ -351,7 +715,7 @@ export const uploadFile = async (req , res , next) =>{
 11. Advanced message features:
     - How would we implement message reactions?
     - Should we add message threading/replies?
-    - How do we handle message editing and history?
+    - Should edit history be visible to everyone or only to moderators?
     - Should we implement message templates or quick replies?
 
 12. File sharing enhancements:
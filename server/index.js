@@ -43,6 +43,8 @@ import channelRoutes from "./routes/ChannelRoutes.js";    // Channel/group chat
 
 // Socket.IO setup for real-time messaging functionality
 import setUpSocket from "./socket.js";
+// Pluggable Socket.IO adapter + presence store (in-memory or Redis)
+import { createSocketBackend } from "./adapters/socketAdapter.js";
 
 // Load environment variables from .env file
 // This must be called early to ensure all config values are available
@@ -127,6 +129,7 @@ app.use(cors({
  */
 app.use("/upload/profiles", express.static("upload/profiles"));   // User profile images
 app.use("/upload/files", express.static("upload/files"));        // Message attachments and files
+app.use("/upload/channels", express.static("upload/channels"));  // Channel avatars
 
 /**
  * JSON Body Parser
@@ -220,8 +223,18 @@ const server = app.listen(port, () => {
  * - Room-based communication (channels, DMs)
  * - Connection management and user presence
  * - Cross-browser compatibility with fallbacks
+ *
+ * Scaling backend (SOCKET_ADAPTER):
+ * - "memory" (default): single server, everything in process memory
+ * - "redis": rooms and presence shared through REDIS_URL so several
+ *   instances can run behind a load balancer (with sticky sessions)
  */
-setUpSocket(server);
+const socketBackend = await createSocketBackend();
+const io = setUpSocket(server, socketBackend);
+
+// Share the Socket.IO instance with REST controllers (req.app.get("io"))
+// so HTTP endpoints can emit events and manage socket rooms
+app.set("io", io);
 
 /**
  * 🤔 KEY DESIGN THINKING QUESTIONS FOR SERVER ARCHITECTURE
@@ -232,7 +245,7 @@ setUpSocket(server);
  *    How would you handle increased load and concurrent users? Would you implement:
  *    - Horizontal scaling with load balancers and multiple server instances?
  *    - Database connection pooling and query optimization?
- *    - Redis for session storage and Socket.IO adapter for multi-server communication?
+ *    - Redis for session storage (the Socket.IO adapter is covered by SOCKET_ADAPTER=redis)?
  *    - CDN for static file serving and caching strategies?
  * 
  * 2. **SECURITY & COMPLIANCE**:
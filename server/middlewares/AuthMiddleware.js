@@ -141,16 +141,70 @@ export const verifyToken = async (req , res , next)=>{
     // - POST /api/messages/upload-file (file uploads)
     // - GET /api/auth/user-info (user data retrieval)
     
-    // Socket.io authentication uses similar logic:
-    // - Extracts userID from query params during connection
-    // - Could be enhanced to use this same verification logic
-    
+    // Socket.io authentication uses the same logic:
+    // - See verifySocketToken below, which reads the same 'jwt' cookie
+    //   from the handshake instead of trusting a client-supplied userId
+
     // Error handling considerations:
     // - 401 responses should trigger frontend logout/redirect
     // - Expired tokens should prompt re-authentication
     // - Multiple failed attempts might indicate attack
 }
 
+// =====================================
+// SOCKET.IO HANDSHAKE VERIFICATION MIDDLEWARE
+// =====================================
+
+/**
+ * Socket.IO middleware to authenticate connections with the JWT cookie
+ *
+ * Socket.IO equivalent of verifyToken. It runs once per connection during
+ * the handshake, so every event handled on the socket afterwards can trust
+ * socket.data.userId instead of whatever the client puts in its payloads.
+ *
+ * @param {Socket} socket - The connecting socket instance
+ * @param {Object} socket.request.cookies - Handshake cookies (parsed by cookie-parser via io.engine.use)
+ * @param {Function} next - Socket.IO next middleware function
+ *
+ * On Success:
+ * - socket.data.userId contains the authenticated user's database ID
+ * - Connection proceeds to the "connection" handler
+ *
+ * On Failure:
+ * - next() is called with an Error, which rejects the handshake
+ * - The client receives a "connect_error" event with err.message
+ *   and err.data.code ("TOKEN_REQUIRED" or "INVALID_TOKEN")
+ * - Socket.IO does not auto-reconnect after a middleware rejection,
+ *   so the client must re-authenticate before connecting again
+ */
+export const verifySocketToken = (socket , next) =>{
+
+    // Extract JWT token from the handshake cookies
+    // Same 'jwt' cookie that verifyToken reads for REST requests
+    const token = socket.request.cookies?.jwt;
+
+    if(!token){
+        const error = new Error("Token is required");
+        error.data = { code : "TOKEN_REQUIRED" };
+        return next(error);
+    }
+
+    jwt.verify(token , process.env.JWT_KEY , (err , payload)=>{
+
+        if(err){
+            console.error("Socket token verification failed:", err.name, err.message);
+
+            const error = new Error("Invalid Token");
+            error.data = { code : "INVALID_TOKEN" };
+            return next(error);
+        }
+
+        // Bind the authenticated identity to the socket for all later events
+        socket.data.userId = payload.id;
+        next();
+    });
+}
+
 // =====================================
 // DESIGN THINKING QUESTIONS FOR AUTHENTICATION MIDDLEWARE
 // =====================================
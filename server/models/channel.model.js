@@ -35,10 +35,54 @@ const channelSchema = new mongoose.Schema({
     name : {
         type : String,
         required : true,
-        // TODO: Add validation for channel name
-        // trim: true,
-        // maxlength: [50, "Channel name too long"],
-        // minlength: [1, "Channel name required"]
+        trim : true,
+        maxlength : [50 , "Channel name too long"],
+        minlength : [1 , "Channel name required"],
+    },
+
+    // =====================================
+    // CHANNEL SETTINGS
+    // =====================================
+
+    /**
+     * Topic - one line shown under the name in the chat header
+     * Set by admins; empty when unset
+     */
+    topic : {
+        type : String,
+        trim : true,
+        maxlength : [250 , "Topic too long"],
+        default : "",
+    },
+
+    /**
+     * Description - what the channel is for, shown in the channel panel
+     * Set by admins; empty when unset
+     */
+    description : {
+        type : String,
+        trim : true,
+        maxlength : [1000 , "Description too long"],
+        default : "",
+    },
+
+    /**
+     * Private channels are invite-only: only admins add members
+     * Public channels are listed in the channel directory and anyone may
+     * join them. Channels created before this flag existed stay private
+     */
+    isPrivate : {
+        type : Boolean,
+        default : true,
+    },
+
+    /**
+     * Channel avatar - path of the uploaded image under upload/channels/
+     * Shown instead of the "#" placeholder; empty when unset
+     */
+    channelImage : {
+        type : String,
+        default : "",
     },
     
     // =====================================
@@ -68,16 +112,32 @@ const channelSchema = new mongoose.Schema({
         ref : "Users",
         required : true,
     }],
+
+    /**
+     * Channel roles beyond plain admin and member - user ID -> role
+     * "owner" for a user in admin; "moderator" or "readOnly" for a user in
+     * members. Users without an entry are "admin" or "member" by the array
+     * they are in (see utils/channelPermissions.js)
+     */
+    roles : {
+        type : Map,
+        of : {
+            type : String,
+            enum : ["owner" , "moderator" , "readOnly"],
+        },
+        default : {},
+    },
     
     // =====================================
     // CHANNEL MESSAGE HISTORY
     // =====================================
     
     /**
-     * Channel message references - chronological message history
-     * Array of Message ObjectIds in the channel
-     * Used for loading channel history and message navigation
-     * Updated when new messages are sent to channel
+     * LEGACY: channel message references
+     * Array of Message ObjectIds, written by older versions on every send
+     * No longer updated or read - messages carry their own `channel` field
+     * and history is paged straight from the Messages collection
+     * Kept so scripts/backfillMessageChannels.js can migrate old channels
      */
     messages : [{
         type : mongoose.Schema.ObjectId,
@@ -85,10 +145,7 @@ const channelSchema = new mongoose.Schema({
     }],
     
     // TODO: Add additional channel features:
-    // - description: String (channel description)
-    // - isPrivate: Boolean (public vs private channels)
     // - maxMembers: Number (member limit)
-    // - channelImage: String (channel avatar)
     // - settings: Object (channel preferences)
     
 } , {
@@ -101,7 +158,12 @@ const channelSchema = new mongoose.Schema({
      * createdAt: When channel was created
      * updatedAt: When channel was last modified (members, messages, etc.)
      */
-    timestamps : true  // Note: Fixed typo from "timeStamps"
+    timestamps : true,  // Note: Fixed typo from "timeStamps"
+
+    /**
+     * Send roles as a plain object, as toJSON already does
+     */
+    toObject : {flattenMaps : true},
 })
 
 // =====================================
@@ -117,6 +179,9 @@ channelSchema.index({ members: 1 });
 // Index for finding channels by admin
 channelSchema.index({ admin: 1 });
 
+// Index for the public channel directory, listed by name
+channelSchema.index({ isPrivate: 1, name: 1 });
+
 // =====================================
 // SCHEMA METHODS
 // =====================================
@@ -147,8 +212,8 @@ channelSchema.methods.isAdmin = function(userId) {
  * Model provides methods for:
  * - Channel.create() - Create new channel with members and admins
  * - Channel.findById() - Get channel with populated member/admin data
- * - Channel.findByIdAndUpdate() - Add messages, members, or settings
- * - Channel.populate() - Load member, admin, and message details
+ * - Channel.findByIdAndUpdate() - Update members or settings
+ * - Channel.populate() - Load member and admin details
  * 
  * Collection name: 'Channel' in MongoDB
  * Used by: ChannelController, socket.js handlers
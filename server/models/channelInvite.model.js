@@ -0,0 +1,124 @@
+// =====================================
+// CHANNEL INVITE MODEL - SHAREABLE LINKS INTO A CHANNEL
+// =====================================
+// An invite is a random token an admin shares as a link
+// (<client>/invite/<token>). Anyone logged in who opens the link can join
+// the channel as a member, including private channels, until the invite
+// expires, runs out of uses or is revoked.
+
+import mongoose from "mongoose";
+
+// =====================================
+// CHANNEL INVITE SCHEMA DEFINITION
+// =====================================
+
+/**
+ * Channel Invite Schema for MongoDB
+ *
+ * Design Decisions:
+ * - The token is the only secret; it is random and unguessable, so the
+ *   invite itself needs no further access control
+ * - Invites are kept after they stop working (revokedAt, uses) so admins
+ *   can see what happened; only usable ones are listed
+ * - Automatic timestamps: createdAt shows when the invite was made
+ */
+const channelInviteSchema = new mongoose.Schema({
+    /**
+     * Channel the invite leads to
+     */
+    channel : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Channel",
+        required : true,
+    },
+
+    /**
+     * Random URL-safe token identifying the invite in links
+     */
+    token : {
+        type : String,
+        required : true,
+    },
+
+    /**
+     * Admin who created the invite
+     */
+    createdBy : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Users",
+        required : true,
+    },
+
+    // =====================================
+    // LIMITS
+    // =====================================
+
+    /**
+     * When the invite stops working; unset for invites that never expire
+     */
+    expiresAt : {
+        type : Date,
+    },
+
+    /**
+     * How many users may join with the invite; unset for no limit
+     */
+    maxUses : {
+        type : Number,
+        min : 1,
+    },
+
+    /**
+     * How many users joined with the invite so far
+     */
+    uses : {
+        type : Number,
+        default : 0,
+    },
+
+    /**
+     * When an admin revoked the invite; unset while it is active
+     */
+    revokedAt : {
+        type : Date,
+    },
+} , {
+    timestamps : true,
+});
+
+// =====================================
+// INDEXES FOR PERFORMANCE OPTIMIZATION
+// =====================================
+
+// Invite links are resolved by token
+channelInviteSchema.index({ token: 1 }, { unique: true });
+
+// Index for an admin's list of a channel's invites, newest first
+channelInviteSchema.index({ channel: 1, createdAt: -1 });
+
+// =====================================
+// SCHEMA METHODS
+// =====================================
+
+/**
+ * Why the invite cannot be used right now, if it cannot
+ *
+ * @param {Date} [now] - Time to check against
+ * @returns {string|null} A message for the user, or null when the invite works
+ */
+channelInviteSchema.methods.unusableReason = function(now = new Date()) {
+    if(this.revokedAt) return "This invite was revoked";
+    if(this.expiresAt && this.expiresAt <= now) return "This invite has expired";
+    if(this.maxUses && this.uses >= this.maxUses) return "This invite has reached its usage limit";
+    return null;
+};
+
+// =====================================
+// MODEL EXPORT
+// =====================================
+
+/**
+ * Collection name: 'ChannelInvites' in MongoDB
+ * Used by: utils/channelInvites.js
+ */
+export const ChannelInvite = mongoose.model("ChannelInvites" , channelInviteSchema);
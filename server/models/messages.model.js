@@ -51,6 +51,18 @@ const messageSchema = new mongoose.Schema({
         required : false,  // false for channel messages
     },
 
+    /**
+     * Channel the message was posted to - for channel messages only
+     * References Channel collection; absent for direct messages
+     * Channel history is queried by this field (see the channel+timeStamp
+     * index below) instead of through the legacy Channel.messages array
+     */
+    channel : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Channel",
+        required : false,  // false for direct messages
+    },
+
     // =====================================
     // MESSAGE CONTENT TYPE
     // =====================================
@@ -61,10 +73,12 @@ const messageSchema = new mongoose.Schema({
      * 
      * "text" - Regular text message (uses content field)
      * "file" - File attachment (uses fileUrl field)
+     * "system" - Channel notice posted by the server, e.g. "Alex added Sam"
+     *   (uses content and systemEvent; clients cannot send these)
      */
     messageType : {
         type : String,
-        enum : ["text" , "file"],
+        enum : ["text" , "file" , "system"],
         required : true,
     },
 
@@ -80,7 +94,8 @@ const messageSchema = new mongoose.Schema({
     content :{
         type : String,
         required : function () {
-            return this.messageType === "text";
+            // Messages deleted for everyone keep no content (see deletedAt)
+            return this.messageType !== "file" && !this.deletedAt;
         }
         // TODO: Add content length validation and sanitization
         // maxlength: [1000, "Message too long"],
@@ -96,7 +111,7 @@ const messageSchema = new mongoose.Schema({
     fileUrl : {
         type : String,
         required : function (){
-            return this.messageType === "file";
+            return this.messageType === "file" && !this.deletedAt;
         }
         // TODO: Add file URL validation
         // validate: [isValidFileUrl, "Invalid file URL"]
@@ -115,15 +130,218 @@ const messageSchema = new mongoose.Schema({
     timeStamp : {
         type : Date,
         default : Date.now,
-    }   
+    },
+
+    // =====================================
+    // REPLIES
+    // =====================================
+
+    /**
+     * Message this one replies to (quotes)
+     * Always in the same conversation: the same DM pair or the same channel
+     * History and live events populate it with a compact preview
+     * (see REPLY_PREVIEW_POPULATE)
+     */
+    replyTo : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Messages",
+    },
+
+    // =====================================
+    // CHANNEL THREADS
+    // =====================================
+
+    /**
+     * Root message of the thread this message was posted in
+     * Channel messages only; unset for messages in the main channel stream
+     * Thread replies are left out of channel history pages and loaded per
+     * thread instead (threads are one level deep: a reply cannot be a root)
+     */
+    threadRoot : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Messages",
+    },
+
+    /**
+     * Number of replies in the thread started by this message
+     * Maintained on the root so channel pages can show it without counting
+     */
+    threadReplyCount : {
+        type : Number,
+        default : 0,
+    },
+
+    /**
+     * Time of the latest reply in the thread started by this message
+     * Unset until the first reply
+     */
+    threadLastReplyAt : {
+        type : Date,
+    },
+
+    // =====================================
+    // MESSAGE EDITING
+    // =====================================
+
+    /**
+     * When the content was last edited
+     * Unset for messages that were never edited
+     * Shown as an "(edited)" marker next to the message
+     */
+    editedAt : {
+        type : Date,
+    },
+
+    /**
+     * Previous revisions of the content, oldest first
+     * Each entry is the text as it read before an edit replaced it, with
+     * the time that text was written (the original send time for the first
+     * entry, the previous edit time for later ones)
+     */
+    editHistory : [{
+        _id : false,
+        content : String,
+        timeStamp : Date,
+    }],
+
+    // =====================================
+    // MESSAGE DELETION (SOFT DELETE)
+    // =====================================
+
+    /**
+     * When the author deleted the message for everyone
+     * The document stays as a tombstone so the conversation keeps its
+     * shape ("This message was deleted"), but content, fileUrl and
+     * editHistory are removed and the attachment file is deleted from disk
+     */
+    deletedAt : {
+        type : Date,
+    },
+
+    /**
+     * Users who deleted the message for themselves only
+     * History queries skip messages whose deletedFor contains the viewer;
+     * everyone else still sees the message normally
+     */
+    deletedFor : [{
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Users",
+    }],
+
+    // =====================================
+    // REACTIONS
+    // =====================================
+
+    /**
+     * Emoji reactions, one entry per distinct emoji
+     * users lists who reacted with that emoji (its length is the count);
+     * entries are removed when their last user takes the reaction back
+     * History and live events populate users with names (see
+     * REACTION_USERS_POPULATE) so clients can show who reacted
+     */
+    reactions : [{
+        _id : false,
+        emoji : {
+            type : String,
+            required : true,
+        },
+        users : [{
+            type : mongoose.Schema.Types.ObjectId,
+            ref : "Users",
+        }],
+    }],
     
-    // TODO: Add additional fields for enhanced features:
-    // - editedAt: Date (for message editing)
-    // - deletedAt: Date (for soft delete)
-    // - readBy: [ObjectId] (for read receipts)
-    // - reactions: [Object] (for emoji reactions)
-    // - replyTo: ObjectId (for message threading)
-    // - channel: ObjectId (for channel messages)
+    // =====================================
+    // PINS
+    // =====================================
+
+    /**
+     * When the message was pinned in its channel
+     * Channel messages only; unset when not pinned. Roles with the
+     * pinMessages permission (moderators and up) pin and unpin
+     */
+    pinnedAt : {
+        type : Date,
+    },
+
+    /**
+     * Who pinned the message; unset when not pinned
+     */
+    pinnedBy : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : "Users",
+    },
+
+    // =====================================
+    // DELIVERY AND READ RECEIPTS
+    // =====================================
+
+    /**
+     * When the receiver's client got the direct message
+     * Set by the receiver's acknowledgment, or when they next connect
+     */
+    deliveredAt : {
+        type : Date,
+    },
+
+    /**
+     * When the receiver saw the direct message (its chat was open)
+     */
+    readAt : {
+        type : Date,
+    },
+
+    /**
+     * Channel members who saw the message, with when they saw it
+     * Channel messages only; the sender is never listed
+     */
+    readBy : [{
+        _id : false,
+        user : {
+            type : mongoose.Schema.Types.ObjectId,
+            ref : "Users",
+        },
+        readAt : Date,
+    }],
+
+    // =====================================
+    // SYSTEM MESSAGES
+    // =====================================
+
+    /**
+     * What a system message records; system messages only
+     * The sender is the user who made the change, content the rendered
+     * notice, so lists and search need no special handling
+     * 
+     * action: "membersAdded", "memberRemoved", "memberLeft",
+     *   "memberJoined", "adminPromoted", "adminDemoted" or "roleChanged"
+     * targets: users the change applied to (empty for "memberLeft" and
+     *   "memberJoined")
+     * role: the targets' new role, for "roleChanged"
+     */
+    systemEvent : {
+        action : String,
+        role : String,
+        // No default, so other messages store no systemEvent at all
+        targets : {
+            type : [{type : mongoose.Schema.Types.ObjectId , ref : "Users"}],
+            default : undefined,
+        },
+    },
+
+    // =====================================
+    // OFFLINE OUTBOX
+    // =====================================
+
+    /**
+     * ID the sending client generated for the message
+     * Clients keep unsent messages in an outbox and resend them until the
+     * server acknowledges; the ID lets a resend find the stored copy instead
+     * of creating a duplicate. Unique per sender (see the index below)
+     */
+    clientId : {
+        type : String,
+    },
 });
 
 // =====================================
@@ -134,8 +352,59 @@ const messageSchema = new mongoose.Schema({
 // Supports queries like: find messages between user A and user B
 messageSchema.index({ sender: 1, receiver: 1, timeStamp: -1 });
 
-// Index for channel message queries (when channel field is added)
-// messageSchema.index({ channel: 1, timeStamp: -1 });
+// Index for channel message history queries
+// Supports queries like: latest messages in channel X before a cursor
+messageSchema.index({ channel: 1, timeStamp: -1 });
+
+// Index for loading the replies of a thread
+messageSchema.index({ threadRoot: 1, timeStamp: -1 });
+
+// Index for finding a user's undelivered direct messages when they connect
+messageSchema.index({ receiver: 1, deliveredAt: 1 });
+
+// Full-text index for message search (utils/messageSearch.js)
+// Attachment paths are included so files can be found by name; content
+// weighs more, so text mentions rank above file names
+messageSchema.index(
+    { content: "text", fileUrl: "text" },
+    { name: "message_text_search", weights: { content: 5, fileUrl: 1 } },
+);
+
+// One message per sender and client ID, so outbox resends cannot duplicate
+// Partial: messages sent without a client ID are not indexed at all
+messageSchema.index(
+    { sender: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: "string" } } },
+);
+
+// =====================================
+// REPLY PREVIEW
+// =====================================
+
+/**
+ * Populate spec turning replyTo into a compact snapshot of the quoted message
+ *
+ * Just enough to render the quote and jump to the original: who wrote it,
+ * its text or file, and whether it has since been deleted for everyone.
+ * Pass to Query.populate() / Document.populate().
+ */
+export const REPLY_PREVIEW_POPULATE = {
+    path : "replyTo",
+    select : "sender messageType content fileUrl timeStamp deletedAt",
+    populate : {
+        path : "sender",
+        select : "firstName lastName email colorTheme",
+    },
+};
+
+/**
+ * Populate spec giving each reaction's users their display names
+ * Pass to Query.populate() / Document.populate() alongside the others.
+ */
+export const REACTION_USERS_POPULATE = {
+    path : "reactions.users",
+    select : "firstName lastName email",
+};
 
 // =====================================
 // MODEL EXPORT
@@ -114,6 +114,14 @@ const userSchema = new mongoose.Schema({
         default:false,
     },
 
+    /**
+     * When the user's last open session disconnected
+     * Shown as "last seen ..." while they are offline; unset until then
+     */
+    lastSeen:{
+        type:Date,
+    },
+
 })
 
 // =====================================
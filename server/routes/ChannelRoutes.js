@@ -1,11 +1,32 @@
 import {Router} from "express";
-import { CreateChannel, getChannelMessages, getUserChannels } from "../controllers/ChannelController.js";
+import { acceptInvite, addChannelMembers, browseChannels, CreateChannel, createInvite, deleteChannelImage, demoteChannelAdmin, getChannelMembers, getChannelMessages, getInvitePreview, getInvites, getThreadMessages, getUserChannels, joinChannel, leaveChannel, pinMessage, promoteChannelAdmin, removeChannelMember, revokeInvite, setMemberRole, updateChannel, updateChannelImage } from "../controllers/ChannelController.js";
 import {verifyToken} from "../middlewares/AuthMiddleware.js"
+import multer from "multer";
 
 const channelRoutes = Router();
+const upload = multer({dest : "upload/channels/"});
 
 channelRoutes.post("/createChannel" , verifyToken , CreateChannel);
 channelRoutes.get("/getUserChannels" , verifyToken , getUserChannels);
 channelRoutes.get("/getChannelMessages/:channelId" , verifyToken , getChannelMessages);
+channelRoutes.get("/getThreadMessages/:messageId" , verifyToken , getThreadMessages);
+channelRoutes.get("/getChannelMembers/:channelId" , verifyToken , getChannelMembers);
+channelRoutes.post("/addMembers/:channelId" , verifyToken , addChannelMembers);
+channelRoutes.post("/removeMember/:channelId" , verifyToken , removeChannelMember);
+channelRoutes.post("/promoteAdmin/:channelId" , verifyToken , promoteChannelAdmin);
+channelRoutes.post("/demoteAdmin/:channelId" , verifyToken , demoteChannelAdmin);
+channelRoutes.post("/setMemberRole/:channelId" , verifyToken , setMemberRole);
+channelRoutes.post("/leaveChannel/:channelId" , verifyToken , leaveChannel);
+channelRoutes.get("/browseChannels" , verifyToken , browseChannels);
+channelRoutes.post("/joinChannel/:channelId" , verifyToken , joinChannel);
+channelRoutes.post("/updateChannel/:channelId" , verifyToken , updateChannel);
+channelRoutes.post("/updateChannelImage/:channelId" , verifyToken , upload.single("channel-image") , updateChannelImage);
+channelRoutes.delete("/deleteChannelImage/:channelId" , verifyToken , deleteChannelImage);
+channelRoutes.post("/pinMessage/:messageId" , verifyToken , pinMessage);
+channelRoutes.post("/createInvite/:channelId" , verifyToken , createInvite);
+channelRoutes.get("/getInvites/:channelId" , verifyToken , getInvites);
+channelRoutes.delete("/revokeInvite/:inviteId" , verifyToken , revokeInvite);
+channelRoutes.get("/invite/:token" , verifyToken , getInvitePreview);
+channelRoutes.post("/acceptInvite/:token" , verifyToken , acceptInvite);
 
 export default channelRoutes;
\ No newline at end of file
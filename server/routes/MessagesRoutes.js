@@ -1,5 +1,5 @@
 import {Router} from "express";
-import { getMessages, uploadFile } from "../controllers/MessagesController.js";
+import { deleteMessage, editMessage, getMessages, searchMessages, syncMessages, toggleReaction, uploadFile } from "../controllers/MessagesController.js";
 import { verifyToken } from "../middlewares/AuthMiddleware.js";
 import multer from "multer";
 
@@ -7,6 +7,11 @@ const messagesRoutes = Router();
 const upload = multer({dest : "./upload/files"});
 
 messagesRoutes.post("/getMessages" , verifyToken , getMessages);
+messagesRoutes.patch("/editMessage/:messageId" , verifyToken , editMessage);
+messagesRoutes.delete("/deleteMessage/:messageId" , verifyToken , deleteMessage);
+messagesRoutes.post("/toggleReaction/:messageId" , verifyToken , toggleReaction);
+messagesRoutes.post("/sync" , verifyToken , syncMessages);
+messagesRoutes.post("/search" , verifyToken , searchMessages);
 messagesRoutes.post("/uploadFile" ,
      verifyToken ,
      upload.single("file") ,
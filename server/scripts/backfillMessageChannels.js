@@ -0,0 +1,95 @@
+// =====================================
+// MIGRATION - BACK-FILL Message.channel FROM Channel.messages
+// =====================================
+// Older versions never stored which channel a message belonged to (the
+// field was dropped by Mongoose strict mode) and instead appended every
+// message ID to its channel's `messages` array. Channel history is now
+// queried by Message.channel, so this script copies that relationship
+// onto the messages themselves.
+//
+// - Idempotent: only messages without a channel are updated, so it can be
+//   re-run safely (e.g. after an old server instance wrote more messages)
+// - Channel.messages arrays are left untouched so a rollback still works
+// - --dry-run reports what would change without writing anything
+//
+// Usage:
+//   npm run migrate:message-channels              (uses DB_URL from .env)
+//   npm run migrate:message-channels -- --dry-run
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+import { Message } from "../models/messages.model.js";
+
+dotenv.config();
+
+// Messages updated per updateMany, keeps each $in list reasonably small
+const BATCH_SIZE = 1000;
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Point every message listed in a channel's legacy array at that channel
+ *
+ * @param {Object} channel - Lean channel document with _id and messages
+ * @returns {Promise<number>} Number of messages that were (or would be) updated
+ */
+const backfillChannel = async (channel) => {
+    let updated = 0;
+
+    for(let start = 0; start < channel.messages.length; start += BATCH_SIZE){
+        const filter = {
+            _id : {$in : channel.messages.slice(start , start + BATCH_SIZE)},
+            channel : {$exists : false},
+        };
+
+        if(dryRun){
+            updated += await Message.countDocuments(filter);
+        }else{
+            const result = await Message.updateMany(filter , {$set : {channel : channel._id}});
+            updated += result.modifiedCount;
+        }
+    }
+
+    return updated;
+}
+
+const main = async () => {
+    if(!process.env.DB_URL){
+        throw new Error("DB_URL is not set");
+    }
+
+    await mongoose.connect(process.env.DB_URL);
+    console.log(`🔗 Connected${dryRun ? " (dry run, nothing will be written)" : ""}`);
+
+    // Make sure the channel+timeStamp index exists before history queries rely on it
+    if(!dryRun){
+        await Message.createIndexes();
+    }
+
+    // Only channels that still have a legacy message array are interesting
+    const channels = Channel.find({"messages.0" : {$exists : true}} , "_id name messages")
+        .lean()
+        .cursor();
+
+    let channelCount = 0;
+    let messageCount = 0;
+
+    for await (const channel of channels){
+        const updated = await backfillChannel(channel);
+        channelCount++;
+        messageCount += updated;
+
+        if(updated > 0){
+            console.log(`  #${channel.name} (${channel._id}): ${updated} message(s)`);
+        }
+    }
+
+    console.log(`✅ ${dryRun ? "Would update" : "Updated"} ${messageCount} message(s) across ${channelCount} channel(s)`);
+}
+
+main().then(() => mongoose.disconnect()).catch(async (error) => {
+    console.error("❌ Migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
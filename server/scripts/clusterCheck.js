@@ -0,0 +1,134 @@
+// =====================================
+// CLUSTER CHECK - TWO SOCKET.IO NODES AGAINST THE LOCAL BROKER
+// =====================================
+// Boots the local broker and two TalkNest Socket.IO nodes in one process,
+// connects clients to different nodes and verifies that:
+//
+// 1. An emit to a user's room on node A reaches that user's sockets on node B
+// 2. A user with sockets on both nodes is counted once per socket in the
+//    shared presence store, and stays present until the last one leaves
+// 3. Rooms joined from one node (socketsJoin) include sockets on the other
+//
+// No MongoDB is needed: only the Socket.IO layer is exercised. The channel
+// room lookup on connect fails without a database and logs an error; that
+// is expected here.
+//
+// Usage:
+//   npm run check:cluster
+
+import http from "http";
+import assert from "assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { io as connectClient } from "socket.io-client";
+import setupSocket from "../socket.js";
+import { createSocketBackend } from "../adapters/socketAdapter.js";
+import { startLocalBroker } from "./localBroker.js";
+import { channelRoom, joinUsersToChannelRoom, userRoom } from "../utils/socketRooms.js";
+
+process.env.JWT_KEY = process.env.JWT_KEY || "cluster-check-secret";
+
+// Fail channel lookups immediately instead of waiting for a database
+mongoose.set("bufferCommands" , false);
+
+const ALICE = new mongoose.Types.ObjectId().toString();
+const BOB = new mongoose.Types.ObjectId().toString();
+const CHANNEL = new mongoose.Types.ObjectId().toString();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve , ms));
+
+/**
+ * Start one TalkNest Socket.IO node on a random port
+ */
+const startNode = async (redisUrl , serverId) => {
+    const server = http.createServer();
+    const backend = await createSocketBackend({adapter : "redis" , redisUrl , serverId});
+    const io = setupSocket(server , backend);
+    await new Promise((resolve) => server.listen(0 , resolve));
+
+    return {
+        io,
+        backend,
+        url : `http://localhost:${server.address().port}`,
+        close : async () => {
+            io.close();
+            await backend.close();
+        },
+    };
+}
+
+/**
+ * Connect an authenticated client to a node
+ */
+const connectAs = (url , userId) => new Promise((resolve , reject) => {
+    const token = jwt.sign({id : userId} , process.env.JWT_KEY);
+    const socket = connectClient(url , {
+        extraHeaders : {cookie : `jwt=${token}`},
+        reconnection : false,
+    });
+    socket.once("connect" , () => resolve(socket));
+    socket.once("connect_error" , reject);
+});
+
+/**
+ * Resolve with the next payload of an event, or reject after a timeout
+ */
+const nextEvent = (socket , event , timeout = 2000) => new Promise((resolve , reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${event}"`)) , timeout);
+    socket.once(event , (payload) => {
+        clearTimeout(timer);
+        resolve(payload);
+    });
+});
+
+const main = async () => {
+    const broker = await startLocalBroker(0);
+    const redisUrl = `redis://localhost:${broker.address().port}`;
+
+    const nodeA = await startNode(redisUrl , "node-a");
+    const nodeB = await startNode(redisUrl , "node-b");
+
+    const aliceOnA = await connectAs(nodeA.url , ALICE);
+    const aliceOnB = await connectAs(nodeB.url , ALICE);
+    const bobOnB = await connectAs(nodeB.url , BOB);
+
+    // Let the presence registrations settle
+    await wait(200);
+
+    // 1. Cross-node delivery to a user room
+    const received = Promise.all([nextEvent(aliceOnA , "ping") , nextEvent(aliceOnB , "ping")]);
+    nodeB.io.to(userRoom(ALICE)).emit("ping" , "hello");
+    assert.deepEqual(await received , ["hello" , "hello"]);
+    console.log("✅ user room emit reaches sockets on both nodes");
+
+    // 2. Shared presence store
+    assert.equal(await nodeA.backend.presenceStore.countSockets(ALICE) , 2);
+    assert.equal(await nodeB.backend.presenceStore.countSockets(BOB) , 1);
+
+    aliceOnB.disconnect();
+    await wait(200);
+    assert.equal(await nodeA.backend.presenceStore.countSockets(ALICE) , 1);
+    console.log("✅ presence is shared and drops only the disconnected socket");
+
+    // 3. Room membership changes made on one node apply cluster-wide
+    joinUsersToChannelRoom(nodeA.io , [BOB] , CHANNEL);
+    await wait(200);
+    const channelMessage = nextEvent(bobOnB , "recieveChannelMessage");
+    nodeA.io.to(channelRoom(CHANNEL)).emit("recieveChannelMessage" , {channelId : CHANNEL});
+    assert.deepEqual(await channelMessage , {channelId : CHANNEL});
+    console.log("✅ channel rooms joined on node A include sockets on node B");
+
+    aliceOnA.disconnect();
+    bobOnB.disconnect();
+    await wait(200);
+    await Promise.all([nodeA.close() , nodeB.close()]);
+    broker.close();
+}
+
+main().then(() => {
+    console.log("🎉 Cluster check passed");
+    process.exit(0);
+}).catch((error) => {
+    console.error("❌ Cluster check failed:", error);
+    process.exit(1);
+});
@@ -0,0 +1,388 @@
+// =====================================
+// LOCAL BROKER - IN-MEMORY REDIS STAND-IN FOR DEVELOPMENT
+// =====================================
+// A tiny server that speaks enough of the Redis protocol (RESP2) for
+// SOCKET_ADAPTER=redis: pub/sub for @socket.io/redis-adapter plus the
+// string, hash and set commands used by the presence store. It lets you
+// run several TalkNest servers on one machine without installing Redis.
+//
+// Everything is kept in memory and lost when the process exits.
+// Use a real Redis (or Valkey) server in production.
+//
+// Usage:
+//   node scripts/localBroker.js [port]     (default port 6379, or BROKER_PORT)
+//
+// Then start each TalkNest server with:
+//   SOCKET_ADAPTER=redis REDIS_URL=redis://localhost:6379 PORT=5555 npm start
+//   SOCKET_ADAPTER=redis REDIS_URL=redis://localhost:6379 PORT=5556 npm start
+
+import net from "net";
+import { pathToFileURL } from "url";
+
+// =====================================
+// RESP ENCODING
+// =====================================
+
+const CRLF = "\r\n";
+
+const simple = (text) => Buffer.from(`+${text}${CRLF}`);
+const error = (text) => Buffer.from(`-ERR ${text}${CRLF}`);
+const integer = (value) => Buffer.from(`:${value}${CRLF}`);
+const nullBulk = () => Buffer.from(`$-1${CRLF}`);
+
+const bulk = (value) => {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from(`$${data.length}${CRLF}`) , data , Buffer.from(CRLF)]);
+}
+
+// Marks an already-encoded reply (e.g. an integer) inside an array reply
+const raw = (encoded) => ({encoded});
+
+const array = (items) => Buffer.concat([
+    Buffer.from(`*${items.length}${CRLF}`),
+    ...items.map((item) => item?.encoded ?? bulk(item)),
+]);
+
+// =====================================
+// RESP DECODING
+// =====================================
+
+/**
+ * Parse as many complete commands as possible from a buffer
+ *
+ * Clients send commands as arrays of bulk strings. Arguments are kept as
+ * Buffers because the Socket.IO adapter publishes binary (msgpack) payloads.
+ *
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} { commands: Array<Array<Buffer>>, rest: Buffer }
+ */
+const parseCommands = (buffer) => {
+    const commands = [];
+    let offset = 0;
+
+    while(offset < buffer.length){
+        const lineEnd = buffer.indexOf(CRLF , offset);
+        if(lineEnd === -1) break;
+
+        // Inline command (e.g. "PING" typed into telnet)
+        if(buffer[offset] !== 0x2a){
+            const line = buffer.toString("utf8" , offset , lineEnd).trim();
+            if(line) commands.push(line.split(/\s+/).map((part) => Buffer.from(part)));
+            offset = lineEnd + 2;
+            continue;
+        }
+
+        const count = parseInt(buffer.toString("utf8" , offset + 1 , lineEnd) , 10);
+        let cursor = lineEnd + 2;
+        const args = [];
+
+        for(let i = 0; i < count; i++){
+            const headerEnd = buffer.indexOf(CRLF , cursor);
+            if(headerEnd === -1) break;
+
+            const length = parseInt(buffer.toString("utf8" , cursor + 1 , headerEnd) , 10);
+            const start = headerEnd + 2;
+            if(start + length + 2 > buffer.length) break;
+
+            args.push(buffer.subarray(start , start + length));
+            cursor = start + length + 2;
+        }
+
+        // Incomplete command - wait for more bytes
+        if(args.length < count) break;
+
+        commands.push(args);
+        offset = cursor;
+    }
+
+    return {commands , rest : buffer.subarray(offset)};
+}
+
+/**
+ * Convert a Redis glob pattern (PSUBSCRIBE) into a RegExp
+ */
+const globToRegExp = (pattern) => new RegExp(
+    "^" + pattern.replace(/[.+^${}()|\\]/g , "\\$&").replace(/\*/g , ".*").replace(/\?/g , ".") + "$"
+);
+
+// =====================================
+// BROKER SERVER
+// =====================================
+
+/**
+ * Start an in-memory Redis stand-in
+ *
+ * @param {number} [port=6379] - TCP port to listen on (0 picks a free port)
+ * @returns {Promise<net.Server>} Listening server; server.address().port gives the port
+ */
+export const startLocalBroker = (port = 6379) => {
+
+    // Keyspace
+    const strings = new Map();   // key → {value: Buffer, expiresAt: number|null}
+    const hashes = new Map();    // key → Map<field, Buffer>
+    const sets = new Map();      // key → Set<member>
+
+    // Pub/sub registrations
+    const channels = new Map();  // channel → Set<connection>
+    const patterns = new Map();  // pattern → {regex, connections: Set<connection>}
+
+    const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+    const getString = (key) => {
+        const entry = strings.get(key);
+        if(entry && isExpired(entry)){
+            strings.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    const keyExists = (key) => Boolean(getString(key)) || hashes.has(key) || sets.has(key);
+
+    const deleteKey = (key) => {
+        const existed = keyExists(key);
+        strings.delete(key);
+        hashes.delete(key);
+        sets.delete(key);
+        return existed;
+    }
+
+    const subscriptionCount = (connection) => connection.channels.size + connection.patterns.size;
+
+    const unsubscribeAll = (connection) => {
+        for(const channel of connection.channels){
+            channels.get(channel)?.delete(connection);
+            if(channels.get(channel)?.size === 0) channels.delete(channel);
+        }
+        for(const pattern of connection.patterns){
+            patterns.get(pattern)?.connections.delete(connection);
+            if(patterns.get(pattern)?.connections.size === 0) patterns.delete(pattern);
+        }
+        connection.channels.clear();
+        connection.patterns.clear();
+    }
+
+    const publish = (channel , payload) => {
+        let receivers = 0;
+
+        for(const connection of channels.get(channel) ?? []){
+            connection.socket.write(array(["message" , channel , payload]));
+            receivers++;
+        }
+
+        for(const [pattern , {regex , connections}] of patterns){
+            if(!regex.test(channel)) continue;
+            for(const connection of connections){
+                connection.socket.write(array(["pmessage" , pattern , channel , payload]));
+                receivers++;
+            }
+        }
+
+        return receivers;
+    }
+
+    /**
+     * Execute one command and return the reply (or null if already written)
+     */
+    const execute = (connection , args) => {
+        const name = args[0].toString().toUpperCase();
+        const str = (index) => args[index]?.toString();
+
+        switch(name){
+            // ----- connection -----
+            case "PING":
+                if(subscriptionCount(connection) > 0) return array(["pong" , args[1] ?? ""]);
+                return args[1] ? bulk(args[1]) : simple("PONG");
+            case "ECHO":
+                return bulk(args[1] ?? "");
+            case "SELECT":
+            case "CLIENT":
+            case "READONLY":
+                return simple("OK");
+            case "QUIT":
+                connection.socket.end(simple("OK"));
+                return null;
+            case "INFO":
+                return bulk("# Server\r\nredis_version:7.0.0-talknest-local\r\n");
+
+            // ----- strings -----
+            case "GET": {
+                const entry = getString(str(1));
+                return entry ? bulk(entry.value) : nullBulk();
+            }
+            case "SET": {
+                let expiresAt = null;
+                for(let i = 3; i < args.length; i++){
+                    const option = str(i).toUpperCase();
+                    if(option === "EX") expiresAt = Date.now() + Number(str(++i)) * 1000;
+                    if(option === "PX") expiresAt = Date.now() + Number(str(++i));
+                }
+                strings.set(str(1) , {value : Buffer.from(args[2]) , expiresAt});
+                return simple("OK");
+            }
+            case "EXPIRE": {
+                const entry = getString(str(1));
+                if(!entry) return integer(0);
+                entry.expiresAt = Date.now() + Number(str(2)) * 1000;
+                return integer(1);
+            }
+            case "DEL":
+                return integer(args.slice(1).filter((key) => deleteKey(key.toString())).length);
+            case "EXISTS":
+                return integer(args.slice(1).filter((key) => keyExists(key.toString())).length);
+
+            // ----- hashes -----
+            case "HSET": {
+                const hash = hashes.get(str(1)) ?? new Map();
+                let added = 0;
+                for(let i = 2; i + 1 < args.length; i += 2){
+                    if(!hash.has(str(i))) added++;
+                    hash.set(str(i) , Buffer.from(args[i + 1]));
+                }
+                hashes.set(str(1) , hash);
+                return integer(added);
+            }
+            case "HGET": {
+                const value = hashes.get(str(1))?.get(str(2));
+                return value ? bulk(value) : nullBulk();
+            }
+            case "HDEL": {
+                const hash = hashes.get(str(1));
+                if(!hash) return integer(0);
+                const removed = args.slice(2).filter((field) => hash.delete(field.toString())).length;
+                if(hash.size === 0) hashes.delete(str(1));
+                return integer(removed);
+            }
+            case "HLEN":
+                return integer(hashes.get(str(1))?.size ?? 0);
+            case "HGETALL":
+                return array([...(hashes.get(str(1)) ?? new Map())].flat());
+
+            // ----- sets -----
+            case "SADD": {
+                const set = sets.get(str(1)) ?? new Set();
+                const before = set.size;
+                args.slice(2).forEach((member) => set.add(member.toString()));
+                sets.set(str(1) , set);
+                return integer(set.size - before);
+            }
+            case "SREM": {
+                const set = sets.get(str(1));
+                if(!set) return integer(0);
+                const removed = args.slice(2).filter((member) => set.delete(member.toString())).length;
+                if(set.size === 0) sets.delete(str(1));
+                return integer(removed);
+            }
+            case "SMEMBERS":
+                return array([...(sets.get(str(1)) ?? [])]);
+            case "SCARD":
+                return integer(sets.get(str(1))?.size ?? 0);
+            case "SISMEMBER":
+                return integer(sets.get(str(1))?.has(str(2)) ? 1 : 0);
+
+            case "FLUSHALL":
+            case "FLUSHDB":
+                strings.clear();
+                hashes.clear();
+                sets.clear();
+                return simple("OK");
+
+            // ----- pub/sub -----
+            case "SUBSCRIBE":
+                for(const channelArg of args.slice(1)){
+                    const channel = channelArg.toString();
+                    if(!channels.has(channel)) channels.set(channel , new Set());
+                    channels.get(channel).add(connection);
+                    connection.channels.add(channel);
+                    connection.socket.write(array(["subscribe" , channel , raw(integer(subscriptionCount(connection)))]));
+                }
+                return null;
+            case "PSUBSCRIBE":
+                for(const patternArg of args.slice(1)){
+                    const pattern = patternArg.toString();
+                    if(!patterns.has(pattern)) patterns.set(pattern , {regex : globToRegExp(pattern) , connections : new Set()});
+                    patterns.get(pattern).connections.add(connection);
+                    connection.patterns.add(pattern);
+                    connection.socket.write(array(["psubscribe" , pattern , raw(integer(subscriptionCount(connection)))]));
+                }
+                return null;
+            case "UNSUBSCRIBE": {
+                const targets = args.length > 1 ? args.slice(1).map(String) : [...connection.channels];
+                for(const channel of targets){
+                    channels.get(channel)?.delete(connection);
+                    if(channels.get(channel)?.size === 0) channels.delete(channel);
+                    connection.channels.delete(channel);
+                    connection.socket.write(array(["unsubscribe" , channel , raw(integer(subscriptionCount(connection)))]));
+                }
+                return null;
+            }
+            case "PUNSUBSCRIBE": {
+                const targets = args.length > 1 ? args.slice(1).map(String) : [...connection.patterns];
+                for(const pattern of targets){
+                    patterns.get(pattern)?.connections.delete(connection);
+                    if(patterns.get(pattern)?.connections.size === 0) patterns.delete(pattern);
+                    connection.patterns.delete(pattern);
+                    connection.socket.write(array(["punsubscribe" , pattern , raw(integer(subscriptionCount(connection)))]));
+                }
+                return null;
+            }
+            case "PUBLISH":
+                return integer(publish(str(1) , args[2]));
+            case "PUBSUB": {
+                const subcommand = str(1)?.toUpperCase();
+                if(subcommand === "NUMSUB"){
+                    return array(args.slice(2).flatMap((channel) => [
+                        channel.toString(),
+                        raw(integer(channels.get(channel.toString())?.size ?? 0)),
+                    ]));
+                }
+                if(subcommand === "NUMPAT") return integer(patterns.size);
+                if(subcommand === "CHANNELS") return array([...channels.keys()]);
+                return error(`unknown PUBSUB subcommand '${subcommand}'`);
+            }
+
+            default:
+                return error(`unknown command '${name}'`);
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        const connection = {socket , channels : new Set() , patterns : new Set()};
+        let pending = Buffer.alloc(0);
+
+        socket.on("data" , (chunk) => {
+            pending = Buffer.concat([pending , chunk]);
+            const {commands , rest} = parseCommands(pending);
+            pending = rest;
+
+            for(const args of commands){
+                if(args.length === 0) continue;
+                const reply = execute(connection , args);
+                if(reply) socket.write(reply);
+            }
+        });
+
+        socket.on("close" , () => unsubscribeAll(connection));
+        socket.on("error" , () => unsubscribeAll(connection));
+    });
+
+    return new Promise((resolve , reject) => {
+        server.once("error" , reject);
+        server.listen(port , () => resolve(server));
+    });
+}
+
+// =====================================
+// CLI ENTRY POINT
+// =====================================
+
+if(import.meta.url === pathToFileURL(process.argv[1]).href){
+    const port = Number(process.argv[2] || process.env.BROKER_PORT || 6379);
+    startLocalBroker(port).then((server) => {
+        console.log(`🧪 TalkNest local broker listening on redis://localhost:${server.address().port}`);
+        console.log("   In-memory only - use a real Redis server in production");
+    }).catch((error) => {
+        console.error("❌ Could not start local broker:", error.message);
+        process.exit(1);
+    });
+}
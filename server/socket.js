@@ -7,15 +7,148 @@
 //
 // Key Responsibilities:
 // 1. Initialize Socket.IO server with CORS configuration
-// 2. Maintain mapping of user IDs to socket IDs for message routing
+// 2. Maintain per-user rooms and a registry of each user's open sockets
 // 3. Handle direct message sending between users
-// 4. Manage channel/group message broadcasting
-// 5. Track user connections and disconnections
-// 6. Store all messages persistently in MongoDB
+// 4. Manage channel/group message broadcasting through channel rooms
+// 5. Propagate edits and deletions of existing messages to everyone in the conversation
+// 6. Relay typing indicators (never stored)
+// 7. Track user connections and disconnections, and broadcast presence
+// 8. Store all messages persistently in MongoDB
+//
+// Rooms and the user → socket registry can be backed by Redis so several
+// servers share them (see adapters/socketAdapter.js).
 
 import {Server as socketIoServer} from "socket.io"
-import {Message} from "./models/messages.model.js";
+import mongoose from "mongoose";
+import cookieParser from "cookie-parser";
+import {Message, REPLY_PREVIEW_POPULATE} from "./models/messages.model.js";
 import Channel from "./models/channel.model.js"
+import {User} from "./models/user.model.js"
+import { verifySocketToken } from "./middlewares/AuthMiddleware.js";
+import { channelRoom, emitToConversation, presenceRoom, userRoom } from "./utils/socketRooms.js";
+import { createMemoryPresenceStore } from "./adapters/presenceStore.js";
+import { findChannelForMember } from "./utils/channelAccess.js";
+import { missingPermission, roleOf } from "./utils/channelPermissions.js";
+import {
+    deleteMessage as deleteMessageAction,
+    editMessage as editMessageAction,
+    findReplyTarget,
+    findThreadRoot,
+    messageDeletedPayload,
+    messageEditedPayload,
+    messagePinnedPayload,
+    messageReactionsPayload,
+    recordThreadReply,
+    setMessagePinned,
+    toggleReaction as toggleReactionAction,
+} from "./utils/messageActions.js";
+import { markConversationRead, markDelivered, markPendingDelivered } from "./utils/messageReceipts.js";
+import { messagePreview } from "./utils/messagePreview.js";
+import { findContactIds, haveDirectConversation, presenceSnapshot } from "./utils/presence.js";
+
+/**
+ * Reply to a client event that was emitted with an acknowledgment callback
+ *
+ * Clients that emit without a callback (older builds) are simply skipped.
+ *
+ * @param {Function} [ack] - Callback passed by Socket.IO as the last event argument
+ * @param {Object} payload - { ok: true, ... } or { ok: false, status, msg }
+ */
+const acknowledge = (ack , payload) => {
+    if(typeof ack === "function"){
+        ack(payload);
+    }
+}
+
+// Most users a client may start watching with one "presence:subscribe"
+const MAX_PRESENCE_SUBSCRIPTIONS = 200;
+
+// A typing indicator expires when its client sends no "typing:start"
+// for this long (clients repeat it every few seconds while typing)
+const TYPING_TIMEOUT_MS = 6000;
+
+/**
+ * Fields a client may set on a message it sends
+ *
+ * Everything else (sender, edit/delete state, thread counters, ...) is
+ * managed by the server, so a payload must not be spread into a document
+ * as-is.
+ *
+ * @param {Object} message - Message payload from the client
+ * @returns {Object} Whitelisted fields
+ */
+const clientMessageFields = ({content , messageType , fileUrl , replyTo , clientId} = {}) => ({
+    content,
+    messageType,
+    fileUrl,
+    replyTo,
+    clientId : validClientId(clientId),
+});
+
+// Message types a client may send; "system" messages come from the server only
+const CLIENT_MESSAGE_TYPES = ["text" , "file"];
+
+/**
+ * Refusal for a payload with a message type clients cannot send
+ *
+ * @param {Object} message - Message payload from the client
+ * @returns {Object|null} { status, msg }, or null when the type is allowed
+ */
+const invalidMessageType = (message) => CLIENT_MESSAGE_TYPES.includes(message?.messageType)
+    ? null
+    : {status : 400 , msg : `messageType must be one of: ${CLIENT_MESSAGE_TYPES.join(", ")}`};
+
+// Longest accepted client-generated message ID (UUIDs are 36 characters)
+const MAX_CLIENT_ID_LENGTH = 64;
+
+/**
+ * Client-generated message ID, if the payload carries a usable one
+ *
+ * @param {*} clientId - Value from the payload
+ * @returns {string|undefined}
+ */
+const validClientId = (clientId) =>
+    typeof clientId === "string" && clientId.length > 0 && clientId.length <= MAX_CLIENT_ID_LENGTH
+        ? clientId
+        : undefined;
+
+/**
+ * Message a user already sent with this client ID
+ *
+ * Clients retry sends from their outbox until they get an acknowledgment,
+ * so the same message can arrive more than once. A retry is answered with
+ * the stored message instead of creating a duplicate.
+ *
+ * @param {string} sender - Authenticated user ID
+ * @param {*} clientId - Client ID from the payload
+ * @returns {Promise<Object|null>} The stored message (_id only), or null
+ */
+const findSentMessage = async (sender , clientId) => {
+    const id = validClientId(clientId);
+    if(!id) return null;
+
+    return Message.findOne({sender , clientId : id} , "_id");
+}
+
+/**
+ * Answer a send that turned out to be a retry of a stored message
+ *
+ * Called before creating a message, and again when the unique
+ * { sender, clientId } index rejects a create because a concurrent retry
+ * got there first. The original send already broadcast the message.
+ *
+ * @param {Function} [ack] - Acknowledgment callback
+ * @param {string} sender - Authenticated user ID
+ * @param {*} clientId - Client ID from the payload
+ * @returns {Promise<boolean>} true when the send was a duplicate and has been acknowledged
+ */
+const acknowledgeDuplicate = async (ack , sender , clientId) => {
+    const sent = await findSentMessage(sender , clientId);
+    if(!sent) return false;
+
+    acknowledge(ack , {ok : true , messageId : sent._id , duplicate : true});
+    return true;
+}
 
 /**
  * Initialize and configure Socket.IO server for real-time messaging
@@ -25,13 +158,17 @@ import Channel from "./models/channel.model.js"
  * to database storage and real-time delivery to recipients.
  * 
  * @param {Object} server - Express HTTP server instance to attach Socket.IO to
+ * @param {Object} [options] - Scaling backend from createSocketBackend()
+ * @param {Object} [options.adapter] - Socket.IO adapter (defaults to in-memory)
+ * @param {Object} [options.presenceStore] - User → socket registry (defaults to in-memory)
+ * @returns {Server} Socket.IO server instance, shared with REST controllers via app.set("io")
  * 
  * Design Decision: Why attach to existing HTTP server?
  * - Shares the same port as REST API (no need for separate socket port)
  * - Simplifies deployment and networking configuration
  * - Allows sharing of middleware and authentication context
  */
-const setupSocket = (server) => {
+const setupSocket = (server , {adapter , presenceStore = createMemoryPresenceStore()} = {}) => {
 
     // =====================================
     // SOCKET.IO SERVER INITIALIZATION
@@ -50,21 +187,35 @@ const setupSocket = (server) => {
             // This allows session cookies to be sent with socket requests
             credentials:true,
         },
+
+        // Cross-server adapter (e.g. Redis) so rooms span every node
+        // undefined keeps Socket.IO's default in-memory adapter
+        adapter,
     });
 
+    // =====================================
+    // HANDSHAKE AUTHENTICATION
+    // =====================================
+
+    // Parse cookies on the underlying HTTP handshake request
+    // This makes socket.request.cookies available, exactly like req.cookies in Express
+    io.engine.use(cookieParser());
+
+    // Reject any connection without a valid 'jwt' cookie
+    // On success socket.data.userId holds the authenticated user ID
+    io.use(verifySocketToken);
+
     // =====================================
     // USER SESSION MAPPING
     // =====================================
     
-    // Map to store user ID -> socket ID relationships
-    // This is crucial for routing messages to specific users
-    // Key: userId (string), Value: socketId (string)
+    // The presence store maps user ID -> open socket IDs
+    // A user can have several sockets open at once (multiple tabs or devices),
+    // possibly on different servers when a shared store is configured.
     //
-    // Why Map instead of Object?
-    // - Better performance for frequent lookups
-    // - Cleaner iteration methods
-    // - Prevents prototype pollution issues
-    const userSocketMap = new Map();
+    // Message delivery does not use this registry - it emits to the user's room
+    // (see utils/socketRooms.js), which Socket.IO keeps in sync automatically.
+    // The registry answers "is this user still connected anywhere?".
 
     // =====================================
     // DISCONNECTION HANDLER
@@ -73,33 +224,120 @@ const setupSocket = (server) => {
     /**
      * Handle user disconnection and cleanup
      * 
-     * When a user closes their browser, loses internet, or logs out,
-     * we need to remove their socket mapping to prevent message delivery
-     * to non-existent connections.
+     * When a user closes a tab, loses internet, or logs out, we remove
+     * that socket from the user's registry entry. Socket.IO removes the
+     * socket from its rooms on its own.
      * 
      * @param {Socket} socket - The disconnected socket instance
      * 
      * Process:
-     * 1. Search through userSocketMap to find the disconnected user
-     * 2. Remove the user-socket mapping
-     * 3. Log disconnection for monitoring
+     * 1. Remove this socket from the user's set of sockets
+     * 2. Broadcast the user's resulting presence (offline, or away when
+     *    only away sessions remain)
+     * 3. If it was the last one, the user is considered gone: lastSeen is
+     *    saved on the User document (a failed write is only logged)
+     * 4. Log disconnection for monitoring
      * 
-     * Edge Case: What if multiple tabs are open?
-     * Currently, each tab creates a separate socket connection.
-     * Last tab closing will remove the user from the map.
+     * Multiple tabs: each tab has its own socket. Closing one tab leaves
+     * the others connected and still receiving messages; the user is only
+     * removed when their last socket disconnects.
      */
-    const disconnect = (socket) => {
-        // Iterate through the map to find which user this socket belongs to
-        // We iterate because we have socketId and need to find the userId
-        for(const [userId , socketId] of userSocketMap){
-            if(socketId == socket.id ){
-                // Remove user from active connections
-                // This prevents messages being sent to disconnected sockets
-                userSocketMap.delete(userId);
-                break; // Exit loop once found (each socket maps to one user)
+    const disconnect = async (socket) => {
+        try{
+            const userId = socket.data.userId;
+            const remainingSockets = await presenceStore.removeSocket(userId , socket.id);
+
+            if(remainingSockets === 0){
+                console.log(`User with ID ${userId} has no open sessions left`);
+                const lastSeen = new Date();
+                // Contacts see the user go offline even if lastSeen cannot be saved
+                emitPresence(userId , {status : "offline" , lastSeen});
+                await User.updateOne({_id : userId} , {$set : {lastSeen}}).catch((error) => {
+                    console.log(`Could not save lastSeen for user ${userId}` , {error});
+                });
+            }else{
+                await emitPresence(userId);
             }
+            console.log(`User got disconnected ${socket.id}`);
+        }catch(error){
+            console.log({error});
         }
-        console.log(`User got disconnected ${socket.id}`);
+    }
+
+    // =====================================
+    // PRESENCE
+    // =====================================
+
+    /**
+     * Tell everyone watching a user about their presence
+     *
+     * @param {string} userId - User whose presence changed
+     * @param {Object} [presence] - { status, lastSeen }; read from the presence store when omitted
+     */
+    const emitPresence = async (userId , presence) => {
+        const {status , lastSeen} = presence ?? {status : await presenceStore.getStatus(userId)};
+        io.to(presenceRoom(userId)).emit("presence" , {userId , status , lastSeen});
+    }
+
+    /**
+     * The client went idle or hidden ("away") or came back ("online")
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { status: "online" | "away" }
+     */
+    const setPresence = async (socket , payload) => {
+        try{
+            if(payload?.status !== "online" && payload?.status !== "away") return;
+
+            await presenceStore.setAway(socket.data.userId , socket.id , payload.status === "away");
+            await emitPresence(socket.data.userId);
+        }catch(error){
+            console.log({error});
+        }
+    }
+
+    /**
+     * Start watching more users (e.g. someone who became a contact since
+     * the socket connected)
+     *
+     * Only the user's contacts and channel co-members can be watched, as
+     * on connect; other IDs are ignored and missing from the answer.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { userIds }
+     * @param {Function} [ack] - Receives { ok: true, users: [{ userId, status, lastSeen }] } or { ok: false, status, msg }
+     */
+    const subscribePresence = async (socket , payload , ack) => {
+        try{
+            const userIds = [...new Set((Array.isArray(payload?.userIds) ? payload.userIds : []).map(String))]
+                .filter((userId) => mongoose.isValidObjectId(userId));
+
+            if(userIds.length === 0 || userIds.length > MAX_PRESENCE_SUBSCRIPTIONS){
+                return acknowledge(ack , {ok : false , status : 400 , msg : `Between 1 and ${MAX_PRESENCE_SUBSCRIPTIONS} valid user IDs are required`});
+            }
+
+            const contactIds = new Set(await findContactIds(socket.data.userId));
+            const allowed = userIds.filter((userId) => contactIds.has(userId));
+
+            if(allowed.length > 0){
+                socket.join(allowed.map(presenceRoom));
+            }
+            acknowledge(ack , {ok : true , users : await presenceSnapshot(presenceStore , allowed)});
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    /**
+     * Watch the presence of the user's contacts and send them the snapshot
+     *
+     * @param {Socket} socket - Newly connected socket
+     */
+    const joinPresenceRooms = async (socket) => {
+        const contactIds = await findContactIds(socket.data.userId);
+        socket.join(contactIds.map(presenceRoom));
+        socket.emit("presence:snapshot" , await presenceSnapshot(presenceStore , contactIds));
     }
 
     // =====================================
@@ -112,32 +350,57 @@ const setupSocket = (server) => {
      * This function manages the complete lifecycle of a direct message:
      * 1. Save message to database for persistence
      * 2. Populate sender/receiver details for rich display
-     * 3. Emit message to both sender and receiver sockets for real-time updates
+     * 3. Emit message to every open session of both sender and receiver
      * 
+     * @param {Socket} socket - Authenticated socket that emitted the event
      * @param {Object} message - Message object from frontend
-     * @param {string} message.sender - Sender user ID
      * @param {string} message.receiver - Receiver user ID  
      * @param {string} message.content - Message text content
      * @param {string} message.messageType - Type: 'text', 'file', etc.
+     * @param {string} [message.replyTo] - ID of the message being replied to
+     * @param {string} [message.clientId] - Client-generated ID; a resend with the same ID is not stored twice
+     * @param {Function} [ack] - Receives { ok: true, messageId, duplicate? } or { ok: false, status, msg }
      * 
      * Message Flow:
      * Frontend → sendMessage event → this handler → database → real-time emission
+     *
+     * The sender is always the authenticated socket user (socket.data.userId);
+     * any "sender" field supplied by the client is ignored.
+     *
+     * A reply must quote a message from the same DM (see findReplyTarget);
+     * the emitted message carries a populated preview of the quoted one.
      * 
      * Why emit to both sender and receiver?
      * - Sender: Confirms message was sent, updates their chat UI
      * - Receiver: Gets real-time notification and message display
      */
-    const sendMessage = async (message) =>{
+    const sendMessage = async (socket , message , ack) =>{
 
         try{
             // =====================================
-            // SOCKET ID LOOKUP
+            // SENDER IDENTIFICATION
             // =====================================
-            
-            // Get socket IDs for both users from our active connections map
-            // These will be used to emit the message to specific clients
-            const senderSocketId = userSocketMap.get(message.sender);
-            const receiverSocketId = userSocketMap.get(message.receiver);
+
+            // Never trust a client-supplied sender - use the handshake identity
+            const sender = socket.data.userId;
+
+            const invalidType = invalidMessageType(message);
+            if(invalidType){
+                return acknowledge(ack , {ok : false , ...invalidType});
+            }
+
+            // Outbox retries of a message that was already stored
+            if(await acknowledgeDuplicate(ack , sender , message?.clientId)) return;
+
+            // Replies may only quote a message from this same conversation
+            const reply = await findReplyTarget({
+                replyTo : message?.replyTo,
+                sender,
+                receiver : message?.receiver,
+            });
+            if(reply.status){
+                return acknowledge(ack , {ok : false , status : reply.status , msg : reply.msg});
+            }
 
             // =====================================
             // DATABASE PERSISTENCE
@@ -145,40 +408,49 @@ const setupSocket = (server) => {
             
             // Save message to MongoDB for permanent storage
             // This ensures messages persist across app restarts and offline periods
-            const createdMessage  = await Message.create(message);
+            // Only whitelisted fields are taken from the payload, so a direct
+            // message can never be smuggled into a channel or thread
+            const createdMessage  = await Message.create({
+                ...clientMessageFields(message),
+                sender,
+                receiver : message.receiver,
+            });
 
             // Populate user details for rich message display
             // This includes profile info like names, avatars, etc.
             // Without populate, we'd only have user IDs
             const messageData = await Message.findById(createdMessage._id)
             .populate("sender" , "firstName lastName colorTheme imageURL email")
-            .populate("receiver",  "firstName  lastName  colorTheme imageURL email");
+            .populate("receiver",  "firstName  lastName  colorTheme imageURL email")
+            .populate(REPLY_PREVIEW_POPULATE);
 
             // =====================================
             // REAL-TIME MESSAGE DELIVERY
             // =====================================
             
-            // Send message to receiver if they're currently online
-            // io.to(socketId) sends to specific socket connection
-            if(receiverSocketId){   
-                io.to(receiverSocketId).emit("recieveMessage" , messageData)
-            }
-
-            // Send confirmation to sender (shows message in their chat)
-            // This provides immediate feedback that message was sent
-            if(senderSocketId){
-                io.to(senderSocketId).emit("recieveMessage" , messageData);
-            }
+            // Send message to every open session of the receiver and the sender
+            // - Receiver: gets real-time notification in all tabs/devices
+            // - Sender: confirmation in the sending tab, sync in their other tabs
+            // Chaining io.to() targets the union of both rooms, so a user
+            // messaging themselves still receives the event only once per socket
+            // preview: the snippet the contacts list shows for this message
+            io.to(userRoom(message.receiver))
+              .to(userRoom(sender))
+              .emit("recieveMessage" , {...messageData.toObject() , preview : messagePreview(messageData)});
             
-            // Note: If user is offline, message is still saved to database
-            // They'll see it when they reconnect and load chat history
+            // Note: If user is offline, their room is empty and nothing is sent
+            // The message is still saved and loads with the chat history
+
+            acknowledge(ack , {ok : true , messageId : createdMessage._id});
             
         }catch(error){
+            // Duplicate key: a concurrent retry of the same message was stored first
+            if(error.code === 11000 && await acknowledgeDuplicate(ack , socket.data.userId , message?.clientId).catch(() => false)){
+                return;
+            }
             // Log errors for debugging - in production, consider structured logging
             console.log({error});
-            
-            // TODO: Consider emitting error back to sender for user feedback
-            // io.to(senderSocketId).emit("messageError", { error: "Failed to send message" });
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
         }       
     }
 
@@ -191,82 +463,141 @@ const setupSocket = (server) => {
      * 
      * Channel messages are more complex than direct messages because:
      * 1. Must be delivered to multiple recipients (all channel members)
-     * 2. Channel message history needs to be updated
+     * 2. The channel's last-activity time needs to be updated
      * 3. Both regular members and admins need to receive the message
+     *
+     * Delivery uses the channel room: every member's sockets joined it on
+     * connect (or when the channel was created), so one emit reaches all of
+     * them without loading the member list on this hot path.
      * 
+     * @param {Socket} socket - Authenticated socket that emitted the event
      * @param {Object} message - Channel message object from frontend
-     * @param {string} message.sender - User ID of message sender
      * @param {string} message.channel - Channel ID where message is sent
      * @param {string} message.content - Message text content
      * @param {string} message.messageType - Type of message
+     * @param {string} [message.replyTo] - ID of a message in the same channel being replied to
+     * @param {string} [message.threadRoot] - Post as a reply in the thread of this channel message
+     * @param {string} [message.clientId] - Client-generated ID; a resend with the same ID is not stored twice
+     * @param {Function} [ack] - Acknowledgment callback from the client
      * 
      * Channel Message Flow:
-     * Frontend → sendMessageOnChannel event → save to DB → update channel → broadcast to all members
+     * Frontend → sendMessageOnChannel event → check membership and role → save to DB → bump channel activity → emit to channel room
+     *
+     * As with direct messages, the sender is taken from socket.data.userId.
+     *
+     * Thread replies (message.threadRoot set) are broadcast as
+     * "recieveThreadMessage" instead, with a `thread` summary of the root
+     * ({ _id, threadReplyCount, threadLastReplyAt }) attached.
+     *
+     * Acknowledgment:
+     * - { ok: true, messageId } once the message is stored and broadcast
+     * - { ok: true, messageId, duplicate: true } when clientId matches a message
+     *   the user already sent (nothing is broadcast again)
+     * - { ok: false, status: 400 | 403 | 404 | 500, msg } otherwise; the same
+     *   statuses as GET /api/channel/getChannelMessages
      */
-    const sendMessageOnChannel = async (message) => {
+    const sendMessageOnChannel = async (socket , message , ack) => {
         try{
+            // The broadcast below goes to the channel room, which includes
+            // the sender's socket only once it has joined its rooms
+            await socket.data.channelRoomsJoined;
+
             // =====================================
-            // DATABASE OPERATIONS
+            // ACCESS CONTROL
             // =====================================
-            
-            // Save message to database first for persistence
-            const createdMessage = await Message.create(message);
 
-            // Populate sender details for rich display
-            // Note: We only populate sender here since channel messages don't have a single receiver
-            const messageData = await Message.findById(createdMessage._id)
-            .populate("sender" , "firstName lastName  colorTheme imageURL email _id")
-            .exec();
+            // Only members and admins may post; socket room membership is not
+            // enough because clients choose the channel ID they send to
+            const access = await findChannelForMember(message?.channel , socket.data.userId , "_id");
+            if(!access.channel){
+                return acknowledge(ack , {ok : false , status : access.status , msg : access.msg});
+            }
+
+            const invalidType = invalidMessageType(message);
+            if(invalidType){
+                return acknowledge(ack , {ok : false , ...invalidType});
+            }
+
+            // The user's role decides whether they may post, and share files
+            const role = roleOf(access.channel , socket.data.userId);
+            const denied = missingPermission(role , "postMessages")
+                ?? (message.messageType === "file" ? missingPermission(role , "uploadFiles") : null);
+            if(denied){
+                return acknowledge(ack , {ok : false , ...denied});
+            }
 
-            // Add this message to the channel's message history
-            // This maintains the chronological order of messages in the channel
-            await Channel.findByIdAndUpdate(message.channel , {
-                $push : {messages : createdMessage._id},
+            // Outbox retries of a message that was already stored
+            if(await acknowledgeDuplicate(ack , socket.data.userId , message.clientId)) return;
+
+            const reply = await findReplyTarget({
+                replyTo : message.replyTo,
+                sender : socket.data.userId,
+                channel : message.channel,
             });
+            if(reply.status){
+                return acknowledge(ack , {ok : false , status : reply.status , msg : reply.msg});
+            }
+
+            // Thread replies need a valid root in this channel
+            const thread = await findThreadRoot({threadRoot : message.threadRoot , channel : message.channel});
+            if(thread.status){
+                return acknowledge(ack , {ok : false , status : thread.status , msg : thread.msg});
+            }
 
             // =====================================
-            // CHANNEL MEMBER RETRIEVAL
+            // DATABASE OPERATIONS
             // =====================================
             
-            // Get complete channel information including all members and admins
-            // We need this to know who should receive the message
-            const channel = await Channel.findById(message.channel)
-            .populate("members")    // Regular channel members
-            .populate("admin");     // Channel administrators
+            // Save message to database first for persistence
+            // The sender always comes from the authenticated socket
+            // message.channel is stored on the message and is what channel
+            // history is queried by; a channel message has no single receiver
+            const createdMessage = await Message.create({
+                ...clientMessageFields(message),
+                sender : socket.data.userId,
+                channel : message.channel,
+                threadRoot : thread.root?._id,
+            });
+
+            // Populate sender details for rich display
+            // Note: We only populate sender here since channel messages don't have a single receiver
+            // Populating the created document avoids re-fetching the message
+            const messageData = await createdMessage.populate([
+                {path : "sender" , select : "firstName lastName  colorTheme imageURL email _id"},
+                REPLY_PREVIEW_POPULATE,
+            ]);
+
+            // Mark the channel as active so channel lists sort it first
+            // History lives in the Messages collection, so nothing is appended
+            // to the channel document itself
+            await Channel.updateOne(
+                {_id : message.channel},
+                {$set : {updatedAt : createdMessage.timeStamp}},
+                {timestamps : false},
+            );
 
             // Create final message object with channel context
             // We spread the message document and add channelId for frontend routing
-            const finalData = {...messageData._doc , channelId : channel._id};
+            // preview: the snippet the channel list shows for this message
+            const finalData = {...messageData._doc , channelId : message.channel , preview : messagePreview(messageData)};
             
             // =====================================
-            // BROADCAST TO CHANNEL MEMBERS
+            // BROADCAST TO CHANNEL ROOM
             // =====================================
 
-            // Send message to all regular channel members
-            if(channel && channel.members){
-                channel.members.forEach( (member) => {
-                    // Convert ObjectId to string for map lookup
-                    const memberSocketId = userSocketMap.get(member._id.toString());
-                    
-                    // Only send if member is currently online
-                    if(memberSocketId){
-                        io.to(memberSocketId).emit("recieveChannelMessage" , finalData);
-                    }
-                    // Offline members will see message when they reconnect and load channel history
-                })
+            // One emit reaches every open session of every member and admin
+            // Offline members are not in the room and will see the message
+            // when they reconnect and load channel history
+            if(thread.root){
+                // Thread replies stay out of the main stream: clients add them
+                // to an open thread panel and update the root's reply summary
+                finalData.thread = await recordThreadReply(thread.root._id , createdMessage);
+                io.to(channelRoom(message.channel)).emit("recieveThreadMessage" , finalData);
+            }else{
+                io.to(channelRoom(message.channel)).emit("recieveChannelMessage" , finalData);
             }
 
-            // Send message to all channel administrators
-            // Admins get messages even if they're not in the members list
-            if(channel && channel.admin){
-                channel.admin.forEach( (admin) =>{
-                    const adminSocketId = userSocketMap.get(admin._id.toString());
-                    
-                    if(adminSocketId){
-                        io.to(adminSocketId).emit("recieveChannelMessage" , finalData);
-                    }
-                })
-            }
+            acknowledge(ack , {ok : true , messageId : createdMessage._id});
 
             // =====================================
             // OPTIMIZATION OPPORTUNITIES
@@ -274,20 +605,415 @@ const setupSocket = (server) => {
             
             // TODO: Consider these improvements:
             // 1. Batch database operations for better performance
-            // 2. Use Redis pub/sub for channel broadcasting in multi-server setup
-            // 3. Implement message delivery confirmations
-            // 4. Add rate limiting to prevent spam in channels
+            // 2. Add rate limiting to prevent spam in channels
 
         }catch(error){
+            // Duplicate key: a concurrent retry of the same message was stored first
+            if(error.code === 11000 && await acknowledgeDuplicate(ack , socket.data.userId , message?.clientId).catch(() => false)){
+                return;
+            }
             console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
             
             // TODO: Implement proper error handling
             // - Log structured errors for monitoring
-            // - Emit error back to sender
             // - Consider retry mechanisms for failed operations
         }
     }
 
+    // =====================================
+    // MESSAGE EDIT HANDLER
+    // =====================================
+
+    /**
+     * Edit one of the user's own text messages
+     *
+     * Socket counterpart of PATCH /api/messages/editMessage/:messageId;
+     * both apply the rules in utils/messageActions.js and broadcast
+     * "messageEdited" to the DM pair or the channel room.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { messageId, content }
+     * @param {Function} [ack] - Receives { ok: true, message } or { ok: false, status, msg }
+     */
+    const editMessage = async (socket , payload , ack) => {
+        try{
+            const result = await editMessageAction({
+                messageId : payload?.messageId,
+                userId : socket.data.userId,
+                content : payload?.content,
+            });
+
+            if(!result.message){
+                return acknowledge(ack , {ok : false , status : result.status , msg : result.msg});
+            }
+
+            if(result.changed){
+                emitToConversation(io , result.message , "messageEdited" , messageEditedPayload(result.message));
+            }
+
+            acknowledge(ack , {ok : true , message : result.message});
+
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    // =====================================
+    // MESSAGE DELETE HANDLER
+    // =====================================
+
+    /**
+     * Delete a message for the user only, or for everyone
+     *
+     * Socket counterpart of DELETE /api/messages/deleteMessage/:messageId.
+     * "messageDeleted" goes to the user's own sessions for scope "me" and
+     * to the whole conversation for scope "everyone".
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { messageId, scope: "me" | "everyone" }
+     * @param {Function} [ack] - Receives { ok: true, message } or { ok: false, status, msg }
+     */
+    const deleteMessage = async (socket , payload , ack) => {
+        try{
+            const scope = payload?.scope;
+            const result = await deleteMessageAction({
+                messageId : payload?.messageId,
+                userId : socket.data.userId,
+                scope,
+            });
+
+            if(!result.message){
+                return acknowledge(ack , {ok : false , status : result.status , msg : result.msg});
+            }
+
+            const deleted = messageDeletedPayload(result.message , scope);
+            if(scope === "everyone"){
+                emitToConversation(io , result.message , "messageDeleted" , deleted);
+            }else{
+                io.to(userRoom(socket.data.userId)).emit("messageDeleted" , deleted);
+            }
+
+            acknowledge(ack , {ok : true , message : result.message});
+
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    // =====================================
+    // MESSAGE REACTION HANDLER
+    // =====================================
+
+    /**
+     * Add or take back the user's emoji reaction on a message
+     *
+     * Socket counterpart of POST /api/messages/toggleReaction/:messageId.
+     * The new reaction list is broadcast as "messageReactionsUpdated" to
+     * the DM pair or the channel room.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { messageId, emoji }
+     * @param {Function} [ack] - Receives { ok: true, reacted } or { ok: false, status, msg }
+     */
+    const toggleReaction = async (socket , payload , ack) => {
+        try{
+            const result = await toggleReactionAction({
+                messageId : payload?.messageId,
+                userId : socket.data.userId,
+                emoji : payload?.emoji,
+            });
+
+            if(!result.message){
+                return acknowledge(ack , {ok : false , status : result.status , msg : result.msg});
+            }
+
+            emitToConversation(io , result.message , "messageReactionsUpdated" , messageReactionsPayload(result.message));
+
+            acknowledge(ack , {ok : true , reacted : result.reacted});
+
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    // =====================================
+    // MESSAGE PIN HANDLER
+    // =====================================
+
+    /**
+     * Pin or unpin a channel message (moderators and up)
+     *
+     * Socket counterpart of POST /api/channel/pinMessage/:messageId. A
+     * change is broadcast as "messagePinned" to the channel room.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { messageId, pinned }
+     * @param {Function} [ack] - Receives { ok: true } or { ok: false, status, msg }
+     */
+    const pinMessage = async (socket , payload , ack) => {
+        try{
+            const result = await setMessagePinned({
+                messageId : payload?.messageId,
+                userId : socket.data.userId,
+                pinned : payload?.pinned,
+            });
+
+            if(!result.message){
+                return acknowledge(ack , {ok : false , status : result.status , msg : result.msg});
+            }
+
+            if(result.changed){
+                emitToConversation(io , result.message , "messagePinned" , messagePinnedPayload(result.message));
+            }
+
+            acknowledge(ack , {ok : true});
+
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    // =====================================
+    // DELIVERY AND READ RECEIPTS
+    // =====================================
+
+    /**
+     * Tell senders that their direct messages were delivered
+     *
+     * @param {Array<Object>} groups - [{ sender, messageIds, deliveredAt }]
+     */
+    const emitDelivered = (groups) => {
+        for(const {sender , messageIds , deliveredAt} of groups){
+            io.to(userRoom(sender)).emit("messageReceipts" , {messageIds , deliveredAt});
+        }
+    }
+
+    /**
+     * Receiver's client got a direct message ("recieveMessage")
+     *
+     * The sender's sessions receive "messageReceipts" with deliveredAt.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { messageId }
+     * @param {Function} [ack] - Receives { ok: true } or { ok: false, status, msg }
+     */
+    const messageDelivered = async (socket , payload , ack) => {
+        try{
+            const result = await markDelivered({
+                messageId : payload?.messageId,
+                userId : socket.data.userId,
+            });
+
+            if(result.status){
+                return acknowledge(ack , {ok : false , status : result.status , msg : result.msg});
+            }
+
+            if(result.delivered){
+                emitDelivered([result.delivered]);
+            }
+
+            acknowledge(ack , {ok : true});
+
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    /**
+     * The user saw a conversation up to a message (its chat is open)
+     *
+     * "messageReceipts" goes to the DM pair ({ messageIds, readAt }) or
+     * the channel room ({ channelId, messageIds, readBy }), so senders
+     * see their ticks change and the reader's other sessions stay in sync.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { messageId } of the newest message seen
+     * @param {Function} [ack] - Receives { ok: true } or { ok: false, status, msg }
+     */
+    const markRead = async (socket , payload , ack) => {
+        try{
+            const userId = socket.data.userId;
+            const result = await markConversationRead({
+                messageId : payload?.messageId,
+                userId,
+            });
+
+            if(!result.read){
+                return acknowledge(ack , {ok : false , status : result.status , msg : result.msg});
+            }
+
+            const {read} = result;
+            if(read.messageIds.length > 0){
+                if(read.channelId){
+                    io.to(channelRoom(read.channelId)).emit("messageReceipts" , {
+                        channelId : read.channelId,
+                        messageIds : read.messageIds,
+                        readBy : read.readBy,
+                    });
+                }else{
+                    io.to(userRoom(read.sender))
+                      .to(userRoom(userId))
+                      .emit("messageReceipts" , {messageIds : read.messageIds , readAt : read.readAt});
+                }
+            }
+
+            acknowledge(ack , {ok : true});
+
+        }catch(error){
+            console.log({error});
+            acknowledge(ack , {ok : false , status : 500 , msg : "INTERNAL SERVER ERROR"});
+        }
+    }
+
+    // =====================================
+    // TYPING INDICATORS
+    // =====================================
+
+    /**
+     * Resolve where a typing event should go
+     *
+     * Channels are checked against the rooms the socket joined, which
+     * follow channel membership, so no database lookup is needed. Events
+     * sent right after connecting wait until those rooms are joined.
+     * A DM receiver must be someone else the user already has a
+     * conversation with; the check is remembered per socket, so a burst of
+     * keystrokes costs one lookup.
+     *
+     * @param {Socket} socket - Socket that is typing
+     * @param {Object} payload - { receiver } for a DM or { channel } for a channel
+     * @returns {Promise<Object|null>} { room, channelId } or null when the target is invalid
+     */
+    const typingTarget = async (socket , payload) => {
+        if(payload?.channel){
+            await socket.data.channelRoomsJoined;
+            const channelId = String(payload.channel);
+            const room = channelRoom(channelId);
+            if(!mongoose.isValidObjectId(channelId) || !socket.rooms.has(room)) return null;
+            return {room , channelId};
+        }
+
+        if(payload?.receiver && mongoose.isValidObjectId(payload.receiver)){
+            const receiverId = String(payload.receiver);
+            if(receiverId === socket.data.userId.toString()) return null;
+
+            socket.data.typingPartners ??= new Set();
+            if(!socket.data.typingPartners.has(receiverId)){
+                if(!(await haveDirectConversation(socket.data.userId , receiverId))) return null;
+                socket.data.typingPartners.add(receiverId);
+            }
+            return {room : userRoom(receiverId) , channelId : undefined};
+        }
+
+        return null;
+    }
+
+    /**
+     * Tell a conversation that the user stopped typing
+     *
+     * @param {Socket} socket - Socket that was typing
+     * @param {string} room - Room the indicator was shown in
+     */
+    const stopTyping = (socket , room) => {
+        const typing = socket.data.typing?.get(room);
+        if(!typing) return;
+
+        clearTimeout(typing.timer);
+        socket.data.typing.delete(room);
+
+        // io rather than socket: this also runs after the socket disconnected
+        io.to(room).emit("typing:stop" , {userId : socket.data.userId , channelId : typing.channelId});
+    }
+
+    /**
+     * The user is typing in a DM or channel ("typing:start")
+     *
+     * Relayed to the DM counterpart or the channel room as "typing:start"
+     * with the typist's name. Each event restarts a TYPING_TIMEOUT_MS timer;
+     * when it runs out (the client went silent) "typing:stop" is sent for it.
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { receiver } or { channel }
+     */
+    const typingStart = async (socket , payload) => {
+        try{
+            const target = await typingTarget(socket , payload);
+            if(!target) return;
+
+            socket.data.typing ??= new Map();
+            clearTimeout(socket.data.typing.get(target.room)?.timer);
+            socket.data.typing.set(target.room , {
+                channelId : target.channelId,
+                timer : setTimeout(() => stopTyping(socket , target.room) , TYPING_TIMEOUT_MS),
+            });
+
+            // Names are loaded once per socket, not on every keystroke burst
+            socket.data.profile ??= await User.findById(socket.data.userId , "firstName lastName email").lean();
+
+            socket.to(target.room).emit("typing:start" , {
+                userId : socket.data.userId,
+                firstName : socket.data.profile?.firstName,
+                lastName : socket.data.profile?.lastName,
+                email : socket.data.profile?.email,
+                channelId : target.channelId,
+            });
+        }catch(error){
+            console.log({error});
+        }
+    }
+
+    /**
+     * The user stopped typing, sent the message or left the chat ("typing:stop")
+     *
+     * @param {Socket} socket - Authenticated socket that emitted the event
+     * @param {Object} payload - { receiver } or { channel }
+     */
+    const typingStop = async (socket , payload) => {
+        try{
+            const target = await typingTarget(socket , payload);
+            if(target){
+                stopTyping(socket , target.room);
+            }
+        }catch(error){
+            console.log({error});
+        }
+    }
+
+    // =====================================
+    // CHANNEL ROOM MEMBERSHIP
+    // =====================================
+
+    /**
+     * Join a newly connected socket to the rooms of all its user's channels
+     *
+     * Uses the same membership query as getUserChannels (admin or member),
+     * but only fetches channel IDs. Channels created or joined while the
+     * socket is connected are handled by joinUsersToChannelRoom instead.
+     *
+     * @param {Socket} socket - The newly connected socket
+     */
+    const joinChannelRooms = async (socket) => {
+        try{
+            const userId = socket.data.userId;
+
+            const channels = await Channel.find({
+                $or : [
+                    {admin : userId},    // User is admin
+                    {members : userId},  // User is member
+                ]
+            } , "_id");
+
+            socket.join(channels.map((channel) => channelRoom(channel._id.toString())));
+        }catch(error){
+            console.log({error});
+        }
+    }
+
     // =====================================
     // SOCKET CONNECTION EVENT HANDLING
     // =====================================
@@ -297,34 +1023,30 @@ const setupSocket = (server) => {
      * 
      * This is the entry point for all socket connections. When a user's browser
      * establishes a WebSocket connection, this handler:
-     * 1. Extracts user identification from connection
+     * 1. Reads the user identity bound by the handshake middleware
      * 2. Maps user to their socket for message routing
      * 3. Sets up event listeners for message operations
      * 4. Handles disconnection cleanup
      * 
      * Connection Lifecycle:
-     * Client connects → extract userId → map to socket → listen for events → handle disconnect
+     * Client connects → verifySocketToken → map userId to socket → listen for events → handle disconnect
      */
-    io.on("connection" , (socket)=>{
+    io.on("connection" , async (socket)=>{
 
         // =====================================
         // USER IDENTIFICATION & MAPPING
         // =====================================
         
-        // Extract user ID from connection query parameters
-        // This was sent by the frontend SocketContext during connection
-        const userId = socket.handshake.query.userId;
-
-        if(userId){
-            // Map this user to their socket ID for message routing
-            // This allows us to find a user's socket when we need to send them a message
-            userSocketMap.set(userId , socket.id);
-            console.log(`User with ID ${userId} got connected to Session ID ${socket.id}`);
-        }else{
-            console.log(`User ID not provided during connnection`)
-            // TODO: Consider disconnecting sockets without proper identification
-            // socket.disconnect(true);
-        }
+        // User ID was bound by verifySocketToken during the handshake
+        // Unauthenticated sockets never reach this handler
+        const userId = socket.data.userId;
+
+        // Join the user's personal room so messages reach every open session
+        socket.join(userRoom(userId));
+
+        // Join the rooms of every channel this user belongs to; handlers
+        // that depend on those rooms wait for this before acting
+        socket.data.channelRoomsJoined = joinChannelRooms(socket);
         
         // =====================================
         // EVENT LISTENER REGISTRATION
@@ -332,27 +1054,82 @@ const setupSocket = (server) => {
         
         // Listen for direct message sending requests
         // When frontend emits "sendMessage", call our sendMessage handler
-        socket.on("sendMessage" , sendMessage);
+        socket.on("sendMessage" , (message , ack) => sendMessage(socket , message , ack));
         
         // Listen for channel message sending requests  
         // When frontend emits "sendMessageOnChannel", call our channel handler
-        socket.on("sendMessageOnChannel" , sendMessageOnChannel);
+        // The optional callback receives the result (see sendMessageOnChannel)
+        socket.on("sendMessageOnChannel" , (message , ack) => sendMessageOnChannel(socket , message , ack));
+
+        // Listen for edits to the user's own messages
+        socket.on("editMessage" , (payload , ack) => editMessage(socket , payload , ack));
+
+        // Listen for deletions ("delete for me" / "delete for everyone")
+        socket.on("deleteMessage" , (payload , ack) => deleteMessage(socket , payload , ack));
+
+        // Emoji reaction toggles on DM or channel messages
+        socket.on("toggleReaction" , (payload , ack) => toggleReaction(socket , payload , ack));
+
+        // Pins on channel messages
+        socket.on("pinMessage" , (payload , ack) => pinMessage(socket , payload , ack));
+
+        // Delivery and read receipts from the user's client
+        socket.on("messageDelivered" , (payload , ack) => messageDelivered(socket , payload , ack));
+        socket.on("markRead" , (payload , ack) => markRead(socket , payload , ack));
+
+        // Presence: away/online reports and watching new contacts
+        socket.on("presence:set" , (payload) => setPresence(socket , payload));
+        socket.on("presence:subscribe" , (payload , ack) => subscribePresence(socket , payload , ack));
+
+        // Typing indicators, relayed but never stored
+        socket.on("typing:start" , (payload) => typingStart(socket , payload));
+        socket.on("typing:stop" , (payload) => typingStop(socket , payload));
         
         // Handle socket disconnection
         // This is automatically triggered when user closes browser, loses connection, etc.
-        socket.on("disconnect",() => disconnect(socket))
-        
+        socket.on("disconnect",() => {
+            // Whatever this socket was typing in, it no longer is
+            for(const room of [...(socket.data.typing?.keys() ?? [])]){
+                stopTyping(socket , room);
+            }
+            disconnect(socket);
+        })
+
         // =====================================
-        // ADDITIONAL EVENT LISTENERS (Future Extensions)
+        // PRESENCE REGISTRATION
         // =====================================
-        
-        // TODO: Add more real-time features:
-        // socket.on("typing", handleTypingIndicator);
-        // socket.on("stopTyping", handleStopTyping);
-        // socket.on("joinRoom", handleJoinRoom);
-        // socket.on("leaveRoom", handleLeaveRoom);
-        // socket.on("markAsRead", handleMessageRead);
+
+        // Track this socket in the (possibly shared) presence store
+        // Registered after the listeners above so no early events are missed,
+        // and once the socket is in its channel rooms, so it is fully set up
+        // by the time the user counts as online
+        try{
+            await socket.data.channelRoomsJoined;
+
+            // Direct messages sent while the user was offline reach them now
+            markPendingDelivered(userId)
+                .then(emitDelivered)
+                .catch((error) => console.log({error}));
+
+            const openSockets = await presenceStore.addSocket(userId , socket.id);
+
+            // The socket may have dropped while the store was being updated,
+            // in which case its disconnect handler ran before this registration
+            if(socket.disconnected){
+                await presenceStore.removeSocket(userId , socket.id);
+                return;
+            }
+            console.log(`User with ID ${userId} got connected to Session ID ${socket.id} (${openSockets} open)`);
+
+            // Contacts see the user come online; the user gets their contacts' presence
+            await emitPresence(userId);
+            await joinPresenceRooms(socket);
+        }catch(error){
+            console.log({error});
+        }
     })
+
+    return io;
 }
 
 export default setupSocket;
@@ -364,9 +1141,9 @@ export default setupSocket;
 /*
 🏗️ ARCHITECTURE & SCALABILITY:
 1. How would this handle horizontal scaling across multiple servers?
-   - Currently userSocketMap is in-memory, what about multi-server deployments?
-   - Should we implement Redis adapter for socket.io clustering?
-   - How would we handle session affinity or sticky sessions?
+   - SOCKET_ADAPTER=redis shares rooms and presence - what about Redis itself failing?
+   - Should we move to Redis Streams for delivery guarantees across restarts?
+   - How would we handle session affinity or sticky sessions for polling clients?
 
 2. Database performance under high load:
    - Each message requires 3+ database operations (create, populate, update channel)
@@ -376,8 +1153,8 @@ export default setupSocket;
 
 🔒 SECURITY & VALIDATION:
 3. Socket authentication security:
-   - Currently user ID comes from query params - is this secure?
-   - Should we validate JWT tokens on socket connection?
+   - User ID now comes from the verified 'jwt' cookie - how do we handle expiry mid-session?
+   - Should long-lived sockets be re-validated periodically?
    - How do we prevent socket session hijacking?
    - Should we implement rate limiting per socket connection?
 
@@ -389,15 +1166,15 @@ export default setupSocket;
 
 ⚡ PERFORMANCE OPTIMIZATIONS:
 5. Memory management:
-   - userSocketMap grows with connected users - what about cleanup?
+   - Presence entries are dropped with the last socket; crashed nodes are pruned by heartbeat
    - Should we implement periodic cleanup of stale connections?
    - How do we handle memory leaks in long-running processes?
    - Could we implement connection pooling for database operations?
 
 6. Message broadcasting efficiency:
-   - Channel messages iterate through all members - O(n) complexity
+   - Channel messages are a single emit to the channel room
    - Should we implement Redis pub/sub for channel broadcasting?
-   - Could we use socket rooms for more efficient group messaging?
+   - How do we keep rooms in sync when membership changes on another server?
    - How would we handle channels with thousands of members?
 
 🛠️ ERROR HANDLING & MONITORING:
@@ -0,0 +1,61 @@
+// =====================================
+// CHANNEL ACCESS - MEMBERSHIP CHECKS SHARED BY REST AND SOCKETS
+// =====================================
+// Both the channel REST endpoints and the channel socket events must make
+// sure the caller belongs to the channel. The check lives here so the two
+// transports always agree, and each caller turns the result into its own
+// kind of error (an HTTP response or a socket acknowledgment).
+
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+import { missingPermission, roleOf } from "./channelPermissions.js";
+
+/**
+ * Load a channel and verify the user is one of its members or admins
+ *
+ * @param {string} channelId - Channel database ID (untrusted input)
+ * @param {string} userId - Authenticated user ID
+ * @param {string} [projection] - Space-separated fields to load; membership fields (members, admin, roles) are always included
+ * @returns {Promise<Object>} { channel } on success, or { status, msg } describing the failure
+ * - 400: channelId missing or not a valid ID
+ * - 404: no channel with that ID
+ * - 403: the user is neither a member nor an admin
+ */
+export const findChannelForMember = async (channelId , userId , projection) => {
+    if(!channelId || !mongoose.isValidObjectId(channelId)){
+        return {status : 400 , msg : "A valid channel ID is required"};
+    }
+
+    const channel = await Channel.findById(channelId , projection ? `${projection} members admin roles` : undefined);
+
+    if(!channel){
+        return {status : 404 , msg : "Channel not found"};
+    }
+
+    if(!channel.isMember(userId)){
+        return {status : 403 , msg : "You are not a member of this channel"};
+    }
+
+    return {channel};
+}
+
+/**
+ * Load a channel and verify the user's role there has a permission
+ *
+ * @param {string} channelId - Channel database ID (untrusted input)
+ * @param {string} userId - Authenticated user ID
+ * @param {string} permission - Key of ROLE_PERMISSIONS entries (utils/channelPermissions.js)
+ * @param {string} [projection] - As for findChannelForMember
+ * @returns {Promise<Object>} { channel, role } or { status, msg } as findChannelForMember,
+ * plus 403 when the user's role lacks the permission
+ */
+export const findChannelWithPermission = async (channelId , userId , permission , projection) => {
+    const access = await findChannelForMember(channelId , userId , projection);
+    if(!access.channel) return access;
+
+    const role = roleOf(access.channel , userId);
+    const missing = missingPermission(role , permission);
+    if(missing) return missing;
+
+    return {channel : access.channel , role};
+}
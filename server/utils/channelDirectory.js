@@ -0,0 +1,83 @@
+// =====================================
+// CHANNEL DIRECTORY - BROWSING PUBLIC CHANNELS
+// =====================================
+// Public channels (isPrivate: false) are listed for every user so they can
+// find and join them (see joinChannel in channelMembership.js). Private
+// channels never show up here, not even to their own members; those find
+// them in their channel list instead.
+
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+
+export const DEFAULT_DIRECTORY_PAGE_SIZE = 20;
+export const MAX_DIRECTORY_PAGE_SIZE = 50;
+
+// Longest accepted search term, in characters
+const MAX_SEARCH_LENGTH = 50;
+
+/**
+ * Parse a non-negative integer query parameter
+ *
+ * @param {*} value - Query value (untrusted input)
+ * @param {number} fallback - Value when absent
+ * @returns {number|null} null when invalid
+ */
+const parseCount = (value , fallback) => {
+    if(value === undefined || value === null || value === "") return fallback;
+    const count = Number(value);
+    return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+/**
+ * List public channels by name
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} [params.search] - Only channels whose name contains this (case-insensitive)
+ * @param {number|string} [params.offset] - Channels to skip (for "load more")
+ * @param {number|string} [params.limit] - Page size (default 20, max 50)
+ * @returns {Promise<Object>} { channels, hasMore } or { status, msg }
+ * - channels: [{ _id, name, topic, description, channelImage, memberCount, joined }]
+ */
+export const browsePublicChannels = async ({userId , search , offset , limit}) => {
+    const term = typeof search === "string" ? search.trim() : "";
+    if(term.length > MAX_SEARCH_LENGTH){
+        return {status : 400 , msg : `Search terms are limited to ${MAX_SEARCH_LENGTH} characters`};
+    }
+
+    const skip = parseCount(offset , 0);
+    let pageSize = parseCount(limit , DEFAULT_DIRECTORY_PAGE_SIZE);
+    if(skip === null || !pageSize){
+        return {status : 400 , msg : "offset and limit must be non-negative integers (limit at least 1)"};
+    }
+    pageSize = Math.min(pageSize , MAX_DIRECTORY_PAGE_SIZE);
+
+    const filter = {isPrivate : false};
+    if(term){
+        // Escape regex characters so the term matches literally
+        filter.name = new RegExp(term.replace(/[.*+?^${([\])}|\\]/g , "\\$&") , "i");
+    }
+
+    const user = new mongoose.Types.ObjectId(userId);
+    const found = await Channel.aggregate([
+        {$match : filter},
+        {$sort : {name : 1 , _id : 1}},
+        {$skip : skip},
+        {$limit : pageSize + 1},
+        {
+            $project : {
+                name : 1,
+                topic : 1,
+                description : 1,
+                channelImage : 1,
+                memberCount : {$add : [{$size : "$members"} , {$size : "$admin"}]},
+                joined : {$or : [{$in : [user , "$members"]} , {$in : [user , "$admin"]}]},
+            },
+        },
+    ]);
+
+    return {
+        channels : found.slice(0 , pageSize),
+        hasMore : found.length > pageSize,
+    };
+}
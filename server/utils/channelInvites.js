@@ -0,0 +1,272 @@
+// =====================================
+// CHANNEL INVITES - SHAREABLE LINKS INTO A CHANNEL
+// =====================================
+// Users whose role may manage members (owner, admins and moderators)
+// create invite tokens for a channel, optionally limited in time and
+// number of uses, list the ones still usable and revoke them. Anyone logged
+// in who has a token can preview the channel and join it as a member; this
+// is how people get into private channels without being added one by one.
+//
+// Joining through an invite is recorded like a self-join ("memberJoined"),
+// and like the other utils each action resolves to a result or
+// { status, msg } and leaves broadcasting to the caller.
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+import { ChannelInvite } from "../models/channelInvite.model.js";
+import { findChannelWithPermission } from "./channelAccess.js";
+import { postSystemMessage } from "./channelMembership.js";
+
+// Longest an invite may stay valid (30 days)
+const MAX_EXPIRY_HOURS = 24 * 30;
+
+// Highest usage limit an invite may have
+const MAX_INVITE_USES = 1000;
+
+// Most active invites a channel may have at once
+const MAX_ACTIVE_INVITES = 50;
+
+// Tokens are 128 random bits, URL-safe
+const generateToken = () => crypto.randomBytes(16).toString("base64url");
+
+/**
+ * Query condition matching invites that can still be used
+ *
+ * @param {Date} now
+ * @returns {Object}
+ */
+const usableInvite = (now) => ({
+    revokedAt : null,
+    $and : [
+        {$or : [{expiresAt : null} , {expiresAt : {$gt : now}}]},
+        {$or : [{maxUses : null} , {$expr : {$lt : ["$uses" , "$maxUses"]}}]},
+    ],
+});
+
+/**
+ * Parse an optional positive integer limit
+ *
+ * @param {*} value - Request value (untrusted input)
+ * @param {number} max - Highest accepted value
+ * @returns {number|null|undefined} undefined when absent, null when invalid
+ */
+const parseLimit = (value , max) => {
+    if(value === undefined || value === null || value === "") return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+/**
+ * Find an invite by its token
+ *
+ * @param {*} token - Invite token (untrusted input)
+ * @returns {Promise<Object>} { invite } or { status, msg }
+ */
+const findInvite = async (token) => {
+    if(!token || typeof token !== "string"){
+        return {status : 400 , msg : "An invite token is required"};
+    }
+
+    const invite = await ChannelInvite.findOne({token});
+    if(!invite){
+        return {status : 404 , msg : "This invite link is not valid"};
+    }
+    return {invite};
+}
+
+// =====================================
+// ADMIN ACTIONS
+// =====================================
+
+/**
+ * Create an invite to a channel (manageMembers permission)
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to invite to
+ * @param {string} params.userId - Authenticated user ID (needs manageMembers)
+ * @param {number} [params.expiresInHours] - Hours until the invite stops working (max 720); never when absent
+ * @param {number} [params.maxUses] - How many users may join with it (max 1000); unlimited when absent
+ * @returns {Promise<Object>} { invite } or { status, msg }
+ */
+export const createChannelInvite = async ({channelId , userId , expiresInHours , maxUses}) => {
+    const hours = parseLimit(expiresInHours , MAX_EXPIRY_HOURS);
+    if(hours === null){
+        return {status : 400 , msg : `Expiry must be a whole number of hours between 1 and ${MAX_EXPIRY_HOURS}`};
+    }
+    const uses = parseLimit(maxUses , MAX_INVITE_USES);
+    if(uses === null){
+        return {status : 400 , msg : `Usage limit must be a whole number between 1 and ${MAX_INVITE_USES}`};
+    }
+
+    const access = await findChannelWithPermission(channelId , userId , "manageMembers" , "_id");
+    if(!access.channel) return access;
+
+    const now = new Date();
+    const active = await ChannelInvite.countDocuments({channel : access.channel._id , ...usableInvite(now)});
+    if(active >= MAX_ACTIVE_INVITES){
+        return {status : 400 , msg : `A channel can have at most ${MAX_ACTIVE_INVITES} active invites; revoke some first`};
+    }
+
+    const invite = await ChannelInvite.create({
+        channel : access.channel._id,
+        token : generateToken(),
+        createdBy : userId,
+        expiresAt : hours ? new Date(now.getTime() + hours * 60 * 60 * 1000) : undefined,
+        maxUses : uses,
+    });
+
+    return {invite};
+}
+
+/**
+ * List a channel's invites that can still be used, newest first (manageMembers permission)
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel whose invites to list
+ * @param {string} params.userId - Authenticated user ID (needs manageMembers)
+ * @returns {Promise<Object>} { invites } or { status, msg }
+ * - invites: createdBy populated with the creator's name
+ */
+export const listChannelInvites = async ({channelId , userId}) => {
+    const access = await findChannelWithPermission(channelId , userId , "manageMembers" , "_id");
+    if(!access.channel) return access;
+
+    const invites = await ChannelInvite.find({channel : access.channel._id , ...usableInvite(new Date())})
+        .sort({createdAt : -1})
+        .populate("createdBy" , "firstName lastName email")
+        .lean();
+
+    return {invites};
+}
+
+/**
+ * Revoke an invite so its link stops working (manageMembers permission in its channel)
+ *
+ * @param {Object} params
+ * @param {string} params.inviteId - Invite to revoke (untrusted input)
+ * @param {string} params.userId - Authenticated user ID
+ * @returns {Promise<Object>} { invite } or { status, msg }
+ */
+export const revokeChannelInvite = async ({inviteId , userId}) => {
+    if(!inviteId || !mongoose.isValidObjectId(inviteId)){
+        return {status : 400 , msg : "A valid invite ID is required"};
+    }
+
+    const existing = await ChannelInvite.findById(inviteId);
+    if(!existing){
+        return {status : 404 , msg : "Invite not found"};
+    }
+
+    const access = await findChannelWithPermission(existing.channel , userId , "manageMembers" , "_id");
+    if(!access.channel) return access;
+
+    if(existing.revokedAt){
+        return {status : 400 , msg : "This invite was already revoked"};
+    }
+
+    const invite = await ChannelInvite.findOneAndUpdate(
+        {_id : existing._id , revokedAt : null},
+        {$set : {revokedAt : new Date()}},
+        {new : true},
+    );
+    if(!invite){
+        return {status : 400 , msg : "This invite was already revoked"};
+    }
+
+    return {invite};
+}
+
+// =====================================
+// INVITEE ACTIONS
+// =====================================
+
+/**
+ * What an invite leads to, for the invite page
+ *
+ * @param {Object} params
+ * @param {string} params.token - Invite token (untrusted input)
+ * @param {string} params.userId - Authenticated user ID
+ * @returns {Promise<Object>} { channel, joined, expiresAt } or { status, msg }
+ * - channel: { _id, name, topic, description, channelImage, memberCount }
+ * - joined: whether the user is already in the channel
+ */
+export const previewChannelInvite = async ({token , userId}) => {
+    const found = await findInvite(token);
+    if(!found.invite) return found;
+
+    const reason = found.invite.unusableReason();
+    if(reason){
+        return {status : 410 , msg : reason};
+    }
+
+    const channel = await Channel.findById(found.invite.channel , "name topic description channelImage members admin");
+    if(!channel){
+        return {status : 404 , msg : "This channel no longer exists"};
+    }
+
+    return {
+        channel : {
+            _id : channel._id,
+            name : channel.name,
+            topic : channel.topic,
+            description : channel.description,
+            channelImage : channel.channelImage,
+            memberCount : channel.members.length + channel.admin.length,
+        },
+        joined : channel.isMember(userId),
+        expiresAt : found.invite.expiresAt,
+    };
+}
+
+/**
+ * Join a channel as a member with an invite
+ * The use is counted atomically, so a limited invite never admits more
+ * users than its limit even when they accept at the same moment
+ *
+ * @param {Object} params
+ * @param {string} params.token - Invite token (untrusted input)
+ * @param {string} params.userId - Authenticated user ID
+ * @returns {Promise<Object>} { channel, added, systemMessage } or { status, msg }
+ */
+export const acceptChannelInvite = async ({token , userId}) => {
+    const found = await findInvite(token);
+    if(!found.invite) return found;
+
+    const reason = found.invite.unusableReason();
+    if(reason){
+        return {status : 410 , msg : reason};
+    }
+
+    const existing = await Channel.findById(found.invite.channel , "members admin");
+    if(!existing){
+        return {status : 404 , msg : "This channel no longer exists"};
+    }
+    if(existing.isMember(userId)){
+        return {status : 400 , msg : "You are already in this channel"};
+    }
+
+    const invite = await ChannelInvite.findOneAndUpdate(
+        {_id : found.invite._id , ...usableInvite(new Date())},
+        {$inc : {uses : 1}},
+        {new : true},
+    );
+    if(!invite){
+        return {status : 410 , msg : "This invite is no longer valid"};
+    }
+
+    const user = new mongoose.Types.ObjectId(userId);
+    const channel = await Channel.findOneAndUpdate(
+        {_id : existing._id , members : {$ne : user} , admin : {$ne : user}},
+        {$addToSet : {members : user}},
+        {new : true},
+    );
+    if(!channel){
+        // Joined some other way in the meantime; give the use back
+        await ChannelInvite.updateOne({_id : invite._id} , {$inc : {uses : -1}});
+        return {status : 409 , msg : "The channel changed in the meantime, please try again"};
+    }
+
+    const systemMessage = await postSystemMessage(channel._id , userId , "memberJoined");
+    return {channel , added : [user] , systemMessage};
+}
@@ -0,0 +1,346 @@
+// =====================================
+// CHANNEL MEMBERSHIP - ADDING, REMOVING AND PROMOTING CHANNEL USERS
+// =====================================
+// Changes to a channel's members, admin arrays and roles. Users whose role
+// allows it (see utils/channelPermissions.js) add members, remove users and
+// change the roles below their own; any member may leave, and anyone may
+// join a public channel. A channel always keeps at least one admin while
+// it has members, so the last admin has to promote someone before leaving
+// or stepping down.
+//
+// Every change is recorded as a "system" message in the channel, so the
+// history shows who joined, left or became an admin and when. Like the
+// other utils, each action resolves to a result or { status, msg } and
+// leaves broadcasting to the caller.
+
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+import { Message } from "../models/messages.model.js";
+import { User } from "../models/user.model.js";
+import { findChannelForMember, findChannelWithPermission } from "./channelAccess.js";
+import { ASSIGNABLE_ROLES, outranks, roleFilter, roleOf } from "./channelPermissions.js";
+import { messagePreview } from "./messagePreview.js";
+
+// Most users one request may add
+const MAX_MEMBERS_PER_ADD = 100;
+
+const USER_FIELDS = "firstName lastName colorTheme imageURL email";
+
+const displayName = (user) =>
+    [user?.firstName , user?.lastName].filter(Boolean).join(" ") || user?.email || "Someone";
+
+/**
+ * "Sam", "Sam and Kim" or "Sam, Kim and Lee"
+ *
+ * @param {Array<string>} names
+ * @returns {string}
+ */
+const joinNames = (names) =>
+    names.length > 1 ? `${names.slice(0 , -1).join(", ")} and ${names[names.length - 1]}` : names[0] ?? "";
+
+// How "roleChanged" notices name each role
+const ROLE_NAMES = {
+    admin : "an admin",
+    moderator : "a moderator",
+    member : "a member",
+    readOnly : "read-only",
+};
+
+/**
+ * Notice text of a system message
+ *
+ * @param {string} action - systemEvent.action
+ * @param {string} actor - Name of the user who made the change
+ * @param {Array<string>} targets - Names of the users it applied to
+ * @param {string} [role] - New role, for "roleChanged"
+ * @returns {string}
+ */
+const systemText = (action , actor , targets , role) => {
+    switch(action){
+        case "membersAdded" : return `${actor} added ${joinNames(targets)}`;
+        case "memberRemoved" : return `${actor} removed ${joinNames(targets)}`;
+        case "memberLeft" : return `${actor} left the channel`;
+        case "memberJoined" : return `${actor} joined the channel`;
+        case "adminPromoted" : return `${actor} made ${joinNames(targets)} an admin`;
+        case "adminDemoted" : return `${actor} removed ${joinNames(targets)} as admin`;
+        case "roleChanged" : return `${actor} made ${joinNames(targets)} ${ROLE_NAMES[role]}`;
+        default : return "";
+    }
+}
+
+/**
+ * Record a membership change in the channel history
+ *
+ * @param {ObjectId} channelId - Channel that changed
+ * @param {string} actorId - User who made the change (the message sender)
+ * @param {string} action - systemEvent.action
+ * @param {Array<ObjectId>} [targetIds] - Users the change applied to
+ * @param {string} [role] - New role, for "roleChanged"
+ * @returns {Promise<Object>} The message shaped like "recieveChannelMessage"
+ * (sender populated, channelId and preview set)
+ */
+export const postSystemMessage = async (channelId , actorId , action , targetIds = [] , role) => {
+    const users = await User.find({_id : {$in : [actorId , ...targetIds]}} , USER_FIELDS).lean();
+    const names = new Map(users.map((user) => [user._id.toString() , displayName(user)]));
+
+    const message = await Message.create({
+        sender : actorId,
+        channel : channelId,
+        messageType : "system",
+        content : systemText(action , names.get(actorId.toString()) , targetIds.map((id) => names.get(id.toString())) , role),
+        systemEvent : {action , targets : targetIds , role},
+    });
+
+    const populated = await message.populate({path : "sender" , select : USER_FIELDS});
+    return {...populated.toObject() , channelId : channelId.toString() , preview : messagePreview(populated)};
+}
+
+/**
+ * Validate the ID of the user an admin action applies to
+ *
+ * @param {*} memberId - User ID (untrusted input)
+ * @returns {Object|null} { status, msg } when invalid
+ */
+const invalidMemberId = (memberId) =>
+    !memberId || !mongoose.isValidObjectId(memberId) ? {status : 400 , msg : "A valid member ID is required"} : null;
+
+// =====================================
+// MEMBER MANAGEMENT ACTIONS
+// =====================================
+
+/**
+ * Add users to a channel as members (manageMembers permission)
+ * Users already in the channel are skipped
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to add to
+ * @param {string} params.userId - Authenticated user ID
+ * @param {Array<string>} params.memberIds - Users to add
+ * @returns {Promise<Object>} { channel, added, systemMessage } or { status, msg }
+ * - added: IDs of the users that were not in the channel before
+ */
+export const addChannelMembers = async ({channelId , userId , memberIds}) => {
+    if(!Array.isArray(memberIds) || memberIds.length === 0 || memberIds.length > MAX_MEMBERS_PER_ADD){
+        return {status : 400 , msg : `Between 1 and ${MAX_MEMBERS_PER_ADD} members are required`};
+    }
+    if(!memberIds.every((id) => mongoose.isValidObjectId(id))){
+        return {status : 400 , msg : "Some Members are not Valid Users"};
+    }
+
+    const access = await findChannelWithPermission(channelId , userId , "manageMembers");
+    if(!access.channel) return access;
+
+    const requested = [...new Set(memberIds.map(String))];
+    const users = await User.find({_id : {$in : requested}} , "_id").lean();
+    if(users.length !== requested.length){
+        return {status : 400 , msg : "Some Members are not Valid Users"};
+    }
+
+    const added = users.map((user) => user._id).filter((id) => !access.channel.isMember(id));
+    if(added.length === 0){
+        return {status : 400 , msg : "These users are already in the channel"};
+    }
+
+    const channel = await Channel.findOneAndUpdate(
+        {_id : access.channel._id , ...roleFilter(userId , access.role)},
+        {$addToSet : {members : {$each : added}}},
+        {new : true},
+    );
+    if(!channel){
+        return {status : 409 , msg : "The channel changed in the meantime, please try again"};
+    }
+
+    const systemMessage = await postSystemMessage(channel._id , userId , "membersAdded" , added);
+    return {channel , added , systemMessage};
+}
+
+/**
+ * Remove a user of a lower role from a channel (manageMembers permission)
+ * Admins may also remove other admins, but nobody removes the owner
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to remove from
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} params.memberId - User to remove
+ * @returns {Promise<Object>} { channel, removed, systemMessage } or { status, msg }
+ */
+export const removeChannelMember = async ({channelId , userId , memberId}) => {
+    const invalid = invalidMemberId(memberId);
+    if(invalid) return invalid;
+
+    if(memberId.toString() === userId.toString()){
+        return {status : 400 , msg : "Leave the channel to remove yourself"};
+    }
+
+    const access = await findChannelWithPermission(channelId , userId , "manageMembers");
+    if(!access.channel) return access;
+
+    const targetRole = roleOf(access.channel , memberId);
+    if(!targetRole){
+        return {status : 404 , msg : "This user is not in the channel"};
+    }
+    if(!outranks(access.role , targetRole)){
+        return {status : 403 , msg : "You can only remove users below your own role"};
+    }
+
+    const removed = new mongoose.Types.ObjectId(memberId);
+    const channel = await Channel.findOneAndUpdate(
+        {_id : access.channel._id , $and : [roleFilter(userId , access.role) , roleFilter(removed , targetRole)]},
+        {$pull : {members : removed , admin : removed} , $unset : {[`roles.${removed}`] : ""}},
+        {new : true},
+    );
+    if(!channel){
+        return {status : 409 , msg : "The channel changed in the meantime, please try again"};
+    }
+
+    const systemMessage = await postSystemMessage(channel._id , userId , "memberRemoved" , [removed]);
+    return {channel , removed , systemMessage};
+}
+
+/**
+ * Give a channel user another role (manageRoles permission)
+ * Both the user's current role and the new one must be below the caller's
+ * own (admins may also change other admins); the owner's role never
+ * changes, and the last admin cannot be demoted
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to change
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} params.memberId - User whose role changes
+ * @param {string} params.role - New role, one of ASSIGNABLE_ROLES
+ * @returns {Promise<Object>} { channel, systemMessage } or { status, msg }
+ */
+export const setChannelRole = async ({channelId , userId , memberId , role}) => {
+    const invalid = invalidMemberId(memberId);
+    if(invalid) return invalid;
+
+    if(!ASSIGNABLE_ROLES.includes(role)){
+        return {status : 400 , msg : `role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`};
+    }
+
+    const access = await findChannelWithPermission(channelId , userId , "manageRoles");
+    if(!access.channel) return access;
+
+    const current = roleOf(access.channel , memberId);
+    if(!current){
+        return {status : 404 , msg : "This user is not a member of the channel"};
+    }
+    if(current === role){
+        return {status : 400 , msg : `This user is already ${ROLE_NAMES[role]}`};
+    }
+    if(!outranks(access.role , current) || !outranks(access.role , role)){
+        return {status : 403 , msg : "You can only change roles below your own"};
+    }
+
+    const target = new mongoose.Types.ObjectId(memberId);
+    const key = `roles.${target}`;
+    const filter = {_id : access.channel._id , $and : [roleFilter(userId , access.role) , roleFilter(target , current)]};
+
+    // admin and members stay disjoint: becoming or ceasing to be an admin
+    // moves the user from one array to the other; the other roles live in
+    // the roles map of users in members
+    let update;
+    if(role === "admin"){
+        update = {$pull : {members : target} , $addToSet : {admin : target} , $unset : {[key] : ""}};
+    }else{
+        update = role === "member" ? {$unset : {[key] : ""}} : {$set : {[key] : role}};
+        if(current === "admin"){
+            // At least two admins, so one is left afterwards
+            filter["admin.1"] = {$exists : true};
+            update = {...update , $pull : {admin : target} , $addToSet : {members : target}};
+        }
+    }
+
+    const channel = await Channel.findOneAndUpdate(filter , update , {new : true});
+    if(!channel){
+        return current === "admin" && access.channel.admin.length < 2
+            ? {status : 409 , msg : "A channel needs at least one admin; promote someone else first"}
+            : {status : 409 , msg : "The channel changed in the meantime, please try again"};
+    }
+
+    let action = "roleChanged";
+    if(role === "admin") action = "adminPromoted";
+    else if(current === "admin" && role === "member") action = "adminDemoted";
+
+    const systemMessage = await postSystemMessage(channel._id , userId , action , [target] , action === "roleChanged" ? role : undefined);
+    return {channel , systemMessage};
+}
+
+// =====================================
+// MEMBER ACTIONS
+// =====================================
+
+/**
+ * Join a public channel as a member
+ * Private channels can only be joined by being added by an admin
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to join (untrusted input)
+ * @param {string} params.userId - Authenticated user ID
+ * @returns {Promise<Object>} { channel, added, systemMessage } or { status, msg }
+ */
+export const joinChannel = async ({channelId , userId}) => {
+    if(!channelId || !mongoose.isValidObjectId(channelId)){
+        return {status : 400 , msg : "A valid channel ID is required"};
+    }
+
+    const existing = await Channel.findById(channelId , "isPrivate members admin");
+    if(!existing){
+        return {status : 404 , msg : "Channel not found"};
+    }
+    if(existing.isPrivate){
+        return {status : 403 , msg : "This channel is private; ask an admin to add you"};
+    }
+    if(existing.isMember(userId)){
+        return {status : 400 , msg : "You are already in this channel"};
+    }
+
+    const user = new mongoose.Types.ObjectId(userId);
+    const channel = await Channel.findOneAndUpdate(
+        {_id : existing._id , isPrivate : false , members : {$ne : user} , admin : {$ne : user}},
+        {$addToSet : {members : user}},
+        {new : true},
+    );
+    if(!channel){
+        return {status : 409 , msg : "The channel changed in the meantime, please try again"};
+    }
+
+    const systemMessage = await postSystemMessage(channel._id , userId , "memberJoined");
+    return {channel , added : [user] , systemMessage};
+}
+
+/**
+ * Leave a channel
+ * The last admin may only leave once no members remain, or after
+ * promoting someone
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to leave
+ * @param {string} params.userId - Authenticated user ID
+ * @returns {Promise<Object>} { channel, removed, systemMessage } or { status, msg }
+ */
+export const leaveChannel = async ({channelId , userId}) => {
+    const access = await findChannelForMember(channelId , userId);
+    if(!access.channel) return access;
+
+    const user = new mongoose.Types.ObjectId(userId);
+    const channel = await Channel.findOneAndUpdate(
+        {
+            _id : access.channel._id,
+            $or : [
+                {members : user},
+                // An admin leaves only if another admin stays, or nobody does
+                {admin : user , "admin.1" : {$exists : true}},
+                {admin : user , members : {$size : 0}},
+            ],
+        },
+        {$pull : {members : user , admin : user} , $unset : {[`roles.${user}`] : ""}},
+        {new : true},
+    );
+    if(!channel){
+        return {status : 409 , msg : "You are the last admin; make another member an admin before leaving"};
+    }
+
+    const systemMessage = await postSystemMessage(channel._id , userId , "memberLeft");
+    return {channel , removed : user , systemMessage};
+}
@@ -0,0 +1,137 @@
+// =====================================
+// CHANNEL PERMISSIONS - ROLES AND WHAT EACH ROLE MAY DO
+// =====================================
+// Every channel user has one role. The members and admin arrays still say
+// who is in the channel and who administers it; the channel's `roles` map
+// refines that with the roles the arrays cannot express:
+//
+//   in admin   -> "admin", or "owner" for the channel's creator
+//   in members -> "member", or "moderator" / "readOnly"
+//
+// Permissions are looked up from the role in ROLE_PERMISSIONS, and both the
+// REST controllers and the socket handlers check them through can(), so
+// the two transports always agree. The client keeps a copy of this matrix
+// in src/lib/channelPermissions.js to hide what a role may not do.
+
+// =====================================
+// ROLES
+// =====================================
+
+/**
+ * Roles from most to least privileged
+ */
+export const CHANNEL_ROLES = ["owner" , "admin" , "moderator" , "member" , "readOnly"];
+
+/**
+ * Roles an admin may give; ownership stays with the creator
+ */
+export const ASSIGNABLE_ROLES = ["admin" , "moderator" , "member" , "readOnly"];
+
+// Roles stored in the `roles` map; the others follow from the arrays
+const ADMIN_ARRAY_ROLES = ["owner" , "admin"];
+const MEMBER_ARRAY_ROLES = ["moderator" , "member" , "readOnly"];
+
+// =====================================
+// PERMISSION MATRIX
+// =====================================
+
+/**
+ * What each role may do
+ * - postMessages: send messages and thread replies
+ * - uploadFiles: send file messages
+ * - pinMessages: pin and unpin messages
+ * - deleteOthersMessages: delete other users' messages for everyone
+ * - manageMembers: add members, remove users of a lower role and manage invite links
+ * - manageRoles: change the role of users of a lower role
+ * - manageChannel: change the channel's name, topic, description, visibility and avatar
+ */
+export const ROLE_PERMISSIONS = {
+    owner : {postMessages : true , uploadFiles : true , pinMessages : true , deleteOthersMessages : true , manageMembers : true , manageRoles : true , manageChannel : true},
+    admin : {postMessages : true , uploadFiles : true , pinMessages : true , deleteOthersMessages : true , manageMembers : true , manageRoles : true , manageChannel : true},
+    moderator : {postMessages : true , uploadFiles : true , pinMessages : true , deleteOthersMessages : true , manageMembers : true , manageRoles : false , manageChannel : false},
+    member : {postMessages : true , uploadFiles : true , pinMessages : false , deleteOthersMessages : false , manageMembers : false , manageRoles : false , manageChannel : false},
+    readOnly : {postMessages : false , uploadFiles : false , pinMessages : false , deleteOthersMessages : false , manageMembers : false , manageRoles : false , manageChannel : false},
+};
+
+// Messages for a missing permission
+const PERMISSION_ERRORS = {
+    postMessages : "You can only read this channel",
+    uploadFiles : "You can't share files in this channel",
+    pinMessages : "You can't pin messages in this channel",
+    deleteOthersMessages : "You can only delete your own messages",
+    manageMembers : "You can't manage members of this channel",
+    manageRoles : "You can't change roles in this channel",
+    manageChannel : "You can't change this channel's settings",
+};
+
+// =====================================
+// ROLE LOOKUP
+// =====================================
+
+/**
+ * Role of a user in a channel
+ *
+ * @param {Object} channel - Channel document (members, admin and roles loaded)
+ * @param {string|ObjectId} userId
+ * @returns {string|null} One of CHANNEL_ROLES, or null when not in the channel
+ */
+export const roleOf = (channel , userId) => {
+    const stored = channel.roles?.get(userId.toString());
+    if(channel.admin.includes(userId)){
+        return ADMIN_ARRAY_ROLES.includes(stored) ? stored : "admin";
+    }
+    if(channel.members.includes(userId)){
+        return MEMBER_ARRAY_ROLES.includes(stored) ? stored : "member";
+    }
+    return null;
+}
+
+/**
+ * Whether a role has a permission
+ *
+ * @param {string|null} role - One of CHANNEL_ROLES
+ * @param {string} permission - Key of ROLE_PERMISSIONS entries
+ * @returns {boolean}
+ */
+export const can = (role , permission) => Boolean(ROLE_PERMISSIONS[role]?.[permission]);
+
+/**
+ * Error for a missing permission, or null when the role has it
+ *
+ * @param {string|null} role
+ * @param {string} permission
+ * @returns {Object|null} { status: 403, msg }
+ */
+export const missingPermission = (role , permission) =>
+    can(role , permission) ? null : {status : 403 , msg : PERMISSION_ERRORS[permission]};
+
+/**
+ * Whether a user of one role may remove, or change the role of, a user of
+ * another. Everyone manages the roles below their own; admins also manage
+ * each other (as before roles existed), and nobody manages the owner
+ *
+ * @param {string} actorRole
+ * @param {string} targetRole
+ * @returns {boolean}
+ */
+export const outranks = (actorRole , targetRole) => {
+    if(targetRole === "owner") return false;
+    if(actorRole === "admin" && targetRole === "admin") return true;
+    return CHANNEL_ROLES.indexOf(actorRole) < CHANNEL_ROLES.indexOf(targetRole);
+}
+
+/**
+ * Query conditions matching a channel in which the user still has the
+ * given role, for atomic updates that depend on it
+ *
+ * @param {string|ObjectId} userId
+ * @param {string} role - One of CHANNEL_ROLES
+ * @returns {Object}
+ */
+export const roleFilter = (userId , role) => {
+    const key = `roles.${userId.toString()}`;
+    const stored = role === "admin" || role === "member" ? {$exists : false} : role;
+    return ADMIN_ARRAY_ROLES.includes(role)
+        ? {admin : userId , [key] : stored}
+        : {members : userId , [key] : stored};
+}
@@ -0,0 +1,191 @@
+// =====================================
+// CHANNEL SETTINGS - NAME, TOPIC, DESCRIPTION, VISIBILITY AND AVATAR
+// =====================================
+// Changes to how a channel presents itself, for roles with the
+// manageChannel permission (owner and admins). Text settings are
+// validated here; the avatar arrives through multer (see ChannelRoutes) and
+// replaces the previous image file on disk. Like the other utils, each
+// action resolves to a result or { status, msg } and leaves broadcasting
+// ("channelUpdated") to the caller.
+
+import path from "path";
+import { renameSync, unlinkSync } from "fs";
+import Channel from "../models/channel.model.js";
+import { findChannelWithPermission } from "./channelAccess.js";
+
+// Where channel avatars are kept (relative to the server directory)
+const CHANNEL_IMAGE_DIR = "upload/channels/";
+
+// Accepted avatar types and their file extensions. Only raster images:
+// channel images are served from the app's own origin, so SVG (which can
+// carry script) and anything else a browser might render are refused
+const IMAGE_EXTENSIONS = {
+    "image/jpeg" : [".jpg" , ".jpeg"],
+    "image/png" : [".png"],
+    "image/webp" : [".webp"],
+    "image/gif" : [".gif"],
+};
+
+// Longest accepted value of each text setting (same limits as the model)
+const SETTING_LIMITS = {name : 50 , topic : 250 , description : 1000};
+
+/**
+ * Remove a file, ignoring one that is already gone
+ *
+ * @param {string} filePath - Path relative to the server directory
+ */
+const removeFile = (filePath) => {
+    try{
+        unlinkSync(filePath);
+    }catch(fileError){
+        console.warn("Failed to delete channel image file:" , fileError);
+    }
+}
+
+/**
+ * Check a new channel's name against the same rules as a rename
+ *
+ * @param {*} name - Requested name (untrusted input)
+ * @returns {Object} { name } trimmed, or { status, msg }
+ */
+export const checkChannelName = (name) => {
+    if(typeof name !== "string" || !name.trim()){
+        return {status : 400 , msg : "Channel name is required"};
+    }
+    const trimmed = name.trim();
+    if(trimmed.length > SETTING_LIMITS.name){
+        return {status : 400 , msg : `The channel name is limited to ${SETTING_LIMITS.name} characters`};
+    }
+    return {name : trimmed};
+}
+
+/**
+ * Change the name, topic, description and/or visibility of a channel (manageChannel permission)
+ * Settings left undefined are not changed; topic and description may be
+ * cleared with an empty string, the name may not
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to change
+ * @param {string} params.userId - Authenticated user ID (needs manageChannel)
+ * @param {string} [params.name] - New name
+ * @param {string} [params.topic] - New topic
+ * @param {string} [params.description] - New description
+ * @param {boolean} [params.isPrivate] - Whether the channel is invite-only
+ * @returns {Promise<Object>} { channel } or { status, msg }
+ */
+export const updateChannelSettings = async ({channelId , userId , name , topic , description , isPrivate}) => {
+    const changes = {};
+    for(const [field , value] of Object.entries({name , topic , description})){
+        if(value === undefined) continue;
+
+        if(typeof value !== "string"){
+            return {status : 400 , msg : `${field} must be a string`};
+        }
+        const trimmed = value.trim();
+        if(trimmed.length > SETTING_LIMITS[field]){
+            return {status : 400 , msg : `The channel ${field} is limited to ${SETTING_LIMITS[field]} characters`};
+        }
+        changes[field] = trimmed;
+    }
+
+    if(isPrivate !== undefined){
+        if(typeof isPrivate !== "boolean"){
+            return {status : 400 , msg : "isPrivate must be true or false"};
+        }
+        changes.isPrivate = isPrivate;
+    }
+
+    if(Object.keys(changes).length === 0){
+        return {status : 400 , msg : "Nothing to update"};
+    }
+    if(changes.name === ""){
+        return {status : 400 , msg : "Channel name is required"};
+    }
+
+    const access = await findChannelWithPermission(channelId , userId , "manageChannel" , "_id");
+    if(!access.channel) return access;
+
+    const channel = await Channel.findByIdAndUpdate(
+        access.channel._id,
+        {$set : changes},
+        {new : true , runValidators : true},
+    );
+    return {channel};
+}
+
+/**
+ * Replace a channel's avatar with an uploaded image (manageChannel permission)
+ * Only JPEG, PNG, WebP and GIF files are accepted, checked by both
+ * mimetype and extension; the upload is deleted again if it is refused
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to change
+ * @param {string} params.userId - Authenticated user ID (needs manageChannel)
+ * @param {Object} [params.file] - multer file (req.file)
+ * @returns {Promise<Object>} { channel } or { status, msg }
+ */
+export const updateChannelImage = async ({channelId , userId , file}) => {
+    if(!file){
+        return {status : 400 , msg : "File is Required"};
+    }
+
+    // Both come from the client; the extension decides how the file is served
+    const extension = path.extname(file.originalname ?? "").toLowerCase();
+    if(!IMAGE_EXTENSIONS[file.mimetype]?.includes(extension)){
+        removeFile(file.path);
+        return {status : 400 , msg : "The channel image must be a JPEG, PNG, WebP or GIF file"};
+    }
+
+    const access = await findChannelWithPermission(channelId , userId , "manageChannel" , "channelImage");
+    if(!access.channel){
+        removeFile(file.path);
+        return access;
+    }
+
+    // Timestamped name, as for profile images; basename keeps a crafted
+    // original name from pointing outside the directory
+    const fileName = CHANNEL_IMAGE_DIR + Date.now() + path.basename(file.originalname);
+    renameSync(file.path , fileName);
+
+    const channel = await Channel.findByIdAndUpdate(
+        access.channel._id,
+        {$set : {channelImage : fileName}},
+        {new : true},
+    );
+
+    // The channel was deleted while the file was being stored
+    if(!channel){
+        removeFile(fileName);
+        return {status : 404 , msg : "Channel not found"};
+    }
+
+    if(access.channel.channelImage){
+        removeFile(access.channel.channelImage);
+    }
+
+    return {channel};
+}
+
+/**
+ * Remove a channel's avatar (manageChannel permission)
+ *
+ * @param {Object} params
+ * @param {string} params.channelId - Channel to change
+ * @param {string} params.userId - Authenticated user ID (needs manageChannel)
+ * @returns {Promise<Object>} { channel } or { status, msg }
+ */
+export const deleteChannelImage = async ({channelId , userId}) => {
+    const access = await findChannelWithPermission(channelId , userId , "manageChannel" , "channelImage");
+    if(!access.channel) return access;
+
+    if(access.channel.channelImage){
+        removeFile(access.channel.channelImage);
+    }
+
+    const channel = await Channel.findByIdAndUpdate(
+        access.channel._id,
+        {$set : {channelImage : ""}},
+        {new : true},
+    );
+    return {channel};
+}
@@ -0,0 +1,576 @@
+// =====================================
+// MESSAGE ACTIONS - CHANGES TO EXISTING MESSAGES
+// =====================================
+// Operations on messages that already exist, shared by the REST
+// controllers and the socket handlers so both transports apply the same
+// rules. Like findChannelForMember, each action resolves to either a
+// result or { status, msg }, which callers turn into an HTTP response or a
+// socket acknowledgment. Broadcasting the change is left to the caller.
+
+import mongoose from "mongoose";
+import path from "path";
+import { readdir, rmdir, unlink } from "fs/promises";
+import { Message, REACTION_USERS_POPULATE } from "../models/messages.model.js";
+import { findChannelForMember } from "./channelAccess.js";
+import { missingPermission, roleOf } from "./channelPermissions.js";
+
+// Where uploadFile stores attachments (relative to the server directory)
+const UPLOAD_ROOT = path.resolve("upload/files");
+
+// Default for DELETE_FOR_EVERYONE_WINDOW_MINUTES
+const DEFAULT_DELETE_WINDOW_MINUTES = 60;
+
+// Longest accepted reaction string; emoji with skin tones or ZWJ
+// sequences (e.g. families) take several code units
+const MAX_REACTION_LENGTH = 32;
+
+// Distinct emoji a single message can collect
+const MAX_REACTIONS_PER_MESSAGE = 50;
+
+/**
+ * Load a message the user is allowed to see
+ *
+ * @param {string} messageId - Message database ID (untrusted input)
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object>} { message, channel } or { status, msg }
+ * - channel: the message's channel (membership fields only), unset for DMs
+ * - 400: invalid message ID
+ * - 404: no such message
+ * - 403: the user is not in the DM, or not a member of the message's channel
+ */
+const findVisibleMessage = async (messageId , userId) => {
+    if(!mongoose.isValidObjectId(messageId)){
+        return {status : 400 , msg : "A valid message ID is required"};
+    }
+
+    const message = await Message.findById(messageId);
+    if(!message){
+        return {status : 404 , msg : "Message not found"};
+    }
+
+    if(message.channel){
+        // Users who left a channel can no longer touch what was posted there
+        const access = await findChannelForMember(message.channel.toString() , userId , "_id");
+        if(!access.channel){
+            return {status : access.status , msg : access.msg};
+        }
+        return {message , channel : access.channel};
+    }
+
+    if(![message.sender , message.receiver].some((id) => id?.toString() === userId.toString())){
+        return {status : 403 , msg : "You are not part of this conversation"};
+    }
+
+    return {message};
+}
+
+/**
+ * Load a message the user is allowed to modify (visible and authored by them)
+ *
+ * @param {string} messageId - Message database ID (untrusted input)
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object>} { message } or { status, msg } as findVisibleMessage,
+ * plus 403 when the user is not the author
+ */
+const findOwnMessage = async (messageId , userId) => {
+    const found = await findVisibleMessage(messageId , userId);
+    if(!found.message) return found;
+
+    if(found.message.sender.toString() !== userId.toString()){
+        return {status : 403 , msg : "You can only change your own messages"};
+    }
+
+    return found;
+}
+
+/**
+ * Fields clients need to update an edited message in place
+ *
+ * @param {Object} message - Edited message document
+ * @returns {Object} Payload of the "messageEdited" event
+ */
+export const messageEditedPayload = (message) => ({
+    _id : message._id,
+    channelId : message.channel,
+    content : message.content,
+    editedAt : message.editedAt,
+    editHistory : message.editHistory,
+});
+
+/**
+ * Replace the content of a text message, keeping the previous revision
+ *
+ * The update only applies if the content is still what we read, so two
+ * concurrent edits cannot both claim to have replaced the same revision.
+ *
+ * @param {Object} params
+ * @param {string} params.messageId - Message to edit
+ * @param {string} params.userId - Authenticated user ID (must be the author)
+ * @param {string} params.content - New message text
+ * @returns {Promise<Object>} { message, changed } or { status, msg }
+ * - changed is false when the new content equals the current one
+ * - 403: not the author, or the author's channel role may not post
+ * - 409: the message was edited concurrently; the client should retry
+ */
+export const editMessage = async ({messageId , userId , content}) => {
+    if(typeof content !== "string" || !content.trim()){
+        return {status : 400 , msg : "Message content is required"};
+    }
+
+    const found = await findOwnMessage(messageId , userId);
+    if(!found.message) return found;
+
+    // Editing is posting: a user who may no longer post (e.g. made
+    // read-only) cannot rewrite what they posted before either
+    if(found.channel){
+        const missing = missingPermission(roleOf(found.channel , userId) , "postMessages");
+        if(missing) return missing;
+    }
+
+    const {message} = found;
+
+    if(message.deletedAt){
+        return {status : 400 , msg : "Deleted messages cannot be edited"};
+    }
+
+    if(message.messageType !== "text"){
+        return {status : 400 , msg : "Only text messages can be edited"};
+    }
+
+    if(message.content === content){
+        return {message , changed : false};
+    }
+
+    const edited = await Message.findOneAndUpdate(
+        {_id : message._id , content : message.content},
+        {
+            $set : {content , editedAt : new Date()},
+            $push : {editHistory : {
+                content : message.content,
+                timeStamp : message.editedAt ?? message.timeStamp,
+            }},
+        },
+        {new : true},
+    );
+
+    if(!edited){
+        return {status : 409 , msg : "The message was changed in the meantime, please try again"};
+    }
+
+    return {message : edited , changed : true};
+}
+
+// =====================================
+// REPLIES
+// =====================================
+
+/**
+ * Check the message a new message replies to
+ *
+ * The target must exist, must not be deleted for everyone, and must
+ * belong to the same conversation as the new message: the same channel,
+ * or a DM between the same two users (in either direction).
+ *
+ * @param {Object} params
+ * @param {string} [params.replyTo] - ID of the quoted message, if any
+ * @param {string} params.sender - Author of the new message
+ * @param {string} [params.receiver] - Receiver of a new direct message
+ * @param {string} [params.channel] - Channel of a new channel message
+ * @returns {Promise<Object>} {} when there is no reply, { target } when valid, or { status, msg }
+ */
+export const findReplyTarget = async ({replyTo , sender , receiver , channel}) => {
+    if(!replyTo) return {};
+
+    if(!mongoose.isValidObjectId(replyTo)){
+        return {status : 400 , msg : "A valid message ID is required to reply"};
+    }
+
+    const target = await Message.findById(replyTo , "sender receiver channel messageType deletedAt");
+    if(!target){
+        return {status : 404 , msg : "The message you replied to no longer exists"};
+    }
+
+    if(target.deletedAt){
+        return {status : 400 , msg : "You cannot reply to a deleted message"};
+    }
+
+    if(target.messageType === "system"){
+        return {status : 400 , msg : "You cannot reply to a system message"};
+    }
+
+    const sameConversation = channel
+        ? target.channel?.toString() === channel.toString()
+        : !target.channel && [target.sender , target.receiver]
+            .map((id) => id?.toString())
+            .sort()
+            .join() === [sender , receiver].map((id) => id?.toString()).sort().join();
+
+    if(!sameConversation){
+        return {status : 400 , msg : "You can only reply to messages in the same conversation"};
+    }
+
+    return {target};
+}
+
+// =====================================
+// CHANNEL THREADS
+// =====================================
+
+/**
+ * Check the root of the thread a new channel message is posted in
+ *
+ * The root must exist in the same channel, must not itself be a thread
+ * reply (threads are one level deep) and must not be deleted for everyone.
+ *
+ * @param {Object} params
+ * @param {string} [params.threadRoot] - ID of the thread root, if any
+ * @param {string} params.channel - Channel of the new message
+ * @returns {Promise<Object>} {} when not in a thread, { root } when valid, or { status, msg }
+ */
+export const findThreadRoot = async ({threadRoot , channel}) => {
+    if(!threadRoot) return {};
+
+    if(!mongoose.isValidObjectId(threadRoot)){
+        return {status : 400 , msg : "A valid thread ID is required"};
+    }
+
+    const root = await Message.findById(threadRoot , "channel threadRoot messageType deletedAt");
+    if(!root){
+        return {status : 404 , msg : "This thread no longer exists"};
+    }
+
+    if(root.channel?.toString() !== channel.toString()){
+        return {status : 400 , msg : "This thread belongs to another conversation"};
+    }
+
+    if(root.threadRoot){
+        return {status : 400 , msg : "Replies cannot start threads of their own"};
+    }
+
+    if(root.deletedAt){
+        return {status : 400 , msg : "You cannot reply in the thread of a deleted message"};
+    }
+
+    if(root.messageType === "system"){
+        return {status : 400 , msg : "System messages cannot start threads"};
+    }
+
+    return {root};
+}
+
+/**
+ * Count a new reply on its thread root
+ *
+ * @param {string|ObjectId} rootId - Thread root message ID
+ * @param {Object} reply - The reply that was just created
+ * @returns {Promise<Object>} Root summary { _id, threadReplyCount, threadLastReplyAt }
+ */
+export const recordThreadReply = async (rootId , reply) => {
+    const root = await Message.findByIdAndUpdate(
+        rootId,
+        {
+            $inc : {threadReplyCount : 1},
+            $max : {threadLastReplyAt : reply.timeStamp},
+        },
+        {new : true , projection : "threadReplyCount threadLastReplyAt"},
+    );
+
+    return {
+        _id : root._id,
+        threadReplyCount : root.threadReplyCount,
+        threadLastReplyAt : root.threadLastReplyAt,
+    };
+}
+
+// =====================================
+// REACTIONS
+// =====================================
+
+/**
+ * Payload of the "messageReactionsUpdated" event
+ *
+ * @param {Object} message - Message document with reactions.users populated
+ * @returns {Object} { _id, channelId, reactions }
+ */
+export const messageReactionsPayload = (message) => ({
+    _id : message._id,
+    channelId : message.channel,
+    reactions : message.reactions,
+});
+
+/**
+ * Add the user's reaction with an emoji, or take it back if already there
+ *
+ * Each change is a single conditional update, so concurrent toggles by
+ * different users do not overwrite each other's reactions.
+ *
+ * @param {Object} params
+ * @param {string} params.messageId - Message to react to
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} params.emoji - Emoji to toggle
+ * @returns {Promise<Object>} { message, reacted } or { status, msg }
+ * - message has reactions.users populated (see REACTION_USERS_POPULATE)
+ * - reacted is true when the reaction was added, false when removed
+ */
+export const toggleReaction = async ({messageId , userId , emoji}) => {
+    if(typeof emoji !== "string" || !emoji.trim() || emoji.length > MAX_REACTION_LENGTH){
+        return {status : 400 , msg : "A valid emoji is required"};
+    }
+
+    const found = await findVisibleMessage(messageId , userId);
+    if(!found.message) return found;
+
+    const {message} = found;
+
+    if(message.deletedAt){
+        return {status : 400 , msg : "You cannot react to a deleted message"};
+    }
+
+    if(message.messageType === "system"){
+        return {status : 400 , msg : "You cannot react to a system message"};
+    }
+
+    const existing = message.reactions.find((reaction) => reaction.emoji === emoji);
+    const reacted = !existing?.users.some((id) => id.toString() === userId.toString());
+
+    if(!reacted){
+        await Message.updateOne(
+            {_id : message._id , "reactions.emoji" : emoji},
+            {$pull : {"reactions.$.users" : userId}},
+        );
+        // The last user took it back: drop the empty entry
+        await Message.updateOne(
+            {_id : message._id},
+            {$pull : {reactions : {emoji , users : {$size : 0}}}},
+        );
+    }else{
+        const added = await Message.updateOne(
+            {_id : message._id , "reactions.emoji" : emoji},
+            {$addToSet : {"reactions.$.users" : userId}},
+        );
+
+        // First reaction with this emoji; the filter keeps a concurrent
+        // first reaction from creating a second entry for it
+        if(added.matchedCount === 0){
+            const created = await Message.updateOne(
+                {
+                    _id : message._id,
+                    "reactions.emoji" : {$ne : emoji},
+                    [`reactions.${MAX_REACTIONS_PER_MESSAGE - 1}`] : {$exists : false},
+                },
+                {$push : {reactions : {emoji , users : [userId]}}},
+            );
+
+            if(created.matchedCount === 0){
+                // Either someone else just created the entry, or the message is full
+                const retried = await Message.updateOne(
+                    {_id : message._id , "reactions.emoji" : emoji},
+                    {$addToSet : {"reactions.$.users" : userId}},
+                );
+                if(retried.matchedCount === 0){
+                    return {status : 400 , msg : `A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions`};
+                }
+            }
+        }
+    }
+
+    const updated = await Message.findById(message._id).populate(REACTION_USERS_POPULATE);
+
+    return {message : updated , reacted};
+}
+
+// =====================================
+// PINS
+// =====================================
+
+/**
+ * Payload of the "messagePinned" event
+ *
+ * @param {Object} message - Message document
+ * @returns {Object} { _id, channelId, pinnedAt, pinnedBy } (both unset when unpinned)
+ */
+export const messagePinnedPayload = (message) => ({
+    _id : message._id,
+    channelId : message.channel,
+    pinnedAt : message.pinnedAt,
+    pinnedBy : message.pinnedBy,
+});
+
+/**
+ * Pin a channel message, or unpin it
+ *
+ * @param {Object} params
+ * @param {string} params.messageId - Message to pin or unpin
+ * @param {string} params.userId - Authenticated user ID
+ * @param {boolean} params.pinned - true to pin, false to unpin
+ * @returns {Promise<Object>} { message, changed } or { status, msg }
+ * - changed is false when the message already was (or was not) pinned
+ * - 400: a direct, deleted or system message
+ * - 403: the user's channel role may not pin
+ */
+export const setMessagePinned = async ({messageId , userId , pinned}) => {
+    if(typeof pinned !== "boolean"){
+        return {status : 400 , msg : "pinned must be true or false"};
+    }
+
+    const found = await findVisibleMessage(messageId , userId);
+    if(!found.message) return found;
+
+    const {message} = found;
+
+    if(!found.channel){
+        return {status : 400 , msg : "Only channel messages can be pinned"};
+    }
+
+    const missing = missingPermission(roleOf(found.channel , userId) , "pinMessages");
+    if(missing) return missing;
+
+    if(pinned && (message.deletedAt || message.messageType === "system")){
+        return {status : 400 , msg : "This message cannot be pinned"};
+    }
+
+    if(Boolean(message.pinnedAt) === pinned){
+        return {message , changed : false};
+    }
+
+    const updated = await Message.findByIdAndUpdate(
+        message._id,
+        pinned
+            ? {$set : {pinnedAt : new Date() , pinnedBy : userId}}
+            : {$unset : {pinnedAt : "" , pinnedBy : ""}},
+        {new : true},
+    );
+
+    return {message : updated , changed : true};
+}
+
+// =====================================
+// MESSAGE DELETION
+// =====================================
+
+/**
+ * How long after sending an author may still delete a message for everyone
+ * Read on every call because .env is loaded after modules are imported
+ *
+ * @returns {number} Window in minutes (DELETE_FOR_EVERYONE_WINDOW_MINUTES, default 60)
+ */
+export const deleteForEveryoneWindowMinutes = () => {
+    const minutes = Number(process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_DELETE_WINDOW_MINUTES;
+}
+
+/**
+ * Delete an attachment uploaded by uploadFile, and its folder once empty
+ *
+ * Only paths inside upload/files are touched, whatever the stored fileUrl
+ * says. A file that is already gone is not an error.
+ *
+ * @param {string} fileUrl - Stored path, e.g. "upload/files/2025-07-08-10-30-45/report.pdf"
+ */
+const removeUploadedFile = async (fileUrl) => {
+    const filePath = path.resolve(fileUrl);
+    if(!filePath.startsWith(UPLOAD_ROOT + path.sep)) return;
+
+    try{
+        await unlink(filePath);
+    }catch(error){
+        if(error.code !== "ENOENT") throw error;
+    }
+
+    // Each upload gets its own timestamped folder; drop it when empty
+    const folder = path.dirname(filePath);
+    if(folder !== UPLOAD_ROOT && (await readdir(folder).catch(() => ["keep"])).length === 0){
+        await rmdir(folder).catch(() => {});
+    }
+}
+
+/**
+ * Payload of the "messageDeleted" event
+ *
+ * @param {Object} message - Deleted message document
+ * @param {string} scope - "me" or "everyone"
+ * @returns {Object} { _id, channelId, scope, deletedAt }
+ */
+export const messageDeletedPayload = (message , scope) => ({
+    _id : message._id,
+    channelId : message.channel,
+    scope,
+    deletedAt : message.deletedAt,
+});
+
+/**
+ * Delete a message for the user only, or for everyone
+ *
+ * - "me": any participant hides the message from their own history
+ * - "everyone": the author replaces the message with a tombstone within
+ *   the configured window; the attachment file is removed from disk and
+ *   a pin is dropped.
+ *   In channels, roles with deleteOthersMessages (moderators and up) may
+ *   do this to anyone's message, at any time
+ *
+ * @param {Object} params
+ * @param {string} params.messageId - Message to delete
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} params.scope - "me" or "everyone"
+ * @returns {Promise<Object>} { message } or { status, msg }
+ */
+export const deleteMessage = async ({messageId , userId , scope}) => {
+    if(scope !== "me" && scope !== "everyone"){
+        return {status : 400 , msg : 'scope must be "me" or "everyone"'};
+    }
+
+    const found = await findVisibleMessage(messageId , userId);
+    if(!found.message) return found;
+
+    const {message} = found;
+
+    // Moderation: removing someone else's channel message
+    const moderating = scope === "everyone" && message.sender.toString() !== userId.toString();
+    if(moderating){
+        if(!found.channel){
+            return {status : 403 , msg : "You can only change your own messages"};
+        }
+        const missing = missingPermission(roleOf(found.channel , userId) , "deleteOthersMessages");
+        if(missing) return missing;
+    }
+
+    if(scope === "me"){
+        const updated = await Message.findByIdAndUpdate(
+            message._id,
+            {$addToSet : {deletedFor : userId}},
+            {new : true},
+        );
+        return {message : updated};
+    }
+
+    if(message.deletedAt){
+        return {message};
+    }
+
+    // Membership notices belong to the channel's record, not their sender
+    if(message.messageType === "system"){
+        return {status : 403 , msg : "System messages can only be deleted for yourself"};
+    }
+
+    const windowMinutes = deleteForEveryoneWindowMinutes();
+    if(!moderating && Date.now() - message.timeStamp.getTime() > windowMinutes * 60 * 1000){
+        return {status : 403 , msg : `Messages can only be deleted for everyone within ${windowMinutes} minutes of sending`};
+    }
+
+    const updated = await Message.findByIdAndUpdate(
+        message._id,
+        {
+            $set : {deletedAt : new Date() , editHistory : [] , reactions : []},
+            $unset : {content : "" , fileUrl : "" , pinnedAt : "" , pinnedBy : ""},
+        },
+        {new : true},
+    );
+
+    // fileUrl comes from the client, so another message may point at the
+    // same file; keep it on disk while anything still references it
+    if(message.fileUrl && !(await Message.exists({fileUrl : message.fileUrl}))){
+        await removeUploadedFile(message.fileUrl).catch((error) => console.log({error}));
+    }
+
+    return {message : updated};
+}
@@ -0,0 +1,43 @@
+// =====================================
+// MESSAGE PREVIEW - LAST-MESSAGE SNIPPETS FOR CONVERSATION LISTS
+// =====================================
+// The contacts and channel lists show a one-line snippet of each
+// conversation's latest message. The snippet is built here, both for the
+// list endpoints and for live messages, so the sidebar reads the same
+// whether it was just loaded or updated over the socket.
+
+// Longest text excerpt, in characters
+const PREVIEW_LENGTH = 80;
+
+/**
+ * Fields of the latest message the list aggregations keep
+ * Use as the value of a $first accumulator after sorting newest first.
+ */
+export const PREVIEW_SOURCE_FIELDS = {
+    sender : "$sender",
+    messageType : "$messageType",
+    content : "$content",
+    fileUrl : "$fileUrl",
+    deletedAt : "$deletedAt",
+};
+
+/**
+ * One-line snippet of a message
+ *
+ * @param {Object} message - Message with messageType, content, fileUrl, deletedAt
+ * @returns {string} Text excerpt, "📎 <file name>", or a deletion notice
+ */
+export const messagePreview = (message) => {
+    if(!message) return "";
+
+    if(message.deletedAt){
+        return "This message was deleted";
+    }
+
+    if(message.messageType === "file"){
+        return `📎 ${message.fileUrl?.split("/").pop() ?? "file"}`;
+    }
+
+    const text = (message.content ?? "").replace(/\s+/g , " ").trim();
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0 , PREVIEW_LENGTH - 1)}…` : text;
+}
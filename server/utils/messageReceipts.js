@@ -0,0 +1,230 @@
+// =====================================
+// MESSAGE RECEIPTS - DELIVERY AND READ STATUS
+// =====================================
+// Direct messages record when the receiver's client got them (deliveredAt)
+// and when the receiver saw them (readAt). Channel messages have many
+// readers, so each one is listed in readBy instead.
+//
+// Like messageActions, every function resolves to a result (or
+// { status, msg }) and leaves broadcasting to the caller. Results carry
+// the IDs of the messages that changed, so callers only notify senders
+// about real changes and re-sent receipts cost nothing.
+
+import mongoose from "mongoose";
+import { Message } from "../models/messages.model.js";
+import { findChannelForMember } from "./channelAccess.js";
+
+// Most messages one read marks (and broadcasts); older unread ones then
+// count as read through the user's newest read mark
+const MAX_READ_BATCH = 200;
+
+// Most direct messages one connect marks as delivered (and broadcasts),
+// and how far back it looks; older ones (e.g. from before receipts
+// existed) are left as they are
+const MAX_DELIVERY_BATCH = 200;
+const MAX_DELIVERY_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Group message IDs by their sender
+ *
+ * @param {Array<Object>} messages - Lean messages with _id and sender
+ * @returns {Array<Object>} [{ sender, messageIds }]
+ */
+const groupBySender = (messages) => {
+    const groups = new Map();
+
+    for(const message of messages){
+        const sender = message.sender.toString();
+        if(!groups.has(sender)){
+            groups.set(sender , {sender , messageIds : []});
+        }
+        groups.get(sender).messageIds.push(message._id);
+    }
+
+    return [...groups.values()];
+}
+
+/**
+ * Mark one direct message as delivered to its receiver
+ *
+ * Called when the receiver's client acknowledges a "recieveMessage".
+ *
+ * @param {Object} params
+ * @param {string} params.messageId - Message the client received (untrusted input)
+ * @param {string} params.userId - Authenticated user ID (must be the receiver)
+ * @returns {Promise<Object>} { delivered } or { status, msg }
+ * - delivered is { sender, messageIds, deliveredAt }, or null when the
+ *   message was already marked (nothing to broadcast)
+ */
+export const markDelivered = async ({messageId , userId}) => {
+    if(!mongoose.isValidObjectId(messageId)){
+        return {status : 400 , msg : "A valid message ID is required"};
+    }
+
+    const deliveredAt = new Date();
+    const message = await Message.findOneAndUpdate(
+        {_id : messageId , receiver : userId , deliveredAt : null},
+        {$set : {deliveredAt}},
+        {projection : "sender"},
+    );
+
+    if(!message){
+        return {delivered : null};
+    }
+
+    return {delivered : {sender : message.sender.toString() , messageIds : [message._id] , deliveredAt}};
+}
+
+/**
+ * Mark the direct messages still waiting for this user as delivered
+ *
+ * Run when a user connects: whatever was sent while they were offline
+ * has now reached a client (it loads with the chat history). Only the
+ * last MAX_DELIVERY_AGE_MS are considered, at most MAX_DELIVERY_BATCH
+ * (newest first), so a first connect does not mark a whole history.
+ *
+ * @param {string} userId - User who just connected
+ * @returns {Promise<Array<Object>>} [{ sender, messageIds, deliveredAt }], one per sender
+ */
+export const markPendingDelivered = async (userId) => {
+    const pending = await Message.find(
+        {
+            receiver : userId,
+            deliveredAt : null,
+            timeStamp : {$gte : new Date(Date.now() - MAX_DELIVERY_AGE_MS)},
+        },
+        "_id sender",
+    )
+        .sort({timeStamp : -1})
+        .limit(MAX_DELIVERY_BATCH)
+        .lean();
+
+    if(pending.length === 0) return [];
+
+    const deliveredAt = new Date();
+    await Message.updateMany(
+        {_id : {$in : pending.map((message) => message._id)} , deliveredAt : null},
+        {$set : {deliveredAt}},
+    );
+
+    return groupBySender(pending).map((group) => ({...group , deliveredAt}));
+}
+
+/**
+ * Mark a conversation as read by the user up to (and including) a message
+ *
+ * - DM: messages the other participant sent to the user get readAt (and
+ *   deliveredAt, if the delivery receipt never arrived)
+ * - Channel: messages by other members get a readBy entry for the user;
+ *   a message inside a thread marks that thread, otherwise the main stream.
+ * 
+ * Either way, only messages after the latest one the user read in that
+ * conversation are marked, at most MAX_READ_BATCH (newest first); older
+ * ones already count as read (see getContactsForDMList and
+ * getUserChannels), so a first read of a long history does not touch all
+ * of it. The user's own posts are not read marks: a message they replied
+ * to without opening the chat still gets its receipt
+ *
+ * @param {Object} params
+ * @param {string} params.messageId - Newest message the user has seen (untrusted input)
+ * @param {string} params.userId - Authenticated user ID
+ * @returns {Promise<Object>} { read } or { status, msg }
+ * - DM: read is { sender, messageIds, readAt }
+ * - Channel: read is { channelId, messageIds, readBy: { user, readAt } }
+ * - messageIds is empty when everything was already read
+ */
+export const markConversationRead = async ({messageId , userId}) => {
+    if(!mongoose.isValidObjectId(messageId)){
+        return {status : 400 , msg : "A valid message ID is required"};
+    }
+
+    const upTo = await Message.findById(messageId , "sender receiver channel threadRoot timeStamp");
+    if(!upTo){
+        return {status : 404 , msg : "Message not found"};
+    }
+
+    const readAt = new Date();
+
+    if(upTo.channel){
+        const access = await findChannelForMember(upTo.channel.toString() , userId , "_id");
+        if(!access.channel){
+            return {status : access.status , msg : access.msg};
+        }
+
+        const stream = {channel : upTo.channel , threadRoot : upTo.threadRoot ?? null};
+
+        // The user's read mark: the latest post they read
+        const lastRead = await Message.findOne({...stream , "readBy.user" : userId} , "timeStamp")
+            .sort({timeStamp : -1})
+            .lean();
+        const since = lastRead?.timeStamp ?? 0;
+
+        const filter = {
+            ...stream,
+            timeStamp : {$gt : new Date(since) , $lte : upTo.timeStamp},
+            sender : {$ne : userId},
+            "readBy.user" : {$ne : userId},
+        };
+        const unread = await Message.find(filter , "_id")
+            .sort({timeStamp : -1})
+            .limit(MAX_READ_BATCH)
+            .lean();
+
+        if(unread.length > 0){
+            await Message.updateMany(
+                {...filter , _id : {$in : unread.map((message) => message._id)}},
+                {$push : {readBy : {user : userId , readAt}}},
+            );
+        }
+
+        return {read : {
+            channelId : upTo.channel.toString(),
+            messageIds : unread.map((message) => message._id),
+            readBy : {user : userId , readAt},
+        }};
+    }
+
+    // Direct message: the other participant is whoever is not the reader
+    const participants = [upTo.sender , upTo.receiver].map((id) => id?.toString());
+    if(!participants.includes(userId.toString())){
+        return {status : 403 , msg : "You are not part of this conversation"};
+    }
+    const otherUser = participants.find((id) => id !== userId.toString()) ?? userId.toString();
+
+    // The user's read mark: the latest message from the other user they read
+    const lastRead = await Message.findOne({sender : otherUser , receiver : userId , channel : null , readAt : {$ne : null}} , "timeStamp")
+        .sort({timeStamp : -1})
+        .lean();
+    const since = lastRead?.timeStamp ?? 0;
+
+    const filter = {
+        sender : otherUser,
+        receiver : userId,
+        channel : null,
+        timeStamp : {$gt : new Date(since) , $lte : upTo.timeStamp},
+        readAt : null,
+    };
+    const unread = await Message.find(filter , "_id")
+        .sort({timeStamp : -1})
+        .limit(MAX_READ_BATCH)
+        .lean();
+
+    if(unread.length > 0){
+        const ids = unread.map((message) => message._id);
+        // A message can be read before its delivery receipt arrives
+        await Message.updateMany(
+            {_id : {$in : ids} , deliveredAt : null},
+            {$set : {deliveredAt : readAt}},
+        );
+        await Message.updateMany(
+            {_id : {$in : ids} , readAt : null},
+            {$set : {readAt}},
+        );
+    }
+
+    return {read : {
+        sender : otherUser,
+        messageIds : unread.map((message) => message._id),
+        readAt,
+    }};
+}
@@ -0,0 +1,240 @@
+// =====================================
+// MESSAGE SEARCH - FULL-TEXT SEARCH OVER A USER'S CONVERSATIONS
+// =====================================
+// Searches message text (and attachment file names) with the messages
+// text index. Results are always limited to conversations the user is part
+// of: their own DMs and the channels they are a member or admin of.
+//
+// Hits are returned newest first and paged with the same opaque cursors as
+// message history (see pagination.js). Each hit carries a short snippet of
+// the text around the first match, with the ranges of every matched term
+// so clients can highlight them without rendering server HTML.
+
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+import { Message } from "../models/messages.model.js";
+import { decodeCursor, encodeCursor } from "./pagination.js";
+
+export const DEFAULT_SEARCH_PAGE_SIZE = 20;
+export const MAX_SEARCH_PAGE_SIZE = 50;
+
+// Longest accepted search query, in characters
+const MAX_QUERY_LENGTH = 200;
+
+// Characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 60;
+
+const USER_FIELDS = "firstName lastName colorTheme imageURL email";
+
+/**
+ * Terms of a search query worth highlighting
+ * Quoted phrases stay whole; negated terms ("-word") are left out
+ *
+ * @param {string} query - Search query as typed
+ * @returns {Array<string>} Lower-cased terms, longest first
+ */
+const highlightTerms = (query) => {
+    const terms = (query.match(/"[^"]+"|\S+/g) ?? [])
+        .filter((term) => !term.startsWith("-"))
+        .map((term) => term.replace(/"/g , "").trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(terms)].sort((a , b) => b.length - a.length);
+}
+
+/**
+ * Excerpt of a text around the first occurrence of any term
+ *
+ * The text index matches stemmed words, so a hit may contain none of the
+ * terms literally; its snippet then starts at the beginning of the text.
+ *
+ * @param {string} text - Message content or file name
+ * @param {Array<string>} terms - Output of highlightTerms()
+ * @returns {Object} { snippet, highlights } - highlights are [start, end)
+ * ranges into snippet, sorted and non-overlapping
+ */
+export const buildSnippet = (text , terms) => {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0));
+
+    const start = Number.isFinite(first) ? Math.max(0 , first - SNIPPET_RADIUS) : 0;
+    const end = Math.min(text.length , start + 2 * SNIPPET_RADIUS + (Number.isFinite(first) ? 0 : SNIPPET_RADIUS));
+
+    const prefix = start > 0 ? "…" : "";
+    const snippet = `${prefix}${text.slice(start , end)}${end < text.length ? "…" : ""}`;
+
+    // Every occurrence of every term inside the excerpt
+    const excerpt = lower.slice(start , end);
+    const ranges = [];
+    for(const term of terms){
+        for(let index = excerpt.indexOf(term); index >= 0; index = excerpt.indexOf(term , index + term.length)){
+            ranges.push([index + prefix.length , index + prefix.length + term.length]);
+        }
+    }
+
+    // Longer terms were added first, so overlapping shorter ones are dropped
+    const highlights = [];
+    for(const range of ranges.sort((a , b) => a[0] - b[0])){
+        const last = highlights[highlights.length - 1];
+        if(last && range[0] < last[1]) continue;
+        highlights.push(range);
+    }
+
+    return {snippet , highlights};
+}
+
+/**
+ * Parse an optional date filter
+ *
+ * @param {*} value - Date string or timestamp (untrusted input)
+ * @returns {Date|undefined|null} undefined when absent, null when invalid
+ */
+const parseDate = (value) => {
+    if(value === undefined || value === null || value === "") return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Search the messages of every conversation the user is part of
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} [params.query] - Words or "quoted phrases"; required unless hasFile
+ * @param {string} [params.conversation] - Only this channel, or the DM with this user
+ * @param {string} [params.sender] - Only messages sent by this user
+ * @param {string} [params.from] - Only messages sent at or after this time
+ * @param {string} [params.to] - Only messages sent at or before this time
+ * @param {boolean} [params.hasFile] - Only messages with an attachment
+ * @param {string} [params.before] - nextCursor of the previous page
+ * @param {number|string} [params.limit] - Page size (default 20, max 50)
+ * @returns {Promise<Object>} { results, hasMore, nextCursor } or { status, msg }
+ * - results: newest first; each hit has sender, receiver (DMs) and
+ *   channel ({ _id, name }) populated, plus snippet and highlights
+ */
+export const searchMessages = async ({userId , query , conversation , sender , from , to , hasFile , before , limit}) => {
+    // =====================================
+    // INPUT VALIDATION
+    // =====================================
+
+    const text = typeof query === "string" ? query.trim() : "";
+    if(text.length > MAX_QUERY_LENGTH){
+        return {status : 400 , msg : `Search queries are limited to ${MAX_QUERY_LENGTH} characters`};
+    }
+    if(!text && hasFile !== true){
+        return {status : 400 , msg : "A search query is required"};
+    }
+
+    if(conversation && !mongoose.isValidObjectId(conversation)){
+        return {status : 400 , msg : "Invalid conversation ID"};
+    }
+    if(sender && !mongoose.isValidObjectId(sender)){
+        return {status : 400 , msg : "Invalid sender ID"};
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if(fromDate === null || toDate === null){
+        return {status : 400 , msg : "from and to must be valid dates"};
+    }
+
+    const cursor = before ? decodeCursor(before) : null;
+    if(before && !cursor){
+        return {status : 400 , msg : "Invalid cursor"};
+    }
+
+    let pageSize = DEFAULT_SEARCH_PAGE_SIZE;
+    if(limit !== undefined && limit !== null && limit !== ""){
+        pageSize = Number(limit);
+        if(!Number.isInteger(pageSize) || pageSize < 1){
+            return {status : 400 , msg : "limit must be a positive integer"};
+        }
+        pageSize = Math.min(pageSize , MAX_SEARCH_PAGE_SIZE);
+    }
+
+    // =====================================
+    // CONVERSATION SCOPE
+    // =====================================
+
+    const channelIds = (await Channel.find({$or : [{admin : userId} , {members : userId}]} , "_id").lean())
+        .map((channel) => channel._id);
+
+    let scope;
+    if(!conversation){
+        scope = {$or : [
+            {channel : null , $or : [{sender : userId} , {receiver : userId}]},
+            {channel : {$in : channelIds}},
+        ]};
+    }else if(channelIds.some((id) => id.equals(conversation))){
+        scope = {channel : conversation};
+    }else{
+        // Not one of the user's channels, so a DM partner (an unknown ID
+        // simply matches nothing)
+        scope = {channel : null , $or : [
+            {sender : userId , receiver : conversation},
+            {sender : conversation , receiver : userId},
+        ]};
+    }
+
+    const conditions = [scope , {deletedFor : {$ne : userId} , deletedAt : null}];
+    if(sender) conditions.push({sender});
+    if(hasFile === true) conditions.push({messageType : "file"});
+    if(fromDate || toDate){
+        conditions.push({timeStamp : {
+            ...(fromDate && {$gte : fromDate}),
+            ...(toDate && {$lte : toDate}),
+        }});
+    }
+    if(cursor){
+        conditions.push({$or : [
+            {timeStamp : {$lt : cursor.timeStamp}},
+            {timeStamp : cursor.timeStamp , _id : {$lt : cursor.id}},
+        ]});
+    }
+
+    // =====================================
+    // QUERY
+    // =====================================
+
+    // $text must sit at the top level of the filter, next to the $and
+    const filter = {$and : conditions};
+    if(text){
+        filter.$text = {$search : text};
+    }
+
+    const found = await Message.find(filter)
+        .sort({timeStamp : -1 , _id : -1})
+        .limit(pageSize + 1)
+        .populate("sender" , USER_FIELDS)
+        .populate("receiver" , USER_FIELDS)
+        .populate("channel" , "name")
+        .lean();
+
+    const hasMore = found.length > pageSize;
+    const page = found.slice(0 , pageSize);
+    const terms = highlightTerms(text);
+
+    const results = page.map((message) => {
+        const source = message.messageType === "file"
+            ? message.fileUrl?.split("/").pop() ?? ""
+            : message.content ?? "";
+
+        return {
+            _id : message._id,
+            timeStamp : message.timeStamp,
+            messageType : message.messageType,
+            fileUrl : message.fileUrl,
+            sender : message.sender,
+            receiver : message.receiver,
+            channel : message.channel,
+            threadRoot : message.threadRoot,
+            ...buildSnippet(source , terms),
+        };
+    });
+
+    return {
+        results,
+        hasMore,
+        nextCursor : hasMore ? encodeCursor(page[page.length - 1]) : null,
+    };
+}
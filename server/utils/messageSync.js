@@ -0,0 +1,146 @@
+// =====================================
+// MESSAGE SYNC - CATCH-UP AFTER A DROPPED CONNECTION
+// =====================================
+// Socket events are fire-and-forget: a message broadcast while a client's
+// connection was down never reaches it. On reconnect the client asks for
+// everything newer than the last message it saw, across all of its DMs and
+// channels, and feeds the result through its usual live-message handlers.
+//
+// Messages come back shaped like the live events ("recieveMessage",
+// "recieveChannelMessage", "recieveThreadMessage"), so clients need no
+// second code path to merge them.
+
+import mongoose from "mongoose";
+import Channel from "../models/channel.model.js";
+import { Message, REACTION_USERS_POPULATE, REPLY_PREVIEW_POPULATE } from "../models/messages.model.js";
+import { messagePreview } from "./messagePreview.js";
+import { decodeCursor, findMessagePage } from "./pagination.js";
+
+// Most messages returned per sync page
+export const SYNC_PAGE_SIZE = 200;
+
+// Furthest back a sync may reach; older gaps are better served by
+// reloading the conversation lists and history
+const MAX_SYNC_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const USER_FIELDS = "firstName lastName colorTheme imageURL email";
+
+/**
+ * Parse the client's per-conversation watermarks
+ *
+ * @param {*} conversations - { <contact or channel ID>: <timestamp> } (untrusted input)
+ * @returns {Map<string, number>|null} Timestamps in ms by conversation ID, or null if malformed
+ */
+const parseConversations = (conversations) => {
+    if(conversations === undefined || conversations === null) return new Map();
+    if(typeof conversations !== "object" || Array.isArray(conversations)) return null;
+
+    const watermarks = new Map();
+    for(const [chatId , time] of Object.entries(conversations)){
+        const ms = new Date(time).getTime();
+        if(!mongoose.isValidObjectId(chatId) || Number.isNaN(ms)) return null;
+        watermarks.set(chatId , ms);
+    }
+    return watermarks;
+}
+
+/**
+ * Conversation a message belongs to, from the point of view of a user
+ *
+ * @param {Object} message - Message with sender/receiver populated
+ * @param {string} userId - Viewing user
+ * @returns {string} Channel ID, or the other participant's ID for a DM
+ */
+const conversationId = (message , userId) => {
+    if(message.channel) return message.channel.toString();
+
+    const sender = message.sender?._id?.toString();
+    return sender === userId.toString() ? message.receiver?._id?.toString() : sender;
+}
+
+/**
+ * Messages the user missed since a point in time
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} [params.since] - Timestamp of the newest message the client saw (untrusted input);
+ *   when omitted (the client has seen none), the sync starts MAX_SYNC_WINDOW_MS back
+ * @param {string} [params.after] - nextCursor of a previous sync page; replaces since
+ * @param {Object} [params.conversations] - { <contact or channel ID>: <timestamp> } of the
+ *   newest message seen in each conversation; older messages there are skipped
+ * @returns {Promise<Object>} { messages, hasMore, nextCursor } or { status, msg }
+ * - messages: oldest first; DMs with sender/receiver populated, channel
+ *   messages with channelId, thread replies also with a `thread` summary
+ *   of their root; every message has a `preview`
+ */
+export const findMissedMessages = async ({userId , since , after , conversations}) => {
+    const now = Date.now();
+    let cursor;
+    if(after){
+        cursor = decodeCursor(after);
+        if(!cursor){
+            return {status : 400 , msg : "Invalid cursor"};
+        }
+    }else{
+        // Clients pass a message time, never their own clock, so a wrong
+        // client clock cannot make the sync skip messages
+        const sinceTime = since === undefined
+            ? new Date(now - MAX_SYNC_WINDOW_MS)
+            : new Date(since ?? NaN);
+        if(Number.isNaN(sinceTime.getTime())){
+            return {status : 400 , msg : "since must be a valid timestamp"};
+        }
+        // The smallest ObjectId: messages sent in the same millisecond as
+        // `since` are included, the conversation watermarks weed out the seen ones
+        cursor = {timeStamp : sinceTime , id : new mongoose.Types.ObjectId("0".repeat(24))};
+    }
+
+    if(now - cursor.timeStamp.getTime() > MAX_SYNC_WINDOW_MS){
+        return {status : 400 , msg : "since is too far back; reload the conversations instead"};
+    }
+
+    const watermarks = parseConversations(conversations);
+    if(!watermarks){
+        return {status : 400 , msg : "conversations must map conversation IDs to timestamps"};
+    }
+
+    const channels = await Channel.find({$or : [{admin : userId} , {members : userId}]} , "_id").lean();
+
+    const page = await findMessagePage({
+        $or : [
+            {channel : null , $or : [{sender : userId} , {receiver : userId}]},
+            {channel : {$in : channels.map((channel) => channel._id)}},
+        ],
+        deletedFor : {$ne : userId},
+    } , {after : cursor , limit : SYNC_PAGE_SIZE} , {populate : [
+        {path : "sender" , select : USER_FIELDS},
+        {path : "receiver" , select : USER_FIELDS},
+        REPLY_PREVIEW_POPULATE,
+        REACTION_USERS_POPULATE,
+    ]});
+
+    const missed = page.messages.filter((message) => {
+        const seenUpTo = watermarks.get(conversationId(message , userId));
+        return seenUpTo === undefined || message.timeStamp.getTime() > seenUpTo;
+    });
+
+    // Current reply counts of the thread roots, as "recieveThreadMessage" carries them
+    const rootIds = [...new Set(missed.filter((message) => message.threadRoot).map((message) => message.threadRoot.toString()))];
+    const roots = rootIds.length
+        ? await Message.find({_id : {$in : rootIds}} , "threadReplyCount threadLastReplyAt").lean()
+        : [];
+    const threads = new Map(roots.map((root) => [root._id.toString() , root]));
+
+    const messages = missed.map((message) => {
+        const data = {...message.toObject() , preview : messagePreview(message)};
+        if(message.channel){
+            data.channelId = message.channel.toString();
+        }
+        if(message.threadRoot){
+            data.thread = threads.get(message.threadRoot.toString());
+        }
+        return data;
+    });
+
+    return {messages , hasMore : page.hasMore , nextCursor : page.nextCursor};
+}
@@ -0,0 +1,204 @@
+// =====================================
+// PAGINATION - CURSOR HELPERS FOR MESSAGE HISTORY
+// =====================================
+// Message history is paged with opaque cursors instead of skip/limit.
+// skip() gets slower the deeper you page and shifts under your feet when new
+// messages arrive; a cursor pins the page boundary to a specific message.
+//
+// Cursor format: "<timeStamp in ms>_<message _id>"
+// - timeStamp orders messages chronologically
+// - _id breaks ties between messages sent in the same millisecond
+//
+// Page semantics:
+// - no cursor      → the latest `limit` messages
+// - before=cursor  → the `limit` messages just older than the cursor
+// - after=cursor   → the `limit` messages just newer than the cursor
+// - around=id      → that message with up to `limit` messages on each side,
+//                    to open a conversation at a specific message (search
+//                    hits, reply quotes); paging continues with before= and
+//                    after= from the returned cursors
+// Every page is returned oldest first, ready to render top to bottom.
+
+import mongoose from "mongoose";
+import { Message } from "../models/messages.model.js";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Build the cursor pointing at a message
+ *
+ * @param {Object} message - Message document (needs _id and timeStamp)
+ * @returns {string} Opaque cursor string
+ */
+export const encodeCursor = (message) => `${new Date(message.timeStamp).getTime()}_${message._id}`;
+
+/**
+ * Parse a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor string from the client
+ * @returns {Object|null} { timeStamp: Date, id: ObjectId }, or null if malformed
+ */
+export const decodeCursor = (cursor) => {
+    if(typeof cursor !== "string") return null;
+
+    const [time , id] = cursor.split("_");
+    const timeStamp = new Date(Number(time));
+
+    if(!time || Number.isNaN(timeStamp.getTime()) || !mongoose.isValidObjectId(id)){
+        return null;
+    }
+
+    return {timeStamp , id : new mongoose.Types.ObjectId(id)};
+}
+
+/**
+ * Validate the paging parameters of a request
+ *
+ * @param {Object} params - Usually req.body or req.query
+ * @param {string} [params.before] - Cursor to page backwards from
+ * @param {string} [params.after] - Cursor to page forwards from
+ * @param {string} [params.around] - Message ID to center the page on
+ * @param {number|string} [params.limit] - Page size (1 to MAX_PAGE_SIZE)
+ * @returns {Object} { before, after, around, limit } with decoded cursors, or { error } with a message for a 400 response
+ */
+export const parsePageParams = ({before , after , around , limit} = {}) => {
+    if([before , after , around].filter(Boolean).length > 1){
+        return {error : "Use only one of before, after or around"};
+    }
+
+    if(around && !mongoose.isValidObjectId(around)){
+        return {error : "around must be a valid message ID"};
+    }
+
+    const cursor = before || after;
+    const decoded = cursor ? decodeCursor(cursor) : null;
+    if(cursor && !decoded){
+        return {error : "Invalid cursor"};
+    }
+
+    let pageSize = DEFAULT_PAGE_SIZE;
+    if(limit !== undefined && limit !== null && limit !== ""){
+        pageSize = Number(limit);
+        if(!Number.isInteger(pageSize) || pageSize < 1){
+            return {error : "limit must be a positive integer"};
+        }
+        pageSize = Math.min(pageSize , MAX_PAGE_SIZE);
+    }
+
+    return {
+        before : before ? decoded : undefined,
+        after : after ? decoded : undefined,
+        around : around ? new mongoose.Types.ObjectId(around) : undefined,
+        limit : pageSize,
+    };
+}
+
+/**
+ * Fetch the page before or after a cursor (or the latest page)
+ *
+ * Queries one message more than requested to learn whether another page
+ * exists without a separate count query.
+ *
+ * @param {Object} filter - Mongo filter selecting the conversation
+ * @param {Object} page - { before, after, limit } from parsePageParams()
+ * @param {Object} [options] - See findMessagePage()
+ * @returns {Promise<Object>} { messages, hasMore, nextCursor }
+ */
+const findLinearPage = async (filter , {before , after , limit} , {populate} = {}) => {
+    // Paging forwards walks up from the cursor, everything else walks down
+    const forwards = Boolean(after);
+    const cursor = after ?? before;
+    const direction = forwards ? 1 : -1;
+    const compare = forwards ? "$gt" : "$lt";
+
+    const conditions = [filter];
+    if(cursor){
+        conditions.push({
+            $or : [
+                {timeStamp : {[compare] : cursor.timeStamp}},
+                {timeStamp : cursor.timeStamp , _id : {[compare] : cursor.id}},
+            ]
+        });
+    }
+
+    let query = Message.find({$and : conditions})
+        .sort({timeStamp : direction , _id : direction})
+        .limit(limit + 1);
+
+    if(populate){
+        query = query.populate(populate);
+    }
+
+    const results = await query;
+    const hasMore = results.length > limit;
+    const messages = results.slice(0 , limit);
+
+    // Present every page oldest first
+    if(!forwards){
+        messages.reverse();
+    }
+
+    // The edge of the page farthest from the starting point
+    const edge = forwards ? messages[messages.length - 1] : messages[0];
+
+    return {
+        messages,
+        hasMore,
+        nextCursor : hasMore && edge ? encodeCursor(edge) : null,
+    };
+}
+
+/**
+ * Fetch a message with up to `limit` messages on each side of it
+ *
+ * @param {Object} filter - Mongo filter selecting the conversation
+ * @param {Object} page - { around, limit } from parsePageParams()
+ * @param {Object} [options] - See findMessagePage()
+ * @returns {Promise<Object>} See findMessagePage(); targetId is null when
+ * the message is not part of the filtered conversation
+ */
+const findPageAround = async (filter , {around , limit} , {populate} = {}) => {
+    let query = Message.findOne({$and : [filter , {_id : around}]});
+    if(populate){
+        query = query.populate(populate);
+    }
+
+    const target = await query;
+    if(!target){
+        return {messages : [] , hasMore : false , nextCursor : null , hasNewer : false , newerCursor : null , targetId : null};
+    }
+
+    const cursor = {timeStamp : target.timeStamp , id : target._id};
+    const [older , newer] = await Promise.all([
+        findLinearPage(filter , {before : cursor , limit} , {populate}),
+        findLinearPage(filter , {after : cursor , limit} , {populate}),
+    ]);
+
+    return {
+        messages : [...older.messages , target , ...newer.messages],
+        hasMore : older.hasMore,
+        nextCursor : older.nextCursor,
+        hasNewer : newer.hasMore,
+        newerCursor : newer.nextCursor,
+        targetId : target._id,
+    };
+}
+
+/**
+ * Fetch one page of messages matching a filter
+ *
+ * @param {Object} filter - Mongo filter selecting the conversation
+ * @param {Object} page - Output of parsePageParams()
+ * @param {Object} [options]
+ * @param {Object|string} [options.populate] - Passed to Query.populate()
+ * @returns {Promise<Object>} { messages, hasMore, nextCursor }
+ * - messages: oldest first
+ * - hasMore: whether more messages exist in the paging direction
+ *   (older ones for an `around` page)
+ * - nextCursor: cursor for the following page in the same direction (null when !hasMore)
+ * - around pages add hasNewer and newerCursor (pass as `after`) for the
+ *   newer side, and targetId (null if the message is not in the conversation)
+ */
+export const findMessagePage = async (filter , page , options) =>
+    page.around ? findPageAround(filter , page , options) : findLinearPage(filter , page , options);
@@ -0,0 +1,75 @@
+// =====================================
+// PRESENCE - WHO IS ONLINE, AWAY OR OFFLINE
+// =====================================
+// The presence store (adapters/presenceStore.js) knows which sockets are
+// open and which of them are away. This module decides whose presence a
+// user gets to watch and builds the snapshots sent to clients; socket.js
+// broadcasts the changes through presence rooms (see socketRooms.js).
+
+import Channel from "../models/channel.model.js";
+import { Message } from "../models/messages.model.js";
+import { User } from "../models/user.model.js";
+
+/**
+ * Users whose presence matters to a user: DM partners and channel co-members
+ *
+ * @param {string} userId - User who is watching
+ * @returns {Promise<Array<string>>} Distinct user IDs, without userId itself
+ */
+export const findContactIds = async (userId) => {
+    const [receivers , senders , channels] = await Promise.all([
+        Message.distinct("receiver" , {sender : userId , channel : null}),
+        Message.distinct("sender" , {receiver : userId , channel : null}),
+        Channel.find({$or : [{admin : userId} , {members : userId}]} , "members admin").lean(),
+    ]);
+
+    const ids = new Set([
+        ...receivers,
+        ...senders,
+        ...channels.flatMap((channel) => [...channel.members , ...channel.admin]),
+    ].filter(Boolean).map(String));
+    ids.delete(userId.toString());
+
+    return [...ids];
+}
+
+/**
+ * Whether two users have a direct message conversation
+ *
+ * @param {string} userId - One user
+ * @param {string} otherId - The other user
+ * @returns {Promise<boolean>} true when either has sent the other a DM
+ */
+export const haveDirectConversation = async (userId , otherId) => Boolean(await Message.exists({
+    channel : null,
+    $or : [
+        {sender : userId , receiver : otherId},
+        {sender : otherId , receiver : userId},
+    ],
+}));
+
+/**
+ * Current presence of several users
+ *
+ * @param {Object} presenceStore - Presence store of this server
+ * @param {Array<string>} userIds - Users to look up
+ * @returns {Promise<Array<Object>>} [{ userId, status, lastSeen }]
+ * - status: "online", "away" or "offline"
+ * - lastSeen: when the user was last connected (offline users only)
+ */
+export const presenceSnapshot = async (presenceStore , userIds) => {
+    if(userIds.length === 0) return [];
+
+    const [statuses , users] = await Promise.all([
+        Promise.all(userIds.map((userId) => presenceStore.getStatus(userId))),
+        User.find({_id : {$in : userIds}} , "lastSeen").lean(),
+    ]);
+
+    const lastSeenById = new Map(users.map((user) => [user._id.toString() , user.lastSeen]));
+
+    return userIds.map((userId , index) => ({
+        userId,
+        status : statuses[index],
+        lastSeen : statuses[index] === "offline" ? lastSeenById.get(userId) : undefined,
+    }));
+}
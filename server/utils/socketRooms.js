@@ -0,0 +1,101 @@
+// =====================================
+// SOCKET ROOMS - NAMING HELPERS FOR SOCKET.IO ROOMS
+// =====================================
+// Socket.IO rooms let us address a group of sockets by name instead of
+// tracking individual socket IDs. Every room name used by the server is
+// built here so socket.js and the controllers always agree on the format.
+
+/**
+ * Room containing every open socket of a single user
+ *
+ * Each browser tab / device joins its user's room on connect, so emitting
+ * to this room reaches all of the user's sessions at once.
+ *
+ * @param {string} userId - User database ID
+ * @returns {string} Room name, e.g. "user:65f0c..."
+ */
+export const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Room containing every open socket of every member of a channel
+ *
+ * Sockets join the rooms of their user's channels on connect and whenever
+ * channel membership changes, so a channel message is a single
+ * io.to(channelRoom(id)).emit() instead of a loop over members.
+ *
+ * @param {string} channelId - Channel database ID
+ * @returns {string} Room name, e.g. "channel:65f0c..."
+ */
+export const channelRoom = (channelId) => `channel:${channelId}`;
+
+/**
+ * Room of everyone watching a user's presence
+ *
+ * Sockets join the presence rooms of their user's contacts (DM partners
+ * and channel co-members) on connect, so a status change is one emit.
+ *
+ * @param {string} userId - User whose presence is watched
+ * @returns {string} Room name, e.g. "presence:65f0c..."
+ */
+export const presenceRoom = (userId) => `presence:${userId}`;
+
+/**
+ * Add all open sockets of the given users to a channel room
+ *
+ * Used when a channel is created or gains members while those users are
+ * already connected. Users who are offline join on their next connect.
+ *
+ * @param {Server} io - Socket.IO server instance
+ * @param {Array<string|ObjectId>} userIds - Users whose sockets should join
+ * @param {string|ObjectId} channelId - Channel whose room they join
+ */
+export const joinUsersToChannelRoom = (io , userIds , channelId) => {
+    const rooms = userIds.map((userId) => userRoom(userId.toString()));
+    if(rooms.length === 0) return;
+
+    io.in(rooms).socketsJoin(channelRoom(channelId.toString()));
+};
+
+/**
+ * Remove all open sockets of the given users from a channel room
+ *
+ * Counterpart of joinUsersToChannelRoom for users who left or were
+ * removed from a channel, so they stop receiving its messages at once.
+ *
+ * @param {Server} io - Socket.IO server instance
+ * @param {Array<string|ObjectId>} userIds - Users whose sockets should leave
+ * @param {string|ObjectId} channelId - Channel whose room they leave
+ */
+export const removeUsersFromChannelRoom = (io , userIds , channelId) => {
+    const rooms = userIds.map((userId) => userRoom(userId.toString()));
+    if(rooms.length === 0) return;
+
+    io.in(rooms).socketsLeave(channelRoom(channelId.toString()));
+};
+
+/**
+ * Emit an event to everyone who can see a message
+ *
+ * Channel messages go to the channel room; direct messages go to the
+ * rooms of both participants (chained io.to() targets the union, so each
+ * socket receives the event once even when a user messages themselves).
+ * Used for updates to existing messages, e.g. edits.
+ *
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} message - Message document (needs channel or sender/receiver)
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+export const emitToConversation = (io , message , event , payload) => {
+    if(message.channel){
+        io.to(channelRoom(message.channel.toString())).emit(event , payload);
+        return;
+    }
+
+    // sender/receiver may be populated documents or plain IDs
+    const participantRoom = (user) => userRoom((user._id ?? user).toString());
+
+    io.to(participantRoom(message.sender))
+      .to(participantRoom(message.receiver))
+      .emit(event , payload);
+};